@@ -0,0 +1,200 @@
+/**
+ * Provider interface used by the Assistant. Every method is async and receives plain
+ * thought records ({ id, text }), never Thought instances:
+ *
+ *   id, name
+ *   summarize(cluster, board)        -> string
+ *   keywords(cluster, board)         -> string[]
+ *   suggestTags(cluster, board)      -> string[]   (without the leading #)
+ *   related(target, board)           -> string[]   (ids of related thoughts, best first)
+ *
+ * cluster is the group of thoughts being asked about, board is every thought on the
+ * board (the offline provider uses it as its corpus).
+ */
+
+import { CONFIG } from './config.js';
+import { extractTags } from './tags.js';
+
+const STOP_WORDS = new Set((
+    'a an and are as at be been but by can could did do does for from had has have how i if in into ' +
+    'is it its just me my no not of on or our so than that the their them then there these they this ' +
+    'to too up us was we were what when where which who why will with would you your about also more ' +
+    'some such only very should'
+).split(' '));
+
+/**
+ * MODULE: Offline Assistant
+ * PURPOSE: Built-in provider - plain TF-IDF over the board, no network
+ * 
+ * BEHAVIOR:
+ * - keywords: terms frequent in the cluster but rare across the board
+ * - summarize: the highest scoring sentences of the cluster, in their original order
+ * - suggestTags: top keywords that aren't already #tags
+ * - related: cosine similarity between TF-IDF vectors
+ */
+export class OfflineAssistant {
+    constructor() {
+        this.id = 'offline';
+        this.name = 'Offline';
+    }
+
+    tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+            .map(word => word.replace(/'s$/, '').replace(/['-]+$/, ''))
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+    }
+
+    // Inverse document frequency of every term, each thought being a document
+    idf(board) {
+        const documentCounts = new Map();
+        board.forEach(record => {
+            new Set(this.tokenize(record.text)).forEach(term => {
+                documentCounts.set(term, (documentCounts.get(term) || 0) + 1);
+            });
+        });
+        const weights = new Map();
+        documentCounts.forEach((count, term) => {
+            weights.set(term, Math.log((board.length + 1) / (count + 1)) + 1);
+        });
+        return weights;
+    }
+
+    vector(text, idf) {
+        const vector = new Map();
+        this.tokenize(text).forEach(term => {
+            vector.set(term, (vector.get(term) || 0) + (idf.get(term) || 1));
+        });
+        return vector;
+    }
+
+    cosine(a, b) {
+        let dot = 0;
+        a.forEach((weight, term) => {
+            dot += weight * (b.get(term) || 0);
+        });
+        const norm = (v) => Math.sqrt([...v.values()].reduce((sum, w) => sum + w * w, 0));
+        const denominator = norm(a) * norm(b);
+        return denominator === 0 ? 0 : dot / denominator;
+    }
+
+    rankedTerms(cluster, board) {
+        const vector = this.vector(cluster.map(r => r.text).join('\n'), this.idf(board));
+        return [...vector.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    }
+
+    async keywords(cluster, board) {
+        return this.rankedTerms(cluster, board)
+            .slice(0, CONFIG.assistant.maxKeywords)
+            .map(([term]) => term);
+    }
+
+    async summarize(cluster, board) {
+        const weights = new Map(this.rankedTerms(cluster, board));
+        const sentences = cluster
+            .flatMap(record => record.text.split(/(?<=[.!?])\s+|\n+/))
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+        if (sentences.length === 0) return '';
+
+        const scored = sentences.map((sentence, index) => {
+            const terms = this.tokenize(sentence);
+            const score = terms.reduce((sum, term) => sum + (weights.get(term) || 0), 0) /
+                Math.sqrt(terms.length || 1);
+            return { sentence, index, score };
+        });
+        const keep = Math.min(CONFIG.assistant.summarySentences, Math.ceil(sentences.length / 2));
+        return scored
+            .sort((a, b) => b.score - a.score)
+            .slice(0, keep)
+            .sort((a, b) => a.index - b.index)
+            .map(({ sentence }) => /[.!?]$/.test(sentence) ? sentence : sentence + '.')
+            .join(' ');
+    }
+
+    async suggestTags(cluster, board) {
+        const existing = new Set(cluster.flatMap(record => extractTags(record.text)));
+        const keywords = await this.keywords(cluster, board);
+        return keywords.filter(term => !existing.has(term)).slice(0, CONFIG.assistant.maxTags);
+    }
+
+    async related(target, board) {
+        const idf = this.idf(board);
+        const targetVector = this.vector(target.text, idf);
+        return board
+            .filter(record => record.id !== target.id)
+            .map(record => ({ id: record.id, score: this.cosine(targetVector, this.vector(record.text, idf)) }))
+            .filter(({ score }) => score >= CONFIG.assistant.relatedThreshold)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CONFIG.assistant.maxRelated)
+            .map(({ id }) => id);
+    }
+}
+
+/**
+ * MODULE: Remote Assistant
+ * PURPOSE: Optional provider that forwards tasks to an LLM endpoint
+ * 
+ * PROTOCOL:
+ * - POST CONFIG.assistant.remote.endpoint, JSON body
+ *   { task: 'summarize' | 'keywords' | 'tags' | 'related', model, cluster, board, target }
+ *   (records are { id, text }; target is only sent for 'related')
+ * - Authorization: Bearer <apiKey> when an apiKey is configured
+ * - Response: { result } - a string for summarize, a string array for everything else
+ * 
+ * BEHAVIOR:
+ * - Requests time out after CONFIG.assistant.remote.timeout ms
+ * - Any failure rejects; the Assistant then falls back to the offline provider
+ * - server/noteai-mock-llm.mjs implements this protocol for local testing
+ */
+export class RemoteAssistant {
+    constructor(options) {
+        this.id = 'remote';
+        this.name = 'Remote (' + options.model + ')';
+        this.options = options;
+    }
+
+    async request(task, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.options.apiKey) {
+            headers.Authorization = 'Bearer ' + this.options.apiKey;
+        }
+
+        try {
+            const response = await fetch(this.options.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ task, model: this.options.model, ...body }),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`Assistant endpoint answered ${response.status}`);
+            }
+            const data = await response.json();
+            if (data.result === undefined) {
+                throw new Error('Assistant response has no result');
+            }
+            return data.result;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async summarize(cluster, board) {
+        return String(await this.request('summarize', { cluster, board }));
+    }
+
+    async keywords(cluster, board) {
+        return [].concat(await this.request('keywords', { cluster, board })).map(String);
+    }
+
+    async suggestTags(cluster, board) {
+        return [].concat(await this.request('tags', { cluster, board }))
+            .map(tag => String(tag).replace(/^#/, ''));
+    }
+
+    async related(target, board) {
+        return [].concat(await this.request('related', { target, board })).map(String);
+    }
+}
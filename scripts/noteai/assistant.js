@@ -0,0 +1,242 @@
+/**
+ * MODULE: Assistant
+ * PURPOSE: Provider registry plus the assistant panel the blot's ✦ action opens
+ * 
+ * INPUTS:
+ * - Blot 'assist' action (target thought + current selection)
+ * - Task buttons and provider select in #assistPanel
+ * 
+ * OUTPUTS:
+ * - Summaries / keywords as new thoughts, tags appended to the target,
+ *   related thoughts selected or linked - all undoable
+ * 
+ * BEHAVIOR:
+ * - The cluster is the multi-selection if the target is in one, otherwise every
+ *   thought within CONFIG.assistant.clusterRadius of the target
+ * - A failing provider falls back to the offline one, and says so in the panel
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { OfflineAssistant, RemoteAssistant } from './assistant-providers.js';
+
+export class Assistant {
+    constructor() {
+        this.panel = document.getElementById('assistPanel');
+        this.providerSelect = document.getElementById('assistProvider');
+        this.output = document.getElementById('assistOutput');
+        this.actions = document.getElementById('assistActions');
+        this.providers = new Map();
+        this.activeProviderId = CONFIG.assistant.provider;
+        this.target = null;
+        this.runId = 0; // Ignore answers to tasks that have been superseded
+
+        this.registerProvider(new OfflineAssistant());
+        if (CONFIG.assistant.remote.enabled) {
+            this.registerProvider(new RemoteAssistant(CONFIG.assistant.remote));
+        }
+        this.setupEventListeners();
+    }
+
+    registerProvider(provider) {
+        this.providers.set(provider.id, provider);
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.name;
+        this.providerSelect.appendChild(option);
+        this.providerSelect.value = this.providers.has(this.activeProviderId) ? this.activeProviderId : 'offline';
+    }
+
+    get provider() {
+        return this.providers.get(this.activeProviderId) || this.providers.get('offline');
+    }
+
+    setupEventListeners() {
+        this.providerSelect.addEventListener('change', () => {
+            this.activeProviderId = this.providerSelect.value;
+        });
+
+        this.panel.addEventListener('click', (e) => {
+            const task = e.target.getAttribute('data-task');
+            if (task) {
+                this.run(task);
+            }
+            if (e.target.getAttribute('data-assist-close') !== null) {
+                this.close();
+            }
+        });
+    }
+
+    // Called from Blot.executeAction('assist')
+    open(targetThought) {
+        this.target = targetThought;
+        this.panel.classList.add('open');
+        this.output.textContent = 'Ask about this thought and the ones around it.';
+        this.actions.innerHTML = '';
+        this.position();
+    }
+
+    close() {
+        this.panel.classList.remove('open');
+        this.target = null;
+        this.runId++;
+    }
+
+    // Beside the blot, kept on screen
+    position() {
+        const blotRect = app.blot.element.getBoundingClientRect();
+        const left = Math.min(blotRect.right + 12, window.innerWidth - this.panel.offsetWidth - 12);
+        const top = Math.min(Math.max(12, blotRect.top), window.innerHeight - this.panel.offsetHeight - 12);
+        this.panel.style.left = Math.max(12, left) + 'px';
+        this.panel.style.top = Math.max(12, top) + 'px';
+    }
+
+    record(thought) {
+        return { id: thought.id, text: thought.text };
+    }
+
+    clusterFor(thought) {
+        const selection = app.selectionManager.targetsFor(thought);
+        if (selection.length > 1) {
+            return selection;
+        }
+        const origin = app.connectorLayer.thoughtBox(thought);
+        return app.thoughts.filter(other => {
+            const box = app.connectorLayer.thoughtBox(other);
+            return Math.hypot(box.cx - origin.cx, box.cy - origin.cy) <= CONFIG.assistant.clusterRadius;
+        });
+    }
+
+    // Run a task on the active provider, falling back to offline if it fails
+    async ask(task, cluster, board, target) {
+        const call = (provider) => {
+            switch (task) {
+                case 'summarize': return provider.summarize(cluster, board);
+                case 'keywords': return provider.keywords(cluster, board);
+                case 'tags': return provider.suggestTags(cluster, board);
+                case 'related': return provider.related(target, board);
+            }
+            throw new Error('Unknown assistant task ' + task);
+        };
+
+        try {
+            return { result: await call(this.provider), fellBack: false };
+        } catch (err) {
+            if (this.provider.id === 'offline') throw err;
+            console.warn('NoteAI: assistant provider failed, using offline', err);
+            return { result: await call(this.providers.get('offline')), fellBack: true };
+        }
+    }
+
+    async run(task) {
+        const target = this.target;
+        if (!target || !app.thoughts.includes(target)) return;
+
+        const runId = ++this.runId;
+        const cluster = this.clusterFor(target);
+        this.output.textContent = 'Thinking…';
+        this.actions.innerHTML = '';
+
+        let answer;
+        try {
+            answer = await this.ask(task, cluster.map(t => this.record(t)), app.thoughts.map(t => this.record(t)), this.record(target));
+        } catch (err) {
+            if (runId === this.runId) {
+                this.output.textContent = 'The assistant could not answer: ' + err.message;
+            }
+            return;
+        }
+        if (runId !== this.runId) return;
+        this.showResult(task, answer.result, cluster, target);
+        if (answer.fellBack) {
+            this.output.appendChild(this.note('(remote assistant unavailable - offline answer)'));
+        }
+        this.position();
+    }
+
+    note(text) {
+        const note = document.createElement('div');
+        note.className = 'assist-note';
+        note.textContent = text;
+        return note;
+    }
+
+    addAction(label, handler) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            handler();
+            this.close();
+        });
+        this.actions.appendChild(button);
+    }
+
+    showResult(task, result, cluster, target) {
+        this.output.innerHTML = '';
+        const empty = Array.isArray(result) ? result.length === 0 : !result;
+        if (empty) {
+            this.output.textContent = 'Nothing to suggest yet - try writing a little more.';
+            return;
+        }
+
+        switch (task) {
+            case 'summarize':
+                this.output.textContent = result;
+                this.addAction('Add as thought', () => this.addBelow(cluster, result));
+                break;
+            case 'keywords':
+                this.output.textContent = result.join(', ');
+                this.addAction('Add as thought', () => this.addBelow(cluster, result.join(', ')));
+                break;
+            case 'tags': {
+                const tags = result.map(tag => '#' + tag.replace(/\s+/g, '-'));
+                this.output.textContent = tags.join(' ');
+                if (target.locked) {
+                    this.addAction('Add as thought', () => this.addBelow(cluster, tags.join(' ')));
+                    break;
+                }
+                this.addAction('Add to thought', () => {
+                    const before = target.snapshot();
+                    target.appendText((/\s$/.test(target.text) ? '' : ' ') + tags.join(' '));
+                    app.thoughtManager.history.record('type', [
+                        { id: target.id, index: app.thoughts.indexOf(target), before, after: target.snapshot() }
+                    ]);
+                    app.thoughtManager.saveThoughts();
+                });
+                break;
+            }
+            case 'related': {
+                const related = result.map(id => app.thoughts.find(t => t.id === id)).filter(Boolean);
+                related.forEach(thought => {
+                    const item = document.createElement('div');
+                    item.className = 'assist-related';
+                    item.textContent = thought.text.length > 60 ? thought.text.slice(0, 57) + '…' : thought.text;
+                    item.addEventListener('click', () => {
+                        const box = app.connectorLayer.thoughtBox(thought);
+                        app.viewport.flyTo(box.cx, box.cy);
+                    });
+                    this.output.appendChild(item);
+                });
+                this.addAction('Select', () => {
+                    app.selectionManager.clear();
+                    [target, ...related].forEach(thought => app.selectionManager.add(thought));
+                });
+                this.addAction('Link', () => {
+                    app.thoughtManager.history.batch('link', () => {
+                        related.forEach(thought => app.connectorLayer.addLink(target, thought));
+                    });
+                });
+                break;
+            }
+        }
+    }
+
+    // New italic thought under the cluster
+    addBelow(cluster, text) {
+        const left = Math.min(...cluster.map(t => t.x));
+        const bottom = Math.max(...cluster.map(t => t.y + app.connectorLayer.thoughtBox(t).height));
+        const thought = app.thoughtManager.addThought(text, left, bottom + 40);
+        thought.format('italic');
+        app.thoughtManager.saveThoughts();
+    }
+}
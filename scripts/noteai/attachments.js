@@ -0,0 +1,124 @@
+/**
+ * Pasted and dropped files. A thought only carries the attachment's metadata
+ * { id, name, type, size }; the bytes are stored once through the storage adapter
+ * (saveAttachment / loadAttachment), so history entries, sync merges and the
+ * notebook index stay small.
+ *
+ * Attachment data isn't deleted with its thought - undo, duplicates and the other
+ * notebooks can still point at it.
+ *
+ * Files are only ever shown or opened as one of ATTACHMENT_IMAGE_TYPES, anything else as
+ * application/octet-stream - a blob: URL opens in the page's own origin, so an HTML or SVG
+ * file from someone else's board would run its scripts with access to this one's storage.
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+
+// Raster images only, the same list as the sync server's
+export const ATTACHMENT_IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp']);
+
+export function attachmentType(type) {
+    const base = String(type || '').split(';')[0].trim().toLowerCase();
+    return ATTACHMENT_IMAGE_TYPES.has(base) ? base : 'application/octet-stream';
+}
+
+export function normalizeAttachment(attachment) {
+    if (!attachment || typeof attachment.id !== 'string') return null;
+    return {
+        id: attachment.id,
+        name: String(attachment.name || 'file'),
+        type: String(attachment.type || 'application/octet-stream'),
+        size: Number(attachment.size) || 0
+    };
+}
+
+export function isImageAttachment(attachment) {
+    return Boolean(attachment) && attachmentType(attachment.type) !== 'application/octet-stream';
+}
+
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(0) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+export function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+export function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(0, comma);
+    const data = dataUrl.slice(comma + 1);
+    const type = attachmentType((header.match(/^data:([^;,]*)/) || [])[1]);
+    const binary = header.endsWith(';base64') ? atob(data) : decodeURIComponent(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+const attachmentUrls = new Map(); // attachment id -> Promise of an object URL (null if missing)
+
+// Object URL for showing an attachment, loaded from storage once per page
+function attachmentUrl(id) {
+    if (!attachmentUrls.has(id)) {
+        const url = app.storage.loadAttachment(id)
+            // Stored before types were checked, or pasted here - retyped either way
+            .then(blob => blob ? URL.createObjectURL(blob.slice(0, blob.size, attachmentType(blob.type))) : null)
+            .catch(err => {
+                console.warn('NoteAI: could not load attachment', id, err);
+                attachmentUrls.delete(id); // Try again next time it is shown
+                return null;
+            });
+        attachmentUrls.set(id, url);
+    }
+    return attachmentUrls.get(id);
+}
+
+// The element shown for an attachment thought: the image itself, or a file card
+export function renderAttachment(attachment) {
+    const fragment = document.createDocumentFragment();
+    const link = document.createElement('a');
+    link.className = 'attachment-link';
+    link.download = attachment.name;
+    link.title = `${attachment.name} (Ctrl/⌘ + click to open)`;
+
+    if (isImageAttachment(attachment)) {
+        const image = document.createElement('img');
+        image.className = 'attachment-image';
+        image.alt = attachment.name;
+        image.draggable = false;
+        image.style.maxWidth = CONFIG.attachments.imageWidth + 'px';
+        link.append(image);
+    } else {
+        const name = document.createElement('span');
+        name.className = 'attachment-name';
+        name.textContent = attachment.name;
+        const size = document.createElement('span');
+        size.className = 'attachment-size';
+        size.textContent = formatFileSize(attachment.size);
+        link.append(name, size);
+    }
+
+    attachmentUrl(attachment.id).then(url => {
+        if (!url) {
+            link.classList.add('missing');
+            return;
+        }
+        link.href = url;
+        const image = link.querySelector('img');
+        if (image) {
+            image.src = url;
+        }
+    });
+    fragment.append(link);
+    return fragment;
+}
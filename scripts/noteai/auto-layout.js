@@ -0,0 +1,329 @@
+/**
+ * Layouts take boxes { id, x, y, width, height } in world units and return a
+ * Map of id -> { x, y } with the new top-left corners. They don't touch the DOM,
+ * AutoLayout measures the thoughts and animates them into place.
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { announce, prefersReducedMotion } from './helpers.js';
+import { isFilteredOut } from './tags.js';
+
+function layoutAlign(boxes, edge) {
+    const key = edge === 'left' ? 'x' : 'y';
+    const line = Math.min(...boxes.map(box => box[key]));
+    return new Map(boxes.map(box => [box.id, { x: box.x, y: box.y, [key]: line }]));
+}
+
+// Equal gaps between neighbours along the axis, the outermost two stay put.
+// Boxes that don't fit are spread out with CONFIG.layout.gap between them instead.
+function layoutDistribute(boxes, axis) {
+    const [pos, size] = axis === 'horizontal' ? ['x', 'width'] : ['y', 'height'];
+    const sorted = [...boxes].sort((a, b) => (a[pos] + a[size] / 2) - (b[pos] + b[size] / 2));
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const span = last[pos] + last[size] - first[pos];
+    const filled = sorted.reduce((sum, box) => sum + box[size], 0);
+    const gap = sorted.length > 1 ? Math.max(CONFIG.layout.gap, (span - filled) / (sorted.length - 1)) : 0;
+
+    const positions = new Map();
+    let next = first[pos];
+    sorted.forEach(box => {
+        positions.set(box.id, { x: box.x, y: box.y, [pos]: next });
+        next += box[size] + gap;
+    });
+    return positions;
+}
+
+function layoutGridSnap(boxes, size = CONFIG.layout.gridSize) {
+    return new Map(boxes.map(box => [box.id, {
+        x: Math.round(box.x / size) * size,
+        y: Math.round(box.y / size) * size
+    }]));
+}
+
+// Push overlapping boxes apart along the axis they overlap least on, half each way,
+// until nothing overlaps (or CONFIG.layout.overlapIterations runs out)
+function layoutRemoveOverlaps(boxes, gap = CONFIG.layout.gap) {
+    const moved = boxes.map(box => ({ ...box }));
+    for (let round = 0; round < CONFIG.layout.overlapIterations; round++) {
+        let overlapping = false;
+        for (let i = 0; i < moved.length; i++) {
+            for (let j = i + 1; j < moved.length; j++) {
+                const a = moved[i];
+                const b = moved[j];
+                const overlapX = Math.min(a.x + a.width, b.x + b.width) + gap - Math.max(a.x, b.x);
+                const overlapY = Math.min(a.y + a.height, b.y + b.height) + gap - Math.max(a.y, b.y);
+                if (overlapX <= 0 || overlapY <= 0) continue;
+
+                overlapping = true;
+                // Thoughts stacked exactly on top of each other still have to part somehow
+                const direction = (key, size) => (a[key] + a[size] / 2 <= b[key] + b[size] / 2 ? 1 : -1);
+                if (overlapX < overlapY) {
+                    const push = overlapX / 2 * direction('x', 'width');
+                    a.x -= push;
+                    b.x += push;
+                } else {
+                    const push = overlapY / 2 * direction('y', 'height');
+                    a.y -= push;
+                    b.y += push;
+                }
+            }
+        }
+        if (!overlapping) break;
+    }
+    return new Map(moved.map(box => [box.id, { x: box.x, y: box.y }]));
+}
+
+// Every pair of nodes closer than cutoff, found through a grid of cutoff-sized cells
+// instead of comparing each node with all the others
+function nearbyPairs(nodes, cutoff) {
+    const cells = new Map();
+    const keyOf = (column, row) => column + ',' + row;
+    nodes.forEach(node => {
+        node.column = Math.floor(node.x / cutoff);
+        node.row = Math.floor(node.y / cutoff);
+        const key = keyOf(node.column, node.row);
+        if (!cells.has(key)) {
+            cells.set(key, []);
+        }
+        cells.get(key).push(node);
+    });
+    const pairs = [];
+    nodes.forEach((a, i) => {
+        for (let column = a.column - 1; column <= a.column + 1; column++) {
+            for (let row = a.row - 1; row <= a.row + 1; row++) {
+                (cells.get(keyOf(column, row)) || []).forEach(b => {
+                    if (b.index > i && Math.hypot(a.x - b.x, a.y - b.y) < cutoff) {
+                        pairs.push([a, b]);
+                    }
+                });
+            }
+        }
+    });
+    return pairs;
+}
+
+/**
+ * Force-directed layout (Fruchterman-Reingold): boxes repel, linked boxes attract,
+ * gravity keeps the whole together, and the steps shrink as the layout cools.
+ * Like the grid variant of the original, only boxes within 2 * idealLength repel, so
+ * spread out boards don't compare every pair. links: [{ from, to }] box ids. It starts
+ * from the current positions so a board keeps its rough shape, the center stays where
+ * it was, and overlaps are removed at the end.
+ */
+function layoutForceDirected(boxes, links, options = CONFIG.layout.force) {
+    const { idealLength, gravity, iterations } = options;
+    const nodes = boxes.map((box, index) => ({
+        box,
+        index,
+        // Identical centers get a nudge, otherwise they can never push each other apart
+        x: box.x + box.width / 2 + (index % 7) * 0.01,
+        y: box.y + box.height / 2 + (index % 5) * 0.01,
+        dx: 0,
+        dy: 0
+    }));
+    const byId = new Map(nodes.map(node => [node.box.id, node]));
+    const edges = links
+        .map(link => [byId.get(link.from), byId.get(link.to)])
+        .filter(([a, b]) => a && b && a !== b);
+    const centerX = nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+    const centerY = nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+    let temperature = idealLength;
+
+    for (let step = 0; step < iterations; step++) {
+        nodes.forEach(node => {
+            node.dx = 0;
+            node.dy = 0;
+        });
+        nearbyPairs(nodes, idealLength * 2).forEach(([a, b]) => {
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(1, Math.hypot(dx, dy));
+            const force = idealLength * idealLength / distance;
+            a.dx += dx / distance * force;
+            a.dy += dy / distance * force;
+            b.dx -= dx / distance * force;
+            b.dy -= dy / distance * force;
+        });
+        edges.forEach(([a, b]) => {
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(1, Math.hypot(dx, dy));
+            const force = distance * distance / idealLength;
+            a.dx -= dx / distance * force;
+            a.dy -= dy / distance * force;
+            b.dx += dx / distance * force;
+            b.dy += dy / distance * force;
+        });
+        nodes.forEach(node => {
+            node.dx += (centerX - node.x) * gravity;
+            node.dy += (centerY - node.y) * gravity;
+            const length = Math.max(1, Math.hypot(node.dx, node.dy));
+            const limited = Math.min(length, temperature);
+            node.x += node.dx / length * limited;
+            node.y += node.dy / length * limited;
+        });
+        temperature = idealLength * (1 - (step + 1) / iterations);
+    }
+
+    const shiftX = centerX - nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+    const shiftY = centerY - nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+    return layoutRemoveOverlaps(nodes.map(node => ({
+        ...node.box,
+        x: node.x + shiftX - node.box.width / 2,
+        y: node.y + shiftY - node.box.height / 2
+    })));
+}
+
+/**
+ * MODULE: Auto Layout
+ * PURPOSE: Tidy commands for the board, from the blot menu's layout ring
+ * 
+ * INPUTS:
+ * - The selection when more than one thought is selected, otherwise the whole board
+ *   (what the tag filter leaves of it)
+ * - Links between those thoughts (for the force-directed layout)
+ * 
+ * OUTPUTS:
+ * - Thoughts animated to their new places through Thought.moveTo
+ * - One 'layout' history entry per command
+ * 
+ * BEHAVIOR:
+ * - Starting a layout while another one is animating finishes that one first
+ * - Thoughts that leave the board mid-animation are skipped
+ * - Pinned thoughts count for the layout but stay where they are
+ * - Nothing is recorded when nothing moved
+ * - Arranging by connectors takes at most CONFIG.layout.force.maxThoughts - it runs
+ *   synchronously, more would hold up the page
+ * - prefers-reduced-motion: thoughts jump to their new places
+ */
+export class AutoLayout {
+    constructor() {
+        this.animation = null; // { frame, moves, finish }
+        this.registerActions();
+    }
+
+    registerActions() {
+        app.blot.registerAction({ id: 'layout', label: '⊞', title: 'Tidy up (selection or whole board)' });
+        const commands = [
+            { id: 'align-left', label: '⇤', title: 'Align left', layout: boxes => layoutAlign(boxes, 'left') },
+            { id: 'align-top', label: '⤒', title: 'Align top', layout: boxes => layoutAlign(boxes, 'top') },
+            { id: 'distribute-h', label: '↔', title: 'Distribute horizontally', layout: boxes => layoutDistribute(boxes, 'horizontal') },
+            { id: 'distribute-v', label: '↕', title: 'Distribute vertically', layout: boxes => layoutDistribute(boxes, 'vertical') },
+            { id: 'grid-snap', label: '#', title: 'Snap to grid', layout: boxes => layoutGridSnap(boxes) },
+            { id: 'unstack', label: '⁂', title: 'Remove overlaps', layout: boxes => layoutRemoveOverlaps(boxes) },
+            { id: 'force', label: '⚛', title: 'Arrange by connectors', layout: null }
+        ];
+        commands.forEach(command => {
+            app.blot.registerAction({
+                id: command.id,
+                parent: 'layout',
+                label: command.label,
+                title: command.title,
+                run: ({ targets }) => {
+                    if (command.layout) {
+                        this.arrange(this.scope(targets), command.layout);
+                    } else {
+                        this.arrangeByLinks(this.scope(targets));
+                    }
+                }
+            });
+        });
+    }
+
+    // The selection if there is one, otherwise everything the tag filter shows
+    scope(targets) {
+        return targets.length > 1 ? targets : app.thoughts.filter(thought => !isFilteredOut(thought));
+    }
+
+    boxOf(thought) {
+        const { width, height } = app.connectorLayer.thoughtBox(thought);
+        return { id: thought.id, x: thought.x, y: thought.y, width, height };
+    }
+
+    arrange(list, layout) {
+        this.finish(); // Measure from where a running layout is headed, not from mid-flight
+        if (list.length < 2) {
+            announce('Nothing to arrange');
+            return;
+        }
+        const positions = layout(list.map(thought => this.boxOf(thought)));
+        this.animateTo(list, positions);
+    }
+
+    arrangeByLinks(list) {
+        const ids = new Set(list.map(thought => thought.id));
+        const links = app.connectorLayer.links.filter(link => ids.has(link.from) && ids.has(link.to));
+        if (links.length === 0) {
+            announce('Connect some of these thoughts first');
+            return;
+        }
+        if (list.length > CONFIG.layout.force.maxThoughts) {
+            announce(`Too many thoughts to arrange by connectors - select at most ${CONFIG.layout.force.maxThoughts}`);
+            return;
+        }
+        this.arrange(list, boxes => layoutForceDirected(boxes, links));
+    }
+
+    // Glide every thought to its new position, then record the whole move as one undo step
+    animateTo(list, positions) {
+        const moves = list
+            .filter(thought => !thought.pinned)
+            .map(thought => ({ thought, before: thought.snapshot(), to: positions.get(thought.id) }))
+            .filter(move => move.to && (Math.abs(move.to.x - move.thought.x) > 0.5 || Math.abs(move.to.y - move.thought.y) > 0.5));
+        if (moves.length === 0) {
+            announce('Already tidy');
+            return;
+        }
+
+        const duration = CONFIG.layout.animationDuration;
+        const start = performance.now();
+        const finish = () => {
+            cancelAnimationFrame(this.animation.frame);
+            this.animation = null;
+            const changes = moves
+                .filter(move => app.thoughts.includes(move.thought))
+                .map(move => {
+                    move.thought.moveTo(move.to.x, move.to.y);
+                    return { id: move.thought.id, index: app.thoughts.indexOf(move.thought), before: move.before, after: move.thought.snapshot() };
+                });
+            if (changes.length === 0) return;
+            app.thoughtManager.history.record('layout', changes);
+            app.thoughtManager.saveThoughts();
+            if (app.currentThought && app.blot) {
+                app.blot.onCurrentThoughtChanged();
+            }
+            announce(`Arranged ${changes.length} thought${changes.length === 1 ? '' : 's'}`);
+        };
+
+        if (prefersReducedMotion()) {
+            this.animation = { frame: null, finish };
+            finish();
+            return;
+        }
+
+        const tick = (now) => {
+            const t = Math.min(1, (now - start) / duration);
+            const eased = 1 - Math.pow(1 - t, 3); // easeOutCubic, like Viewport.flyTo
+            if (t >= 1) {
+                finish();
+                return;
+            }
+            moves.forEach(({ thought, before, to }) => {
+                if (app.thoughts.includes(thought)) {
+                    thought.moveTo(before.x + (to.x - before.x) * eased, before.y + (to.y - before.y) * eased);
+                }
+            });
+            this.animation.frame = requestAnimationFrame(tick);
+        };
+        this.animation = { frame: requestAnimationFrame(tick), finish };
+    }
+
+    // Jump a running animation to its end
+    finish() {
+        if (this.animation) {
+            this.animation.finish();
+        }
+    }
+}
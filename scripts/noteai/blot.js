@@ -0,0 +1,864 @@
+/**
+ * MODULE: Ink Blot Companion
+ * PURPOSE: A wobbling ink blot that follows the current thought around and keeps the menu
+ * 
+ * INPUTS:
+ * - currentThought variable - determines positioning
+ * - noteTyping() from Thought and ThoughtManager on every typed character
+ * 
+ * OUTPUTS:
+ * - Visual blot element next to current thought, its SVG ink body redrawn every frame it moves
+ * - data-mood on the element: calm, attentive, excited, wandering or approaching
+ * 
+ * BEHAVIOR:
+ * - Eases toward its spot beside the current thought - every frame the velocity keeps
+ *   CONFIG.blot.smoothingFactor of itself and gains CONFIG.blot.moveSpeed * (1 - smoothingFactor)
+ *   of the way left
+ * - Further than CONFIG.blot.approachDistance from its spot it is approaching, until it is
+ *   back within CONFIG.blot.patientDistance
+ * - Left alone for CONFIG.blot.idleDelay it wanders about, never further from its spot than
+ *   patientDistance and never over the thought
+ * - After CONFIG.blot.wanderFor of that it settles in its spot and the frames stop, until it
+ *   is moved (updatePosition) or typed at (noteTyping)
+ * - Typing makes it hop and wobble, more the faster the typing; it holds still while its
+ *   menu is open
+ * - prefers-reduced-motion: no easing, wobble or wandering - it just sits in its spot
+ * - Hover expands a radial menu built from registered actions (registerAction);
+ *   ring items open a sub-ring, actions with a shortcut also run from the keyboard
+ * - Keyboard users open the menu with Enter on the focused blot or Shift+F10 on a thought
+ *   (openMenuFor); arrows walk the items, Enter runs one, Escape backs out
+ * - At rest it shows the target thought's highlight color and #tags underneath
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { announce, prefersReducedMotion } from './helpers.js';
+import { sanitizeUrl } from './rich-text.js';
+import { tintFor } from './tags.js';
+
+export class Blot {
+    constructor() {
+        this.element = document.getElementById('inkBlot');
+        // Default blot size - can be changed dynamically
+        this.blotWidth = 75;
+        this.blotHeight = 70;
+        this.menuWidth = 115; // Recomputed by relayout() from the registered actions
+        this.menuHeight = 115;
+        
+        this.x = window.innerWidth / 2;
+        this.y = window.innerHeight / 2;
+        this.home = null; // World point the blot belongs at, see updatePosition
+        this.position = null; // World point it is at, eased toward home (or a wander spot) every frame
+        this.velocity = { x: 0, y: 0 }; // World units per frame
+        this.approaching = false;
+        this.wanderOffset = null; // Screen pixels from home while wandering
+        this.wanderUntil = 0;
+        this.typedAt = []; // Keystroke times within CONFIG.blot.typingWindow
+        this.lastTyped = performance.now();
+        this.bodySize = null; // { width, height } the ink body eases toward the element size
+        this.phases = Array.from({ length: 8 }, () => Math.random() * 2 * Math.PI); // Per-point wobble
+        this.frame = null;
+        this.lastFrame = null;
+        this.menuExpanded = false;
+        this.targetThought = null; // Track which thought this blot is positioned next to
+        this.actions = new Map(); // Menu actions by id, see registerAction
+        this.openRingId = null; // Ring item whose sub-ring is showing
+        this.rendering = false; // Re-rendering drops the focused item, see renderBlot
+        this.label = ''; // HTML of the resting label, see updateLabel
+        this.createBody();
+        this.registerBuiltInActions();
+        this.relayout();
+        this.start();
+
+        // Keep the text selection and focus of the thought being edited while using the menu
+        this.element.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+        });
+
+        // Hovering a ring item opens its sub-ring - on touch it is tapped instead
+        this.element.addEventListener('pointerover', (e) => {
+            const item = e.target.closest('.menu-item.ring');
+            if (item && e.pointerType === 'mouse') {
+                this.openRing(item.getAttribute('data-action'));
+            }
+        });
+
+        this.element.addEventListener('keydown', (e) => this.handleMenuKey(e));
+
+        // Tabbing out of the menu closes it, like moving the mouse away does
+        this.element.addEventListener('focusout', (e) => {
+            if (this.rendering || !this.menuExpanded) return;
+            if (!this.element.contains(e.relatedTarget) && !this.element.matches(':hover')) {
+                this.collapseMenu();
+            }
+        });
+    }
+
+    // Set blot size and maintain center position
+    setSize(width, height) {
+        this.blotWidth = width;
+        this.blotHeight = height;
+        this.updateSize();
+        this.updatePosition(); // Recalculate position to maintain center
+    }
+
+    // Update the actual DOM element size and styling
+    updateSize() {
+        const currentWidth = this.menuExpanded ? this.menuWidth : this.blotWidth;
+        const currentHeight = this.menuExpanded ? this.menuHeight : this.blotHeight;
+        
+        this.element.style.width = currentWidth + 'px';
+        this.element.style.height = currentHeight + 'px';
+    }
+
+    // Get current center offsets based on current size
+    getCurrentCenterOffsets() {
+        const currentWidth = this.menuExpanded ? this.menuWidth : this.blotWidth;
+        const currentHeight = this.menuExpanded ? this.menuHeight : this.blotHeight;
+        return {
+            centerX: currentWidth / 2,
+            centerY: currentHeight / 2
+        };
+    }
+
+    // Where the blot is on screen, from its own position rather than the layout - read on every pointer move
+    getScreenRect() {
+        if (!this.position) return null;
+        const screen = app.viewport.worldToScreen(this.position.x, this.position.y);
+        const { centerX, centerY } = this.getCurrentCenterOffsets();
+        return { left: screen.x - centerX, top: screen.y - centerY, right: screen.x + centerX, bottom: screen.y + centerY };
+    }
+
+    // this.x/this.y is the world point the blot sits next to; the blot itself
+    // stays screen-sized, so it is offset from that point in screen pixels
+    updatePosition() {
+        if (app.currentThought) {
+            this.targetThought = app.currentThought; // Remember which thought we're positioned next to
+        }
+
+        let screenX;
+        let screenY;
+        if (this.targetThought) {
+            // Position to the left of the target thought - this also keeps us next to the
+            // last target thought after it is deselected instead of jumping to the center
+            this.x = this.targetThought.x;
+            this.y = this.targetThought.y;
+            const anchor = app.viewport.worldToScreen(this.x, this.y);
+            screenX = anchor.x - 60;
+            screenY = anchor.y + 20;
+        } else {
+            // Only go to center if there's no target thought at all
+            screenX = window.innerWidth / 2;
+            screenY = window.innerHeight / 2;
+            const center = app.viewport.screenToWorld(screenX, screenY);
+            this.x = center.x;
+            this.y = center.y;
+        }
+
+        // The frames take it from here - only the first placement and reduced motion jump
+        this.home = app.viewport.screenToWorld(screenX, screenY);
+        if (!this.position || prefersReducedMotion()) {
+            this.settle();
+        } else {
+            this.place();
+        }
+        this.updateLabel();
+        this.start();
+    }
+
+    // Straight to its spot, nothing left to ease
+    settle() {
+        this.position = { ...this.home };
+        this.velocity = { x: 0, y: 0 };
+        this.wanderOffset = null;
+        this.approaching = false;
+        this.bodySize = null;
+        this.place();
+    }
+
+    // Position using center coordinates (subtract half current width/height)
+    place(now = performance.now()) {
+        const screen = app.viewport.worldToScreen(this.position.x, this.position.y);
+        const { centerX, centerY } = this.getCurrentCenterOffsets();
+        this.element.style.left = (screen.x - centerX) + 'px';
+        this.element.style.top = (screen.y - centerY) + 'px';
+        this.drawBody(now);
+    }
+
+    // === MOTION ===
+
+    start() {
+        if (this.frame !== null || prefersReducedMotion()) return;
+        const loop = () => {
+            this.tick();
+            if (this.frame !== null) { // tick() stops the loop once the blot is at rest
+                this.frame = requestAnimationFrame(loop);
+            }
+        };
+        this.frame = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.lastFrame = null;
+    }
+
+    // One animation frame - the tuning is per 60fps frame, slower displays take more steps
+    tick(now = performance.now()) {
+        const steps = this.lastFrame === null ? 1 : Math.min(Math.round((now - this.lastFrame) / (1000 / 60)), 4);
+        this.lastFrame = now;
+        if (!this.position) return;
+
+        const { approachDistance, patientDistance } = CONFIG.blot;
+        const fromHome = this.screenDistance(this.position, this.home);
+        if (fromHome > approachDistance) {
+            this.approaching = true;
+        } else if (fromHome < patientDistance) {
+            this.approaching = false;
+        }
+
+        // Holding still while the menu is open - it would slide out from under the pointer
+        if (this.menuExpanded) {
+            this.velocity = { x: 0, y: 0 };
+        } else {
+            const goal = this.goal(now);
+            for (let i = 0; i < steps; i++) {
+                this.step(goal);
+            }
+        }
+        this.element.dataset.mood = this.mood(now);
+        this.place(now);
+        if (this.atRest(now)) {
+            this.stop();
+        }
+    }
+
+    // In its spot and done wandering, its body the size it should be - nothing left to draw
+    atRest(now) {
+        const { idleDelay, wanderFor } = CONFIG.blot;
+        const width = this.menuExpanded ? this.menuWidth : this.blotWidth;
+        const height = this.menuExpanded ? this.menuHeight : this.blotHeight;
+        const inPlace = this.menuExpanded || (this.position.x === this.home.x && this.position.y === this.home.y);
+        return inPlace && !this.approaching && !this.wanderOffset &&
+            this.velocity.x === 0 && this.velocity.y === 0 &&
+            now - this.lastTyped >= idleDelay + wanderFor &&
+            Math.abs(this.bodySize.width - width) < 0.5 && Math.abs(this.bodySize.height - height) < 0.5;
+    }
+
+    step(goal) {
+        const { moveSpeed, smoothingFactor } = CONFIG.blot;
+        ['x', 'y'].forEach(axis => {
+            this.velocity[axis] = this.velocity[axis] * smoothingFactor +
+                (goal[axis] - this.position[axis]) * moveSpeed * (1 - smoothingFactor);
+            this.position[axis] += this.velocity[axis];
+        });
+        // Close enough is there - no endless sub-pixel creeping
+        const zoom = app.viewport.zoom;
+        if (this.screenDistance(this.position, goal) < 0.5 && Math.hypot(this.velocity.x, this.velocity.y) * zoom < 0.05) {
+            this.position = { ...goal };
+            this.velocity = { x: 0, y: 0 };
+        }
+    }
+
+    // Home, or a spot near it once nobody has typed for a while
+    goal(now) {
+        const { idleDelay, wanderFor, patientDistance, wanderPause } = CONFIG.blot;
+        const idle = now - this.lastTyped;
+        if (this.approaching || idle < idleDelay || idle >= idleDelay + wanderFor) {
+            this.wanderOffset = null;
+            return this.home;
+        }
+        if (!this.wanderOffset || now >= this.wanderUntil) {
+            // Somewhere on the side away from the thought, which is to its right
+            const angle = Math.PI / 2 + Math.random() * Math.PI;
+            const distance = patientDistance * (0.3 + Math.random() * 0.6);
+            this.wanderOffset = { x: Math.cos(angle) * distance, y: Math.sin(angle) * distance };
+            this.wanderUntil = now + wanderPause;
+        }
+        const zoom = app.viewport.zoom;
+        return { x: this.home.x + this.wanderOffset.x / zoom, y: this.home.y + this.wanderOffset.y / zoom };
+    }
+
+    screenDistance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y) * app.viewport.zoom;
+    }
+
+    // === TYPING ===
+
+    // Characters per second over the last CONFIG.blot.typingWindow
+    typingSpeed(now = performance.now()) {
+        const { typingWindow } = CONFIG.blot;
+        this.typedAt = this.typedAt.filter(time => now - time < typingWindow);
+        return this.typedAt.length * 1000 / typingWindow;
+    }
+
+    noteTyping(now = performance.now()) {
+        this.typedAt.push(now);
+        this.lastTyped = now;
+        if (prefersReducedMotion()) return;
+        this.start();
+        // A little hop per key, higher when the typing is fast
+        const { hop, fastTyping } = CONFIG.blot;
+        const excitement = Math.min(this.typingSpeed(now) / fastTyping, 1);
+        this.velocity.y -= hop * (1 + excitement) / app.viewport.zoom;
+    }
+
+    mood(now = performance.now()) {
+        const speed = this.typingSpeed(now);
+        if (this.approaching) return 'approaching';
+        if (speed >= CONFIG.blot.fastTyping) return 'excited';
+        if (speed > 0) return 'attentive';
+        return this.wanderOffset ? 'wandering' : 'calm';
+    }
+
+    // === INK BODY ===
+
+    createBody() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        this.body = document.createElementNS(svgNS, 'svg');
+        this.body.setAttribute('class', 'blot-body');
+        this.body.setAttribute('aria-hidden', 'true');
+        this.body.innerHTML = '<defs><radialGradient id="blotInk" cx="30%" cy="30%" r="80%">' +
+            '<stop offset="0%" stop-color="#2c1810"/><stop offset="100%" stop-color="#1a0f0a"/></radialGradient></defs>' +
+            '<path fill="url(#blotInk)"/>';
+        this.bodyPath = this.body.querySelector('path');
+        this.content = document.createElement('div'); // Label or menu, see renderBlot
+        this.content.className = 'blot-content';
+        this.element.replaceChildren(this.body, this.content);
+    }
+
+    // A closed curve through points around an ellipse, each breathing on its own phase.
+    // It stretches along the way it's moving and wobbles harder the faster the typing.
+    drawBody(now) {
+        const width = this.menuExpanded ? this.menuWidth : this.blotWidth;
+        const height = this.menuExpanded ? this.menuHeight : this.blotHeight;
+        const still = prefersReducedMotion();
+        if (!this.bodySize || still) {
+            this.bodySize = { width, height };
+        } else {
+            const ease = 1 - CONFIG.blot.smoothingFactor;
+            this.bodySize.width += (width - this.bodySize.width) * ease;
+            this.bodySize.height += (height - this.bodySize.height) * ease;
+        }
+        this.body.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        const excitement = Math.min(this.typingSpeed(now) / CONFIG.blot.fastTyping, 1.5);
+        const amount = still ? 0 : CONFIG.blot.wobble * (1 + 2 * excitement);
+        const pace = 0.002 * (1 + 2 * excitement); // Radians per ms
+        const speed = Math.hypot(this.velocity.x, this.velocity.y) * app.viewport.zoom;
+        const stretch = 1 + Math.min(speed / 40, 0.35);
+        const along = Math.atan2(this.velocity.y, this.velocity.x);
+        const ux = Math.cos(along);
+        const uy = Math.sin(along);
+
+        const cx = width / 2;
+        const cy = height / 2;
+        const rx = this.bodySize.width / 2 * (1 - CONFIG.blot.wobble * 2);
+        const ry = this.bodySize.height / 2 * (1 - CONFIG.blot.wobble * 2);
+        const points = this.phases.map((phase, i) => {
+            const angle = i * 2 * Math.PI / this.phases.length;
+            const breath = 1 + amount * Math.sin(now * pace + phase) +
+                amount * 0.5 * Math.sin(now * pace * 1.7 + this.phases[(i + 3) % this.phases.length]);
+            const dx = Math.cos(angle) * rx * breath;
+            const dy = Math.sin(angle) * ry * breath;
+            const forward = (dx * ux + dy * uy) * (stretch - 1);
+            const sideways = (dx * -uy + dy * ux) * (1 / stretch - 1);
+            return {
+                x: cx + dx + forward * ux - sideways * uy,
+                y: cy + dy + forward * uy + sideways * ux
+            };
+        });
+
+        // Quadratic curves through the midpoints keep the outline smooth
+        const mid = (a, b) => `${((a.x + b.x) / 2).toFixed(1)} ${((a.y + b.y) / 2).toFixed(1)}`;
+        const last = points[points.length - 1];
+        let d = `M ${mid(last, points[0])}`;
+        points.forEach((point, i) => {
+            d += ` Q ${point.x.toFixed(1)} ${point.y.toFixed(1)} ${mid(point, points[(i + 1) % points.length])}`;
+        });
+        this.bodyPath.setAttribute('d', d + ' Z');
+    }
+
+    // Saved with each notebook's board
+    getState() {
+        return { targetThoughtId: this.targetThought ? this.targetThought.id : null };
+    }
+
+    setState(state) {
+        this.targetThought = app.thoughts.find(t => t.id === state.targetThoughtId) || null;
+        this.updatePosition();
+    }
+
+    // Called from ModeMachine when currentThought changes, and whenever it moves
+    onCurrentThoughtChanged() {
+        this.updatePosition();
+    }
+
+    // Called from ThoughtManager on hover
+    expandMenu() {
+        if (app.currentThought || app.thoughts.length > 0) {
+            this.menuExpanded = true;
+            this.element.classList.add('menu-expanded');
+            this.element.setAttribute('aria-expanded', 'true');
+            this.updateSize(); // Update size first
+            this.updatePosition(); // Then reposition to maintain center
+            this.renderBlot();
+        }
+    }
+
+    // Called from ThoughtManager on mouse leave
+    collapseMenu() {
+        this.menuExpanded = false;
+        this.openRingId = null;
+        this.element.classList.remove('menu-expanded');
+        this.element.setAttribute('aria-expanded', 'false');
+        this.updateSize(); // Update size first
+        this.updatePosition(); // Then reposition to maintain center
+        this.renderBlot();
+    }
+
+    renderBlot(animate = true) {
+        const focused = this.element.contains(document.activeElement) && document.activeElement !== this.element
+            ? document.activeElement.getAttribute('data-action')
+            : null;
+        this.rendering = true;
+        if (this.menuExpanded) {
+            this.content.innerHTML = `<div class="blot-menu" role="menu" aria-label="Thought actions">` +
+                this.getMenuHTML(animate) + '</div>';
+        } else {
+            this.content.innerHTML = this.labelHTML();
+        }
+        this.label = this.menuExpanded ? null : this.content.innerHTML;
+        // Keyboard users keep their place when a sub-ring opens or closes
+        if (focused && this.menuExpanded) {
+            this.focusItem(this.menuItems().find(item => item.getAttribute('data-action') === focused) || null);
+        }
+        this.rendering = false;
+    }
+
+    // The resting blot shows the target's highlight color and #tags underneath
+    labelHTML() {
+        const target = this.targetThought;
+        if (!target) return '';
+        const tint = tintFor(target.tint);
+        const tags = target.tags;
+        if (!target.tint && tags.length === 0) return '';
+        const swatch = target.tint
+            ? `<span class="tag-swatch" style="--swatch: ${this.escapeHTML(tint.color)}" title="${this.escapeHTML(tint.name)}"></span>`
+            : '';
+        return `<div class="blot-label" aria-hidden="true">${swatch}${this.escapeHTML(tags.map(tag => '#' + tag).join(' '))}</div>`;
+    }
+
+    // Called when the target or its tags and tint may have changed
+    updateLabel() {
+        if (this.menuExpanded) return;
+        const html = this.labelHTML();
+        if (html !== this.label) {
+            this.content.innerHTML = html;
+            this.label = html;
+        }
+    }
+
+    // === KEYBOARD MENU ===
+
+    // Open the menu on a thought and put keyboard focus on its first item
+    openMenuFor(thought) {
+        if (!thought) {
+            announce('No thought to open the menu for');
+            return false;
+        }
+        this.targetThought = thought;
+        this.expandMenu();
+        this.focusItem(this.menuItems()[0] || null);
+        return true;
+    }
+
+    // Items in the order the arrow keys walk them - clockwise, an open sub-ring after its parent
+    menuItems() {
+        return [...this.element.querySelectorAll('.menu-item')];
+    }
+
+    // null puts focus on the blot itself
+    focusItem(item) {
+        (item || this.element).focus({ preventScroll: true });
+    }
+
+    handleMenuKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const target = this.targetThought;
+
+        if (!this.menuExpanded) {
+            if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown' || (e.key === 'F10' && e.shiftKey)) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.openMenuFor(app.currentThought || target || app.thoughts[app.thoughts.length - 1]);
+            }
+            return;
+        }
+
+        const items = this.menuItems();
+        const index = items.indexOf(document.activeElement);
+        const actionId = index === -1 ? null : items[index].getAttribute('data-action');
+        const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+
+        if (step) {
+            this.focusItem(items[(index + step + items.length) % items.length]);
+        } else if (e.key === 'Home' || e.key === 'End') {
+            this.focusItem(items[e.key === 'Home' ? 0 : items.length - 1]);
+        } else if ((e.key === 'Enter' || e.key === ' ') && actionId) {
+            if (this.childrenOf(actionId).length > 0) {
+                this.openRing(this.openRingId === actionId ? null : actionId);
+                if (this.openRingId) {
+                    const first = this.childrenOf(actionId)[0];
+                    this.focusItem(this.menuItems().find(item => item.getAttribute('data-action') === first.id));
+                }
+            } else {
+                this.executeAction(actionId);
+                // Back to the thought, unless the action opened something else (the assistant)
+                if (!document.activeElement || document.activeElement === document.body) {
+                    this.restoreFocus(target);
+                }
+            }
+        } else if (e.key === 'Escape') {
+            const ring = this.openRingId;
+            if (ring) {
+                this.openRing(null);
+                this.focusItem(this.menuItems().find(item => item.getAttribute('data-action') === ring));
+            } else {
+                this.collapseMenu();
+                this.restoreFocus(target);
+            }
+        } else {
+            // Tab leaves the menu (see focusout), typing isn't for the board
+            e.stopPropagation();
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Keyboard users land back on the thought the menu was for
+    restoreFocus(thought) {
+        if (thought && thought === app.currentThought && app.thoughts.includes(thought)) {
+            thought.element.focus({ preventScroll: true });
+        } else if (app.keyboardNav) {
+            app.keyboardNav.focus(thought);
+        }
+    }
+
+    // === MENU ACTIONS ===
+
+    /**
+     * Register a blot menu action. Plugins can call this once 'noteai:ready' fires.
+     *
+     * definition: {
+     *   id         unique action id
+     *   label      text shown in the menu item
+     *   title      tooltip (optional)
+     *   parent     id of the ring item to nest under (optional)
+     *   shortcut   e.g. 'Alt+B', 'Alt+Shift+Backspace' - needs Alt, Ctrl or Meta (optional)
+     *   swatch     CSS color to paint the item with (optional)
+     *   run        ({ target, targets, blot }) => void - not needed for ring items
+     * }
+     *
+     * Items are laid out evenly around the blot in registration order. An item with
+     * children opens them as a sub-ring instead of running.
+     */
+    registerAction(definition) {
+        if (!definition.id || this.actions.has(definition.id)) {
+            throw new Error(`Blot action "${definition.id}" is missing or already registered`);
+        }
+        const action = { ...definition, keys: definition.shortcut ? this.parseShortcut(definition.shortcut) : null };
+        this.actions.set(action.id, action);
+        if (this.menuExpanded) {
+            this.relayout();
+        }
+        return action;
+    }
+
+    unregisterAction(id) {
+        this.childrenOf(id).forEach(child => this.unregisterAction(child.id));
+        this.actions.delete(id);
+        if (this.openRingId === id) {
+            this.openRingId = null;
+        }
+        if (this.menuExpanded) {
+            this.relayout();
+        }
+    }
+
+    childrenOf(id) {
+        return [...this.actions.values()].filter(action => action.parent === id);
+    }
+
+    topLevelActions() {
+        return [...this.actions.values()].filter(action => !action.parent);
+    }
+
+    // 'Alt+Shift+B' -> { code: 'KeyB', key: 'b', alt: true, shift: true, ctrl: false, meta: false }
+    parseShortcut(shortcut) {
+        const parts = shortcut.split('+');
+        const key = parts.pop();
+        const modifiers = parts.map(part => part.toLowerCase());
+        const keys = {
+            alt: modifiers.includes('alt'),
+            shift: modifiers.includes('shift'),
+            ctrl: modifiers.includes('ctrl'),
+            meta: modifiers.includes('meta'),
+            key: key.toLowerCase(),
+            code: null
+        };
+        if (!keys.alt && !keys.ctrl && !keys.meta) {
+            throw new Error(`Shortcut "${shortcut}" would swallow typing - add Alt, Ctrl or Meta`);
+        }
+        // Match letters/digits by physical key, Alt+letter types a symbol on macOS
+        if (/^[a-z]$/i.test(key)) keys.code = 'Key' + key.toUpperCase();
+        if (/^[0-9]$/.test(key)) keys.code = 'Digit' + key;
+        if (key === '-') keys.code = 'Minus';
+        if (key === '=') keys.code = 'Equal';
+        return keys;
+    }
+
+    matchesShortcut(keys, e) {
+        if (keys.alt !== e.altKey || keys.shift !== e.shiftKey ||
+            keys.ctrl !== e.ctrlKey || keys.meta !== e.metaKey) {
+            return false;
+        }
+        return keys.code ? e.code === keys.code : e.key.toLowerCase() === keys.key;
+    }
+
+    // Called from ThoughtManager's keydown listener - returns true if a shortcut ran
+    handleShortcut(e) {
+        const action = [...this.actions.values()].find(a => a.keys && a.run && this.matchesShortcut(a.keys, e));
+        if (!action) return false;
+
+        e.preventDefault();
+        this.runAction(action.id);
+        return true;
+    }
+
+    // Run an action on the current thought, or the one the blot sits next to
+    runAction(id) {
+        const action = this.actions.get(id);
+        const target = app.currentThought || this.targetThought;
+        if (!action || !action.run || !target) return false;
+        this.targetThought = target;
+        action.run({ target, targets: app.selectionManager.targetsFor(target), blot: this });
+        this.updatePosition();
+        return true;
+    }
+
+    // Toggle formatting on every target as one undo step
+    applyFormat(targets, type, value) {
+        if (!app.thoughtManager) return;
+        app.thoughtManager.history.batch('format', () => {
+            targets.forEach(thought => thought.format(type, value));
+        });
+        app.thoughtManager.saveThoughts();
+    }
+
+    registerBuiltInActions() {
+        const { fontSizes, inks, tints } = CONFIG.formatting;
+        const stepSize = (thought, direction) => {
+            const current = thought.fontSize || CONFIG.formatting.defaultFontSize;
+            const index = fontSizes.findIndex(size => size >= current);
+            const next = fontSizes[Math.max(0, Math.min(fontSizes.length - 1, index + direction))];
+            return next === CONFIG.formatting.defaultFontSize ? null : next;
+        };
+
+        this.registerAction({ id: 'bold', label: 'B', title: 'Bold', shortcut: 'Alt+B',
+            run: ({ targets }) => this.applyFormat(targets, 'bold') });
+        this.registerAction({ id: 'italic', label: 'I', title: 'Italic', shortcut: 'Alt+I',
+            run: ({ targets }) => this.applyFormat(targets, 'italic') });
+
+        this.registerAction({ id: 'style', label: 'Aa', title: 'Text style' });
+        this.registerAction({ id: 'underline', parent: 'style', label: 'U', title: 'Underline', shortcut: 'Alt+U',
+            run: ({ targets }) => this.applyFormat(targets, 'underline') });
+        this.registerAction({ id: 'strike', parent: 'style', label: 'S', title: 'Strikethrough', shortcut: 'Alt+S',
+            run: ({ targets }) => this.applyFormat(targets, 'strike') });
+        this.registerAction({ id: 'code', parent: 'style', label: '<>', title: 'Inline code', shortcut: 'Alt+C',
+            run: ({ targets }) => this.applyFormat(targets, 'code') });
+        this.registerAction({ id: 'upper', parent: 'style', label: 'A', title: 'UPPER CASE', shortcut: 'Alt+Shift+U',
+            run: ({ targets }) => this.applyFormat(targets, 'upper') });
+        this.registerAction({ id: 'lower', parent: 'style', label: 'a', title: 'lower case', shortcut: 'Alt+Shift+L',
+            run: ({ targets }) => this.applyFormat(targets, 'lower') });
+
+        this.registerAction({ id: 'size', label: 'T', title: 'Font size' });
+        this.registerAction({ id: 'size-down', parent: 'size', label: 'T−', title: 'Smaller', shortcut: 'Alt+-',
+            run: ({ targets }) => {
+                app.thoughtManager.history.batch('format', () => {
+                    targets.forEach(thought => thought.format('fontSize', stepSize(thought, -1)));
+                });
+                app.thoughtManager.saveThoughts();
+            } });
+        this.registerAction({ id: 'size-up', parent: 'size', label: 'T+', title: 'Bigger', shortcut: 'Alt+=',
+            run: ({ targets }) => {
+                app.thoughtManager.history.batch('format', () => {
+                    targets.forEach(thought => thought.format('fontSize', stepSize(thought, 1)));
+                });
+                app.thoughtManager.saveThoughts();
+            } });
+
+        this.registerAction({ id: 'color', label: '●', title: 'Ink color' });
+        inks.forEach((ink, index) => {
+            this.registerAction({ id: 'color-' + ink.name, parent: 'color', label: '●', title: ink.name,
+                swatch: ink.color, shortcut: 'Alt+' + (index + 1),
+                run: ({ targets }) => this.applyFormat(targets, 'color', index === 0 ? null : ink.color) });
+        });
+
+        this.registerAction({ id: 'tint', label: '◧', title: 'Highlight color' });
+        tints.forEach((tint, index) => {
+            this.registerAction({ id: 'tint-' + tint.name, parent: 'tint', label: index === 0 ? '∅' : '■',
+                title: index === 0 ? 'No highlight' : tint.name, swatch: index === 0 ? null : tint.color,
+                run: ({ targets }) => this.applyFormat(targets, 'tint', index === 0 ? null : tint.name) });
+        });
+
+        this.registerAction({ id: 'duplicate', label: '⧉', title: 'Duplicate', shortcut: 'Alt+D',
+            run: ({ targets }) => app.thoughtManager.duplicateThoughts(targets) });
+        this.registerAction({ id: 'link', label: '↗', title: 'Link the selection or thought (Ctrl/⌘ + click opens it)', shortcut: 'Alt+K',
+            run: ({ target, targets }) => {
+                const existing = target.runs.find(run => run.marks.link);
+                const input = prompt('Link to URL (leave empty to remove):', existing ? existing.marks.link : 'https://');
+                if (input === null) return;
+                const cleaned = input.trim() === 'https://' ? '' : input.trim();
+                if (cleaned && !sanitizeUrl(cleaned)) {
+                    alert(`"${cleaned}" is not a web or mailto link.`);
+                    return;
+                }
+                this.applyFormat(targets, 'link', cleaned || null);
+            } });
+        this.registerAction({ id: 'markdown', label: 'M↓', title: 'Markdown on / off', shortcut: 'Alt+M',
+            run: ({ targets }) => this.applyFormat(targets, 'markdown') });
+        this.registerAction({ id: 'assist', label: '✦', title: 'Assistant', shortcut: 'Alt+A',
+            run: ({ target }) => app.assistant.open(target) });
+        this.registerAction({ id: 'group', label: '◌', title: 'Group / ungroup', shortcut: 'Alt+G',
+            run: ({ target, targets }) => app.selectionManager.toggleGroup(targets, target) });
+        this.registerAction({ id: 'pin', label: '📌', title: 'Pin / unpin (pinned thoughts can\'t be dragged)', shortcut: 'Alt+P',
+            run: ({ target, targets }) => {
+                const pinned = !target.pinned;
+                app.thoughtManager.adjustThoughts(targets, () => ({ pinned }));
+                announce(pinned ? 'Pinned' : 'Unpinned');
+            } });
+        this.registerAction({ id: 'lock', label: '🔒', title: 'Lock / unlock (locked thoughts can\'t be edited)', shortcut: 'Alt+L',
+            run: ({ target, targets }) => {
+                const locked = !target.locked;
+                app.thoughtManager.adjustThoughts(targets, () => ({ locked }));
+                announce(locked ? 'Locked' : 'Unlocked');
+            } });
+        this.registerAction({ id: 'stack', label: '⧈', title: 'Stacking order' });
+        this.registerAction({ id: 'front', parent: 'stack', label: '▲', title: 'Bring to front', shortcut: 'Alt+Shift+F',
+            run: ({ targets }) => app.thoughtManager.restackThoughts(targets, true) });
+        this.registerAction({ id: 'back', parent: 'stack', label: '▼', title: 'Send to back', shortcut: 'Alt+Shift+B',
+            run: ({ targets }) => app.thoughtManager.restackThoughts(targets, false) });
+        this.registerAction({ id: 'delete', label: '×', title: 'Delete', shortcut: 'Alt+Shift+Backspace',
+            run: ({ targets }) => app.thoughtManager.deleteThoughts(targets) });
+    }
+
+    // === MENU LAYOUT ===
+
+    // Radius that fits `count` items around the circle without overlapping
+    ringRadius(count) {
+        const { itemSize, itemSpacing } = CONFIG.blot.menu;
+        return Math.max(CONFIG.blot.menuRadius, count * itemSize * itemSpacing / (2 * Math.PI));
+    }
+
+    // Menu element size follows the number of top-level items
+    relayout() {
+        const radius = this.ringRadius(this.topLevelActions().length);
+        const size = Math.ceil(2 * (radius + CONFIG.blot.menu.itemSize / 2) + 8);
+        this.menuWidth = size;
+        this.menuHeight = size;
+        this.updateSize();
+        this.updatePosition();
+        this.renderBlot(false);
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    itemHTML(action, x, y, classes, delay) {
+        const shortcut = action.shortcut ? ` (${action.shortcut})` : '';
+        const style = [`--x: ${x.toFixed(1)}px`, `--y: ${y.toFixed(1)}px`];
+        if (delay !== null) style.push(`--delay: ${delay}s`);
+        if (action.swatch) style.push(`--swatch: ${action.swatch}`);
+        const ring = this.childrenOf(action.id).length > 0
+            ? ` aria-haspopup="menu" aria-expanded="${this.openRingId === action.id}"`
+            : '';
+        return `<div class="${classes.join(' ')}" data-action="${this.escapeHTML(action.id)}"` +
+            ` role="menuitem" tabindex="-1"${ring}` +
+            ` aria-label="${this.escapeHTML((action.title || action.id) + shortcut)}"` +
+            ` title="${this.escapeHTML((action.title || action.id) + shortcut)}"` +
+            ` style="${this.escapeHTML(style.join('; '))}">${this.escapeHTML(action.label)}</div>`;
+    }
+
+    getMenuHTML(animate = true) {
+        let html = '';
+        // Use current blot center as reference
+        const { centerX, centerY } = this.getCurrentCenterOffsets();
+        const items = this.topLevelActions();
+        const radius = this.ringRadius(items.length);
+        const { itemSize, itemSpacing } = CONFIG.blot.menu;
+        
+        items.forEach((action, index) => {
+            // Evenly spaced, starting at the top and going clockwise
+            const angle = -Math.PI / 2 + index * 2 * Math.PI / items.length;
+            const x = centerX + radius * Math.cos(angle);
+            const y = centerY + radius * Math.sin(angle);
+            const children = this.childrenOf(action.id);
+            const classes = ['menu-item'];
+            if (animate) classes.push('appear');
+            if (action.swatch) classes.push('swatch');
+            if (children.length > 0) classes.push('ring');
+            if (this.openRingId === action.id) classes.push('open');
+            html += this.itemHTML(action, x, y, classes, animate ? index * 0.05 : null);
+
+            if (this.openRingId === action.id) {
+                // Sub-ring: an arc on the next ring out, centered on the parent item
+                const outer = radius + itemSize + 6;
+                const step = itemSize * itemSpacing / outer;
+                children.forEach((child, childIndex) => {
+                    const childAngle = angle + (childIndex - (children.length - 1) / 2) * step;
+                    const childClasses = ['menu-item', 'sub', 'appear'];
+                    if (child.swatch) childClasses.push('swatch');
+                    html += this.itemHTML(child,
+                        centerX + outer * Math.cos(childAngle),
+                        centerY + outer * Math.sin(childAngle),
+                        childClasses, childIndex * 0.03);
+                });
+            }
+        });
+        return html;
+    }
+
+    // Called from ThoughtManager when menu item is clicked
+    executeAction(actionId) {
+        const action = this.actions.get(actionId);
+        if (!action) return;
+
+        // Ring items open (or close) their sub-ring
+        if (this.childrenOf(actionId).length > 0) {
+            this.openRing(this.openRingId === actionId ? null : actionId);
+            return;
+        }
+
+        // Use targetThought (the thought we're positioned next to) instead of currentThought
+        const targetThought = this.targetThought;
+        if (!targetThought || !action.run) return;
+        // A multi-selection containing the target is acted on as a whole
+        const targets = app.selectionManager.targetsFor(targetThought);
+        action.run({ target: targetThought, targets, blot: this });
+        this.collapseMenu();
+    }
+
+    openRing(id) {
+        if (this.openRingId === id) return;
+        this.openRingId = id;
+        this.renderBlot(false);
+    }
+}
@@ -0,0 +1,306 @@
+/**
+ * MODULE: Board Sync
+ * PURPOSE: Keep a notebook live across tabs, windows and sync clients without them
+ * overwriting each other
+ * 
+ * INPUTS:
+ * - Boards handed over by ThoughtManager.saveThoughts
+ * - Change notifications from storage.watch (other tabs, the sync server's feed)
+ * - The board as others stored it, read back through the storage adapter
+ * 
+ * OUTPUTS:
+ * - Others' creates, edits, moves and deletes applied to the live board
+ * - board.sync = { stamps, tombstones } saved with the board:
+ *   stamps: { id: time of the last change }, tombstones: { id: time of deletion }
+ * 
+ * BEHAVIOR:
+ * - Every save first merges the stored board, so nothing anyone else wrote is lost;
+ *   a StorageConflictError means it changed again meanwhile, so load, merge and retry
+ * - Conflicts are resolved per thought, link and group: the latest change wins,
+ *   a deletion is a change too (tombstones keep deleted thoughts from coming back)
+ * - Changes are found by comparing with what was last saved or merged, so nothing
+ *   else has to report them
+ * - Loads, saves and removals run one at a time through enqueue(); saves that pile
+ *   up behind a slow one collapse into a single write of the latest board
+ * - A board closed before its save ran is still merged and saved, off screen
+ * - Tombstones older than CONFIG.sync.tombstoneTTL are forgotten
+ * - Notebook list changes are picked up too, each tab keeps its own open notebook
+ * - Remote changes don't go on this tab's undo history
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { StorageConflictError } from './storage.js';
+
+// Stored boards come from other tabs and clients - a missing or broken list is an empty one
+function listOf(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+export class BoardSync {
+    constructor() {
+        // boardId -> { known, stamps, tombstones, board }: known maps id -> JSON of each
+        // thought / link / group as last saved or merged, board is the last one handed over
+        this.states = new Map();
+        this.queue = Promise.resolve();
+        this.pending = new Map(); // boardId -> queued write that hasn't started yet
+        this.applying = false;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        window.addEventListener('storage', (e) => {
+            if (e.key === CONFIG.notebooks.storageKey && app.notebookManager) {
+                app.notebookManager.reloadIndex();
+            }
+        });
+    }
+
+    // Run a storage job once the ones before it are done, so nothing overtakes a save
+    enqueue(job) {
+        const result = this.queue.then(job);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // The board is on the canvas, not just being loaded
+    isOpen(boardId) {
+        return Boolean(app.thoughtManager) && app.thoughtManager.boardId === boardId && !app.thoughtManager.loading;
+    }
+
+    // Every thought, link and group of a board by id
+    entities(board) {
+        const map = new Map();
+        listOf(board.thoughts).forEach(record => {
+            // Which thought is active is this tab's business, stacking (z) is shared
+            const { isActive, ...shared } = record;
+            map.set(record.id, { kind: 'thought', record, json: JSON.stringify(shared) });
+        });
+        listOf(board.links).forEach(link => {
+            map.set(link.id, { kind: 'link', record: link, json: JSON.stringify(link) });
+        });
+        listOf(board.groups).forEach(group => {
+            map.set(group.id, { kind: 'group', record: group, json: JSON.stringify(group) });
+        });
+        return map;
+    }
+
+    remember(state, board) {
+        state.known = new Map([...this.entities(board)].map(([id, entity]) => [id, entity.json]));
+    }
+
+    // Called by ThoughtManager.loadThoughts - the stored board is the starting point
+    reset(boardId, board) {
+        const sync = (board && board.sync) || {};
+        const state = { stamps: { ...sync.stamps }, tombstones: { ...sync.tombstones }, board: null };
+        this.remember(state, board || { thoughts: [] });
+        this.states.set(boardId, state);
+    }
+
+    // Stamp whatever changed locally since the last save or merge
+    stampLocal(state, board) {
+        const now = Date.now();
+        const current = this.entities(board);
+        current.forEach((entity, id) => {
+            if (state.known.get(id) !== entity.json) {
+                state.stamps[id] = now;
+                delete state.tombstones[id];
+            }
+        });
+        state.known.forEach((json, id) => {
+            if (!current.has(id)) {
+                state.tombstones[id] = now;
+                delete state.stamps[id];
+            }
+        });
+        this.remember(state, board);
+    }
+
+    /**
+     * Store a board as ThoughtManager has it right now. Changes are stamped
+     * immediately, the write itself waits its turn in the queue.
+     */
+    save(boardId, board) {
+        const state = this.states.get(boardId);
+        if (!state) return Promise.resolve();
+        this.stampLocal(state, board);
+        state.board = board;
+
+        if (!this.pending.has(boardId)) {
+            this.pending.set(boardId, this.enqueue(() => {
+                this.pending.delete(boardId);
+                return this.write(boardId);
+            }));
+        }
+        return this.pending.get(boardId);
+    }
+
+    async write(boardId) {
+        for (let attempt = 0; ; attempt++) {
+            const board = this.merge(boardId, await app.storage.load(boardId));
+            try {
+                await app.storage.save(boardId, board);
+                return;
+            } catch (err) {
+                if (!(err instanceof StorageConflictError) || attempt >= CONFIG.storage.saveRetries) {
+                    throw err;
+                }
+            }
+        }
+    }
+
+    /**
+     * Merge a stored board into ours, newest change per id wins - into the live board
+     * if it's open, into the board last handed to save() if not.
+     * Returns the merged board with its sync data, ready to be stored.
+     */
+    merge(boardId, stored) {
+        const state = this.states.get(boardId);
+        const open = this.isOpen(boardId);
+        if (open) {
+            this.stampLocal(state, app.thoughtManager.getBoardData());
+        }
+        const local = open ? app.thoughtManager.getBoardData() : state.board;
+        const changes = stored ? this.resolve(state, local, stored) : [];
+
+        let board;
+        if (open) {
+            this.apply(changes);
+            board = app.thoughtManager.getBoardData();
+        } else {
+            board = this.patch(local, changes);
+        }
+        state.board = board;
+        this.remember(state, board);
+        this.forgetOldTombstones(state);
+        return { ...board, sync: { stamps: { ...state.stamps }, tombstones: { ...state.tombstones } } };
+    }
+
+    // Which of the stored board's thoughts, links and groups are newer than ours
+    resolve(state, local, stored) {
+        const sync = stored.sync || {};
+        const storedStamps = sync.stamps || {};
+        const storedTombstones = sync.tombstones || {};
+        const live = this.entities(local);
+        const incoming = this.entities(stored);
+        const ids = new Set([...incoming.keys(), ...Object.keys(storedTombstones)]);
+        const changes = [];
+
+        ids.forEach(id => {
+            const localTime = state.stamps[id] || state.tombstones[id] || 0;
+            const storedTime = storedStamps[id] || storedTombstones[id] || 0;
+            // Unstamped entries we've never seen (boards from before sync) still come in
+            if (storedTime < localTime) return;
+            if (storedTime === localTime && (live.has(id) || state.tombstones[id])) return;
+
+            if (storedTombstones[id]) {
+                state.tombstones[id] = storedTime;
+                delete state.stamps[id];
+                if (live.has(id)) {
+                    changes.push({ kind: live.get(id).kind, id, state: null });
+                }
+            } else if (incoming.has(id)) {
+                state.stamps[id] = storedTime;
+                delete state.tombstones[id];
+                if (!live.has(id) || live.get(id).json !== incoming.get(id).json) {
+                    changes.push({ kind: incoming.get(id).kind, id, state: incoming.get(id).record });
+                }
+            }
+        });
+        return changes;
+    }
+
+    forgetOldTombstones(state) {
+        const cutoff = Date.now() - CONFIG.sync.tombstoneTTL;
+        Object.keys(state.tombstones).forEach(id => {
+            if (state.tombstones[id] < cutoff) {
+                delete state.tombstones[id];
+            }
+        });
+    }
+
+    // Put others' changes on the canvas - thoughts first so links have both ends
+    apply(changes) {
+        if (changes.length === 0) return;
+        const order = { thought: 0, link: 1, group: 2 };
+        changes.sort((a, b) => order[a.kind] - order[b.kind]);
+
+        this.applying = true;
+        try {
+            changes.forEach(({ kind, id, state }) => {
+                if (kind === 'thought' && state) {
+                    app.thoughtManager.applyThoughtState(id, app.thoughts.length, state);
+                } else if (kind === 'thought') {
+                    const thought = app.thoughts.find(t => t.id === id);
+                    if (thought) {
+                        app.thoughtManager.removeThought(thought);
+                    }
+                } else if (kind === 'link') {
+                    app.connectorLayer.applyLinkState(id, app.connectorLayer.links.length, state);
+                } else {
+                    app.selectionManager.applyGroupState(id, app.selectionManager.groups.length, state);
+                }
+            });
+        } finally {
+            this.applying = false; // Left on, every save after a bad change would be dropped
+        }
+
+        app.connectorLayer.dropDangling();
+        app.selectionManager.renderGroups();
+        if (app.blot) {
+            app.blot.onCurrentThoughtChanged();
+        }
+        if (app.searchOverlay) {
+            app.searchOverlay.refresh();
+        }
+        if (app.tagSidebar) {
+            app.tagSidebar.refresh();
+        }
+    }
+
+    // The same changes made to a board that isn't on the canvas
+    patch(board, changes) {
+        const lists = { thought: 'thoughts', link: 'links', group: 'groups' };
+        const patched = {
+            ...board,
+            thoughts: [...board.thoughts],
+            links: [...(board.links || [])],
+            groups: [...(board.groups || [])]
+        };
+        changes.forEach(({ kind, id, state }) => {
+            const list = patched[lists[kind]];
+            const index = list.findIndex(item => item.id === id);
+            if (!state) {
+                if (index !== -1) list.splice(index, 1);
+            } else if (index === -1) {
+                list.push(state);
+            } else if (kind === 'thought') {
+                list[index] = { ...state, isActive: list[index].isActive };
+            } else {
+                list[index] = state;
+            }
+        });
+        const thoughtIds = new Set(patched.thoughts.map(t => t.id));
+        patched.links = patched.links.filter(link => thoughtIds.has(link.from) && thoughtIds.has(link.to));
+        return patched;
+    }
+
+    // Someone else saved this board - called through storage.watch
+    pull(boardId) {
+        return this.enqueue(async () => {
+            if (!this.isOpen(boardId)) return;
+            const stored = await app.storage.load(boardId);
+            if (stored && this.isOpen(boardId)) {
+                this.merge(boardId, stored);
+            }
+        }).catch(err => console.warn('NoteAI: could not fetch the changed board', err));
+    }
+
+    // The notebook was deleted - after any save still waiting for it
+    remove(boardId) {
+        return this.enqueue(() => {
+            this.states.delete(boardId);
+            return app.storage.remove(boardId);
+        });
+    }
+}
@@ -0,0 +1,470 @@
+/**
+ * MODULE: Board Transfer
+ * PURPOSE: Get boards in and out of the browser - JSON, Markdown and SVG export, JSON import
+ * 
+ * INPUTS:
+ * - Board menu (export / import buttons) and the hidden file input
+ * - Current board from ThoughtManager.getBoardData
+ * 
+ * OUTPUTS:
+ * - Downloaded files (.noteai.json, .md, .svg)
+ * - Imported thoughts, merged into or replacing the current board
+ * 
+ * BEHAVIOR:
+ * - JSON files wrap the saved board schema, so they round-trip through import;
+ *   attached files ride along as data URLs in attachments: { id: dataUrl }
+ * - Markdown lists thoughts in reading order (rows top-to-bottom, then left-to-right),
+ *   attachments as links to their file name
+ * - SVG keeps positions and the Georgia styling of the canvas, with images embedded
+ * - Imports are validated before anything changes, and are undoable
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { generateId } from './helpers.js';
+import { migrateBoardData, normalizeThoughtRecord } from './schema.js';
+import { splitRunLines } from './rich-text.js';
+import { markdownToRuns, runsToMarkdown } from './markdown.js';
+import { isImageAttachment, blobToDataUrl, dataUrlToBlob } from './attachments.js';
+
+export class BoardTransfer {
+    constructor() {
+        this.menu = document.getElementById('boardMenu');
+        this.fileInput = document.getElementById('importFile');
+        this.importMode = 'merge';
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('boardMenuButton').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.menu.classList.toggle('open');
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            const action = e.target.getAttribute('data-transfer');
+            if (!action) return;
+            this.menu.classList.remove('open');
+
+            switch (action) {
+                case 'json':
+                    this.exportJSON();
+                    break;
+                case 'markdown':
+                    this.exportMarkdown();
+                    break;
+                case 'svg':
+                    this.exportSVG();
+                    break;
+                case 'import-merge':
+                case 'import-replace':
+                    this.importMode = action === 'import-merge' ? 'merge' : 'replace';
+                    this.fileInput.value = '';
+                    this.fileInput.click();
+                    break;
+            }
+        });
+
+        // Close the menu on any click elsewhere
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest || !e.target.closest('#boardMenuButton, #boardMenu')) {
+                this.menu.classList.remove('open');
+            }
+        });
+
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            if (file) {
+                file.text()
+                    .then(text => this.importText(text, this.importMode))
+                    .catch(err => {
+                        console.warn('NoteAI: could not import the board', err);
+                        alert('Could not import: ' + (err && err.message ? err.message : 'something went wrong.'));
+                    });
+            }
+        });
+    }
+
+    // === EXPORT ===
+
+    fileBaseName() {
+        const name = app.notebookManager.activeNotebook.name;
+        return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'noteai';
+    }
+
+    download(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    buildBoardFile() {
+        return {
+            format: CONFIG.transfer.fileFormat,
+            name: app.notebookManager.activeNotebook.name,
+            exported: new Date().toISOString(),
+            board: app.thoughtManager.getBoardData()
+        };
+    }
+
+    async exportJSON() {
+        const file = this.buildBoardFile();
+        const attachments = await this.attachmentData(file.board.thoughts);
+        if (Object.keys(attachments).length > 0) {
+            file.attachments = attachments;
+        }
+        const json = JSON.stringify(file, null, 2);
+        this.download(json, this.fileBaseName() + '.noteai.json', 'application/json');
+    }
+
+    // Data URLs of the files attached to these thoughts, by attachment id - missing ones are left out
+    async attachmentData(records) {
+        const data = {};
+        for (const record of records) {
+            if (!record.attachment || data[record.attachment.id]) continue;
+            let blob = null;
+            try {
+                blob = await app.storage.loadAttachment(record.attachment.id);
+            } catch (err) {
+                console.warn('NoteAI: leaving out attachment', record.attachment.name, err);
+            }
+            if (blob) {
+                data[record.attachment.id] = await blobToDataUrl(blob);
+            }
+        }
+        return data;
+    }
+
+    // Thoughts whose y is within rowTolerance of a row's first thought share that row
+    readingOrder(records) {
+        const byY = [...records].sort((a, b) => a.y - b.y);
+        const rows = [];
+        byY.forEach(record => {
+            const row = rows[rows.length - 1];
+            if (row && record.y - row[0].y <= CONFIG.transfer.rowTolerance) {
+                row.push(record);
+            } else {
+                rows.push([record]);
+            }
+        });
+        return rows.flatMap(row => row.sort((a, b) => a.x - b.x));
+    }
+
+    toMarkdown(name, records) {
+        const blocks = this.readingOrder(records)
+            .filter(record => record.text.trim())
+            // Markdown thoughts already are Markdown, hard breaks keep the others' line breaks
+            .map(record => {
+                if (record.attachment) {
+                    // Brackets in the name would end the label, spaces and parentheses the target
+                    const label = record.attachment.name.replace(/[[\]\\]/g, '\\$&');
+                    const target = encodeURIComponent(record.attachment.name)
+                        .replace(/[()]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+                    const link = `[${label}](${target})`;
+                    return isImageAttachment(record.attachment) ? '!' + link : link;
+                }
+                return record.markdown ? record.text : runsToMarkdown(record.runs, '  \n');
+            });
+        return `# ${name}\n\n` + blocks.join('\n\n') + '\n';
+    }
+
+    exportMarkdown() {
+        const board = app.thoughtManager.getBoardData();
+        const markdown = this.toMarkdown(app.notebookManager.activeNotebook.name, board.thoughts);
+        this.download(markdown, this.fileBaseName() + '.md', 'text/markdown');
+    }
+
+    escapeXML(text) {
+        return text.replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+        })[c]);
+    }
+
+    // World-space size of a thought; falls back to an estimate when it was never laid out
+    measureThought(thought, fontSize, lineHeight) {
+        const { width, height } = app.connectorLayer.thoughtBox(thought);
+        if (width > 0) {
+            return { width, height };
+        }
+        const lines = thought.text.split('\n');
+        return {
+            width: Math.max(...lines.map(line => line.length)) * fontSize * 0.55 + 20,
+            height: lines.length * lineHeight + 12
+        };
+    }
+
+    svgSegment({ text, marks }) {
+        const attributes = [];
+        if (marks.bold) attributes.push('font-weight="bold"');
+        if (marks.italic) attributes.push('font-style="italic"');
+        if (marks.code) attributes.push('font-family="Courier New, monospace"');
+        const decorations = [marks.underline && 'underline', marks.strike && 'line-through'].filter(Boolean);
+        if (decorations.length > 0) attributes.push(`text-decoration="${decorations.join(' ')}"`);
+
+        let out = this.escapeXML(text);
+        if (attributes.length > 0) out = `<tspan ${attributes.join(' ')}>${out}</tspan>`;
+        if (marks.link) out = `<a href="${this.escapeXML(marks.link)}">${out}</a>`;
+        return out;
+    }
+
+    // attachments: { id: dataUrl } of the images to embed, see attachmentData
+    toSVG(attachments = {}) {
+        const { fontSize, lineHeight, padding } = CONFIG.transfer.svg;
+        const boxes = app.thoughts.map(thought => {
+            // Thought font sizes are relative to the default .thought size
+            const scale = (thought.fontSize || CONFIG.formatting.defaultFontSize) / CONFIG.formatting.defaultFontSize;
+            return {
+                thought,
+                scale,
+                ...this.measureThought(thought, fontSize * scale, lineHeight * scale)
+            };
+        });
+
+        let minX = 0, minY = 0, maxX = 400, maxY = 300;
+        if (boxes.length > 0) {
+            minX = Math.min(...boxes.map(b => b.thought.x)) - padding;
+            minY = Math.min(...boxes.map(b => b.thought.y)) - padding;
+            maxX = Math.max(...boxes.map(b => b.thought.x + b.width)) + padding;
+            maxY = Math.max(...boxes.map(b => b.thought.y + b.height)) + padding;
+        }
+        const width = Math.ceil(maxX - minX);
+        const height = Math.ceil(maxY - minY);
+
+        const texts = boxes.map(({ thought, scale, width, height }) => {
+            if (thought.attachment && isImageAttachment(thought.attachment) && attachments[thought.attachment.id]) {
+                return `<image href="${this.escapeXML(attachments[thought.attachment.id])}" x="${thought.x}" y="${thought.y}"` +
+                    ` width="${+width.toFixed(2)}" height="${+height.toFixed(2)}"/>`;
+            }
+            // Same 6px 10px padding as .thought
+            const x = thought.x + 10;
+            const runs = thought.markdown ? markdownToRuns(thought.text) : thought.runs;
+            const lines = splitRunLines(runs).map((line, index) =>
+                `<tspan x="${x}" dy="${index === 0 ? 0 : lineHeight * scale}">` +
+                line.map(segment => this.svgSegment(segment)).join('') + '</tspan>'
+            ).join('');
+            return `<text x="${x}" y="${thought.y + 6 + fontSize * scale}"` +
+                (scale !== 1 ? ` font-size="${+(fontSize * scale).toFixed(2)}"` : '') +
+                (thought.color ? ` fill="${this.escapeXML(thought.color)}"` : '') +
+                `>${lines}</text>`;
+        }).join('\n    ');
+
+        const connectors = app.connectorLayer.links
+            .map(link => app.connectorLayer.pathFor(link))
+            .filter(Boolean)
+            .map(d => `<path d="${d}"/>`)
+            .join('\n    ');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${minX} ${minY} ${width} ${height}">
+  <defs>
+    <linearGradient id="parchment" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#f4e4bc"/>
+      <stop offset="100%" stop-color="#e8d5a3"/>
+    </linearGradient>
+    <marker id="arrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+      <path d="M 0 1 L 9 5 L 0 9 Q 2.5 5 0 1 Z" fill="#2c1810"/>
+    </marker>
+  </defs>
+  <rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="url(#parchment)"/>
+  <g fill="none" stroke="#2c1810" stroke-opacity="0.75" stroke-width="2" stroke-linecap="round" marker-end="url(#arrow)">
+    ${connectors}
+  </g>
+  <g font-family="Georgia, serif" font-size="${fontSize}" fill="#2c1810" xml:space="preserve">
+    ${texts}
+  </g>
+</svg>
+`;
+    }
+
+    async exportSVG() {
+        const attachments = await this.attachmentData(app.thoughts.filter(t => isImageAttachment(t.attachment)));
+        this.download(this.toSVG(attachments), this.fileBaseName() + '.svg', 'image/svg+xml');
+    }
+
+    // === IMPORT ===
+
+    // Returns { board, errors } - board is only set when the file is usable
+    validate(data) {
+        const errors = [];
+        let raw = data;
+
+        // Accept our export wrapper, or a bare saved board (either schema version)
+        if (data && !Array.isArray(data) && data.format !== undefined) {
+            if (data.format !== CONFIG.transfer.fileFormat) {
+                errors.push(`Unknown file format "${data.format}".`);
+            }
+            raw = data.board;
+        }
+
+        const version = Array.isArray(raw) ? 1 : raw && raw.version;
+        if (!raw || typeof raw !== 'object') {
+            errors.push('File has no board in it.');
+        } else if (typeof version !== 'number' || version < 1) {
+            errors.push('Board has no schema version.');
+        } else if (version > CONFIG.typing.schemaVersion) {
+            errors.push(`Board was saved by a newer NoteAI (schema ${version}).`);
+        } else if (!Array.isArray(Array.isArray(raw) ? raw : raw.thoughts)) {
+            errors.push('Board has no thoughts list.');
+        } else {
+            const records = Array.isArray(raw) ? raw : raw.thoughts;
+            records.forEach((record, index) => {
+                if (!record || typeof record.text !== 'string') {
+                    errors.push(`Thought ${index + 1} has no text.`);
+                } else if (!Number.isFinite(record.x) || !Number.isFinite(record.y)) {
+                    errors.push(`Thought ${index + 1} has no valid position.`);
+                }
+            });
+            if (raw.groups !== undefined && (!Array.isArray(raw.groups) ||
+                raw.groups.some(group => !group || !Array.isArray(group.members)))) {
+                errors.push('Board groups must be a list of { name, members }.');
+            }
+            if (raw.links !== undefined && !Array.isArray(raw.links)) {
+                errors.push('Board links must be a list.');
+            } else {
+                (raw.links || []).forEach((link, index) => {
+                    if (!link || typeof link.from !== 'string' || typeof link.to !== 'string') {
+                        errors.push(`Link ${index + 1} is missing its ends.`);
+                    }
+                });
+            }
+        }
+
+        if (errors.length > 0) {
+            return { board: null, errors };
+        }
+        const board = migrateBoardData(raw);
+        board.thoughts = board.thoughts.map((record, index) => normalizeThoughtRecord(record, index));
+        return { board, errors };
+    }
+
+    // Resolves to whether anything was imported
+    async importText(text, mode) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            alert('Could not import: the file is not valid JSON.');
+            return false;
+        }
+
+        const { board, errors } = this.validate(data);
+        if (!board) {
+            alert('Could not import:\n\n' + errors.slice(0, 5).join('\n'));
+            return false;
+        }
+        if (mode === 'replace' && app.thoughts.length > 0 &&
+            !confirm(`Replace the ${app.thoughts.length} thoughts in this notebook with the imported board?`)) {
+            return false;
+        }
+
+        // Attached files are stored first, so no imported thought points at a missing one
+        try {
+            await this.storeAttachments(board, data.attachments);
+        } catch (err) {
+            console.warn('NoteAI: could not store imported attachments', err);
+            alert('Could not import: the attached files could not be stored.');
+            return false;
+        }
+        this.applyImport(board, mode);
+        return true;
+    }
+
+    // Imported files get new ids, so they never overwrite a file already in storage -
+    // the board's thoughts are pointed at them
+    async storeAttachments(board, attachments) {
+        if (!attachments || typeof attachments !== 'object') return;
+        const idMap = new Map();
+        for (const [id, dataUrl] of Object.entries(attachments)) {
+            if (typeof dataUrl === 'string' && dataUrl.startsWith('data:')) {
+                const newId = generateId('attachment');
+                await app.storage.saveAttachment(newId, dataUrlToBlob(dataUrl));
+                idMap.set(id, newId);
+            }
+        }
+        board.thoughts = board.thoughts.map(record => (
+            record.attachment && idMap.has(record.attachment.id)
+                ? { ...record, attachment: { ...record.attachment, id: idMap.get(record.attachment.id) } }
+                : record
+        ));
+    }
+
+    // Also how the timeline restores and copies, under label 'restore'
+    applyImport(board, mode, label = 'import') {
+        app.thoughtManager.releaseCurrentThought(label);
+
+        const changes = [];
+        if (mode === 'replace') {
+            // Last-to-first, like clearAllThoughts, so undo re-inserts in order - links before thoughts
+            const removals = [
+                ...app.selectionManager.removalChanges(),
+                ...app.connectorLayer.links.map((link, index) => (
+                    { kind: 'link', id: link.id, index, before: { ...link }, after: null }
+                )).reverse(),
+                ...app.thoughts.map((t, index) => (
+                    { id: t.id, index, before: t.snapshot(), after: null }
+                )).reverse()
+            ];
+            removals.forEach(change => {
+                if (change.kind === 'group') {
+                    app.selectionManager.applyGroupState(change.id, change.index, null);
+                } else if (change.kind === 'link') {
+                    app.connectorLayer.applyLinkState(change.id, change.index, null);
+                } else {
+                    app.thoughtManager.applyThoughtState(change.id, change.index, null);
+                }
+                changes.push(change);
+            });
+        }
+
+        // Merging a board into itself (or a copy) shouldn't collide ids
+        const takenIds = new Set(app.thoughts.map(t => t.id));
+        const idMap = new Map();
+        // Merged thoughts stack on top of what is already there, in their own order
+        const top = app.thoughts.reduce((z, thought) => Math.max(z, thought.z + 1), 0);
+        [...board.thoughts].sort((a, b) => a.z - b.z).forEach((record, order) => {
+            const id = takenIds.has(record.id) ? generateId('thought') : record.id;
+            takenIds.add(id);
+            idMap.set(record.id, id);
+            const after = { ...record, id, isActive: false, z: mode === 'replace' ? record.z : top + order };
+            const change = { id, index: app.thoughts.length, before: null, after };
+            app.thoughtManager.applyThoughtState(change.id, change.index, after);
+            changes.push(change);
+        });
+
+        (board.links || []).forEach(link => {
+            if (!idMap.has(link.from) || !idMap.has(link.to)) return;
+            const after = {
+                id: generateId('link'),
+                from: idMap.get(link.from),
+                to: idMap.get(link.to),
+                created: link.created || Date.now()
+            };
+            const change = { kind: 'link', id: after.id, index: app.connectorLayer.links.length, before: null, after };
+            app.connectorLayer.applyLinkState(change.id, change.index, after);
+            changes.push(change);
+        });
+
+        (board.groups || []).forEach(group => {
+            const members = group.members.filter(id => idMap.has(id)).map(id => idMap.get(id));
+            if (members.length === 0) return;
+            const after = { id: generateId('group'), name: group.name, members };
+            const change = { kind: 'group', id: after.id, index: app.selectionManager.groups.length, before: null, after };
+            app.selectionManager.applyGroupState(change.id, change.index, after);
+            changes.push(change);
+        });
+
+        app.thoughtManager.history.record(label, changes);
+        if (mode === 'replace' && board.viewport) {
+            app.viewport.setState(board.viewport);
+        }
+        app.thoughtManager.saveThoughts();
+        app.thoughtManager.updateMouseBlob();
+        if (app.blot) {
+            app.blot.onCurrentThoughtChanged();
+        }
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * MODULE: Configuration
+ * PURPOSE: Every tunable NoteAI value in one place - sizes, timings, storage and provider settings
+ */
+
+export const CONFIG = {
+    blot: {
+        moveSpeed: 0.08, // Share of the way left that goes into the velocity each frame, times (1 - smoothingFactor)
+        approachDistance: 120, // Screen pixels from its spot past which the blot is approaching
+        patientDistance: 110, // ...until it's back this close - also how far it wanders
+        menuRadius: 50, // Smallest radius of the radial menu, it grows with the item count
+        smoothingFactor: 0.92, // Share of the velocity kept from frame to frame
+        idleDelay: 6000, // ms without typing before the blot wanders off
+        wanderPause: 4000, // ms between wander spots
+        wanderFor: 30000, // ms of wandering before it settles in its spot and stops animating
+        typingWindow: 2000, // ms of keystrokes the typing speed is measured over
+        fastTyping: 6, // Characters per second that count as typing fast
+        hop: 0.6, // Screen pixels per frame a keystroke bounces the blot up, doubled when typing fast
+        wobble: 0.05, // How far the ink body breathes while it animates, a share of its size
+        menu: {
+            itemSize: 24,
+            itemSpacing: 1.3 // Gap between items as a multiple of itemSize
+        }
+    },
+    formatting: {
+        defaultFontSize: 1.2, // rem, matching .thought
+        fontSizes: [0.8, 1.0, 1.2, 1.6, 2.2, 3.0],
+        // First ink is the default and clears any color
+        inks: [
+            { name: 'Ink', color: '#2c1810' },
+            { name: 'Navy', color: '#1f3a5f' },
+            { name: 'Oxblood', color: '#6b1d1d' },
+            { name: 'Moss', color: '#2f5233' },
+            { name: 'Ochre', color: '#8a5a00' },
+            { name: 'Plum', color: '#4b2c5e' }
+        ],
+        // Highlight colors for sorting thoughts into categories - color is the swatch,
+        // wash the translucent background. The first one clears the highlight.
+        tints: [
+            { name: 'None', color: 'transparent', wash: null },
+            { name: 'Sun', color: '#e0b13a', wash: 'rgba(242, 201, 76, 0.35)' },
+            { name: 'Rose', color: '#c96a6a', wash: 'rgba(214, 96, 96, 0.25)' },
+            { name: 'Sky', color: '#5b8cc4', wash: 'rgba(86, 140, 199, 0.25)' },
+            { name: 'Leaf', color: '#5f9a5f', wash: 'rgba(96, 160, 96, 0.25)' },
+            { name: 'Heather', color: '#9670b4', wash: 'rgba(150, 110, 180, 0.25)' }
+        ]
+    },
+    typing: {
+        mouseStillThreshold: 30,
+        storageKey: 'noteai-thoughts',
+        schemaVersion: 3
+    },
+    history: {
+        limit: 100,
+        storageKey: 'noteai-history'
+    },
+    notebooks: {
+        storageKey: 'noteai-notebooks',
+        defaultName: 'Notebook',
+        sharedName: 'Shared notebook' // Boards found in storage that the index doesn't list
+    },
+    storage: {
+        adapter: 'indexedDB', // 'indexedDB', 'localStorage' or 'remote', see STORAGE ADAPTERS
+        saveRetries: 3, // Load-merge-save rounds before a conflicting save gives up
+        indexedDB: {
+            name: 'noteai',
+            store: 'boards',
+            attachmentStore: 'attachments',
+            snapshotStore: 'snapshots'
+        },
+        remote: {
+            endpoint: 'http://localhost:8788', // Run `node server/noteai-sync-server.mjs`
+            apiKey: '',
+            timeout: 8000,
+            reconnectDelay: 2000
+        }
+    },
+    snapshots: {
+        storageKey: 'noteai-snapshots', // Only used by the localStorage adapter
+        interval: 5 * 60 * 1000, // ms between automatic snapshots, taken only if the board changed
+        keep: 48, // Automatic snapshots kept per board, named ones are kept until deleted
+        replayDuration: 8000 // ms for the timeline to play from the first version to now
+    },
+    attachments: {
+        storageKey: 'noteai-attachments', // Only used by the localStorage adapter
+        maxSize: 20 * 1024 * 1024, // Bytes
+        imageWidth: 320, // Widest an image is shown on the canvas, world units
+        offset: 24 // Several files dropped at once are fanned out by this much
+    },
+    transfer: {
+        fileFormat: 'noteai-board',
+        rowTolerance: 40, // World units - thoughts this close vertically read as one row
+        svg: {
+            fontSize: 19.2, // 1.2rem, matching .thought
+            lineHeight: 23,
+            padding: 24
+        }
+    },
+    assistant: {
+        provider: 'offline', // 'offline' or 'remote'
+        clusterRadius: 250, // World units around the target thought
+        maxKeywords: 6,
+        maxTags: 4,
+        maxRelated: 5,
+        relatedThreshold: 0.1,
+        summarySentences: 3,
+        remote: {
+            enabled: false, // Run `node server/noteai-mock-llm.mjs` and flip this on to try it
+            endpoint: 'http://localhost:8787/assist',
+            model: 'noteai-mock',
+            apiKey: '',
+            timeout: 8000
+        }
+    },
+    sync: {
+        channelName: 'noteai-sync',
+        tombstoneTTL: 30 * 24 * 60 * 60 * 1000 // Deleted ids are remembered for 30 days
+    },
+    layout: {
+        animationDuration: 350, // ms
+        gridSize: 40, // World units
+        gap: 16, // World units kept between thoughts that are spread out or pushed apart
+        overlapIterations: 50,
+        force: {
+            idealLength: 180, // World units between linked thoughts
+            gravity: 0.1, // Pull toward the middle, keeps unlinked thoughts from drifting off
+            iterations: 300,
+            maxThoughts: 300 // Larger selections or boards are refused, see AutoLayout
+        }
+    },
+    touch: {
+        longPressDelay: 500, // ms a finger or pen rests on a thought before the blot menu opens
+        moveTolerance: 10 // Screen pixels a finger may wander and still tap or long-press
+    },
+    keyboard: {
+        cursorStep: 20, // Screen pixels per arrow press
+        bigStep: 100, // With Shift held
+        crossAxisWeight: 2, // Arrow navigation prefers thoughts in line over closer ones off to the side
+        viewMargin: 60 // Screen pixels - focus or the cursor this close to the edge pans the board
+    },
+    viewport: {
+        minZoom: 0.2,
+        maxZoom: 4,
+        wheelZoomSpeed: 0.0015,
+        pinchZoomSpeed: 0.01, // Trackpad pinches arrive as ctrl+wheel with small deltas
+        saveDelay: 300,
+        flyDuration: 400
+    },
+    spatial: {
+        cellSize: 256, // World units per grid cell of the spatial index
+        cullMargin: 300 // Screen pixels around the screen where thoughts stay laid out
+    },
+    debug: {
+        modeOverlay: false // Show the mode machine's state and last transition (?debug in the URL does too)
+    }
+};
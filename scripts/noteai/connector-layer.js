@@ -0,0 +1,279 @@
+/**
+ * MODULE: Connector Layer
+ * PURPOSE: Directed links between thoughts, drawn as ink curves behind the thoughts
+ * 
+ * INPUTS:
+ * - Link mode toggle (#linkModeButton) or Alt + drag from a thought
+ * - Thought moves and text changes (Thought.moveTo / input)
+ * 
+ * OUTPUTS:
+ * - SVG paths on #linksLayer, which the Viewport transforms along with the thoughts
+ * - Links saved with the board: [{ id, from, to, created }]
+ * - 'link' history changes ({ kind: 'link', id, index, before, after })
+ * 
+ * BEHAVIOR:
+ * - Drag from one thought to another to link them; dropping anywhere else cancels
+ * - In link mode, clicking a connector deletes it
+ * - Connectors end at the thought's edge, not its center, and re-route as thoughts move
+ * - Links whose ends are gone are dropped, so deleting a thought deletes its links
+ */
+
+import { app } from './state.js';
+import { generateId } from './helpers.js';
+
+export class ConnectorLayer {
+    constructor() {
+        this.svg = document.getElementById('linksLayer');
+        this.group = this.svg.querySelector('.links');
+        this.button = document.getElementById('linkModeButton');
+        this.links = [];
+        this.elements = new Map(); // link id -> { hit, bleed, ink }
+        this.linkMode = false;
+        this.linkSource = null;
+        this.preview = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setLinkMode(!this.linkMode);
+        });
+
+        this.group.addEventListener('click', (e) => {
+            const linkId = e.target.getAttribute('data-link');
+            const link = this.links.find(l => l.id === linkId);
+            if (link && this.linkMode) {
+                e.stopPropagation();
+                this.deleteLink(link);
+            }
+        });
+    }
+
+    get isLinking() {
+        return this.linkSource !== null;
+    }
+
+    setLinkMode(on) {
+        this.linkMode = on;
+        document.body.classList.toggle('link-mode', on);
+        this.button.classList.toggle('active', on);
+    }
+
+    // World-space box of a thought, as the spatial index last measured it
+    thoughtBox(thought) {
+        const { width, height } = app.spatialIndex.boxOf(thought);
+        return {
+            width,
+            height,
+            cx: thought.x + width / 2,
+            cy: thought.y + height / 2
+        };
+    }
+
+    // Where the line from the box center toward (towardX, towardY) leaves the box
+    edgePoint(box, towardX, towardY) {
+        const dx = towardX - box.cx;
+        const dy = towardY - box.cy;
+        if (dx === 0 && dy === 0) {
+            return { x: box.cx, y: box.cy };
+        }
+        const scaleX = dx !== 0 ? (box.width / 2) / Math.abs(dx) : Infinity;
+        const scaleY = dy !== 0 ? (box.height / 2) / Math.abs(dy) : Infinity;
+        const scale = Math.min(scaleX, scaleY, 1);
+        return { x: box.cx + dx * scale, y: box.cy + dy * scale };
+    }
+
+    // Gently bowed cubic, like a quick pen stroke
+    curvePath(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = Math.hypot(dx, dy) || 1;
+        const bow = Math.min(40, length * 0.15);
+        const nx = -dy / length * bow;
+        const ny = dx / length * bow;
+        const c1x = x1 + dx * 0.3 + nx;
+        const c1y = y1 + dy * 0.3 + ny;
+        const c2x = x1 + dx * 0.7 + nx * 0.6;
+        const c2y = y1 + dy * 0.7 + ny * 0.6;
+        const r = (n) => Math.round(n * 10) / 10;
+        return `M ${r(x1)} ${r(y1)} C ${r(c1x)} ${r(c1y)}, ${r(c2x)} ${r(c2y)}, ${r(x2)} ${r(y2)}`;
+    }
+
+    pathFor(link) {
+        const from = app.thoughts.find(t => t.id === link.from);
+        const to = app.thoughts.find(t => t.id === link.to);
+        if (!from || !to) return null;
+
+        const fromBox = this.thoughtBox(from);
+        const toBox = this.thoughtBox(to);
+        const start = this.edgePoint(fromBox, toBox.cx, toBox.cy);
+        const end = this.edgePoint(toBox, fromBox.cx, fromBox.cy);
+        return this.curvePath(start.x, start.y, end.x, end.y);
+    }
+
+    createPath(className, linkId) {
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('class', className);
+        if (linkId) {
+            path.setAttribute('data-link', linkId);
+        }
+        this.group.appendChild(path);
+        return path;
+    }
+
+    drawLink(link) {
+        const d = this.pathFor(link);
+        if (!d) return;
+
+        let parts = this.elements.get(link.id);
+        if (!parts) {
+            parts = {
+                bleed: this.createPath('link-bleed'),
+                ink: this.createPath('link-ink'),
+                hit: this.createPath('link-hit', link.id)
+            };
+            this.elements.set(link.id, parts);
+        }
+        // A link goes with either end when the tag filter hides it
+        const hidden = [link.from, link.to].some(id => app.tagSidebar && app.tagSidebar.hidden.has(id));
+        Object.values(parts).forEach(path => {
+            path.setAttribute('d', d);
+            path.classList.toggle('filtered-out', hidden);
+        });
+    }
+
+    eraseLink(linkId) {
+        const parts = this.elements.get(linkId);
+        if (parts) {
+            Object.values(parts).forEach(path => path.remove());
+            this.elements.delete(linkId);
+        }
+    }
+
+    render() {
+        this.elements.forEach((parts, linkId) => this.eraseLink(linkId));
+        this.links.forEach(link => this.drawLink(link));
+    }
+
+    // Called from Thought.moveTo and whenever a thought's size may have changed
+    updateForThought(thought) {
+        this.links.forEach(link => {
+            if (link.from === thought.id || link.to === thought.id) {
+                this.drawLink(link);
+            }
+        });
+    }
+
+    linksFor(thought) {
+        return this.links.filter(link => link.from === thought.id || link.to === thought.id);
+    }
+
+    // History changes that remove every link touching a thought (not applied)
+    removalChangesFor(thought) {
+        return this.linksFor(thought).map(link => ({
+            kind: 'link',
+            id: link.id,
+            index: this.links.indexOf(link),
+            before: { ...link },
+            after: null
+        }));
+    }
+
+    addLink(from, to) {
+        if (from === to) return null;
+        if (this.links.some(l => l.from === from.id && l.to === to.id)) return null;
+
+        const link = { id: generateId('link'), from: from.id, to: to.id, created: Date.now() };
+        this.links.push(link);
+        this.drawLink(link);
+        if (app.thoughtManager) {
+            app.thoughtManager.history.record('link', [
+                { kind: 'link', id: link.id, index: this.links.length - 1, before: null, after: { ...link } }
+            ]);
+            app.thoughtManager.saveThoughts();
+        }
+        return link;
+    }
+
+    deleteLink(link) {
+        const index = this.links.indexOf(link);
+        if (index === -1) return;
+
+        this.links.splice(index, 1);
+        this.eraseLink(link.id);
+        if (app.thoughtManager) {
+            app.thoughtManager.history.record('unlink', [
+                { kind: 'link', id: link.id, index, before: { ...link }, after: null }
+            ]);
+            app.thoughtManager.saveThoughts();
+        }
+    }
+
+    // History apply - state null removes the link
+    applyLinkState(id, index, state) {
+        const existing = this.links.findIndex(l => l.id === id);
+        if (existing > -1) {
+            this.links.splice(existing, 1);
+            this.eraseLink(id);
+        }
+        if (state) {
+            const link = { ...state };
+            this.links.splice(Math.min(index, this.links.length), 0, link);
+            this.drawLink(link);
+        }
+    }
+
+    // Links can't outlive their thoughts
+    dropDangling() {
+        const ids = new Set(app.thoughts.map(t => t.id));
+        this.links = this.links.filter(link => {
+            const alive = ids.has(link.from) && ids.has(link.to);
+            if (!alive) {
+                this.eraseLink(link.id);
+            }
+            return alive;
+        });
+    }
+
+    getState() {
+        return this.links.map(link => ({ ...link }));
+    }
+
+    setState(links) {
+        this.links = (links || []).map(link => ({ ...link }));
+        this.dropDangling();
+        this.render();
+    }
+
+    clear() {
+        this.links = [];
+        this.render();
+    }
+
+    // === LINK DRAGGING ===
+
+    startLinkDrag(thought) {
+        this.linkSource = thought;
+        this.preview = this.createPath('link-ink link-preview');
+        this.updateLinkDrag();
+    }
+
+    updateLinkDrag() {
+        if (!this.linkSource) return;
+        const box = this.thoughtBox(this.linkSource);
+        const point = app.viewport.screenToWorld(app.mouseX, app.mouseY);
+        const start = this.edgePoint(box, point.x, point.y);
+        this.preview.setAttribute('d', this.curvePath(start.x, start.y, point.x, point.y));
+    }
+
+    endLinkDrag(targetElement) {
+        const target = targetElement ? app.thoughts.find(t => t.element === targetElement) : null;
+        if (target && target !== this.linkSource) {
+            this.addLink(this.linkSource, target);
+        }
+        this.preview.remove();
+        this.preview = null;
+        this.linkSource = null;
+    }
+}
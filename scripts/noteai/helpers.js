@@ -0,0 +1,39 @@
+// Small DOM helpers shared by every module
+
+export function generateId(prefix) {
+    return prefix + '-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+// Toolbars and panels (.ui-panel) handle their own mouse and keyboard input
+export function isUiTarget(target) {
+    return Boolean(target && target.closest && target.closest('.ui-panel'));
+}
+
+// Read out by screen readers through the polite live region (#liveRegion)
+export function announce(message) {
+    const region = document.getElementById('liveRegion');
+    if (!region) return;
+    // Emptied first so the same message twice in a row is read again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+// Empty canvas - not a thought, the blot or a toolbar
+export function isCanvasTarget(target) {
+    return target === document.body ||
+        target === document.documentElement ||
+        target.id === 'thoughtsContainer' ||
+        target.id === 'linksLayer';
+}
+
+// The user asked for less motion - animations jump straight to where they end
+export function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// The .thought element an event landed in - the target can be a formatting tag inside it
+export function thoughtElementOf(target) {
+    return target && target.closest ? target.closest('.thought') : null;
+}
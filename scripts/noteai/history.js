@@ -0,0 +1,105 @@
+/**
+ * MODULE: History Manager
+ * PURPOSE: Command-based undo/redo stack for every thought operation
+ * 
+ * INPUTS:
+ * - Commands recorded by Thought, Blot and ThoughtManager:
+ *   { label, changes: [{ id, index, before, after }] }
+ * 
+ * OUTPUTS:
+ * - Commands handed back to ThoughtManager to apply on undo/redo
+ * - Both stacks persisted to localStorage next to the thoughts
+ * 
+ * BEHAVIOR:
+ * - Each change holds the thought data before and after (null = thought doesn't exist),
+ *   so create, type, move, format, delete and clear all undo the same way
+ * - Recording a new command drops the redo stack
+ * - Oldest commands fall off past CONFIG.history.limit
+ */
+
+export class HistoryManager {
+    constructor(storageKey, limit) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null; // Open batch, see batch()
+        this.load();
+    }
+
+    // Everything recorded inside fn becomes a single undo step
+    batch(label, fn) {
+        if (this.pending) {
+            fn(); // Nested batches fold into the outer one
+            return;
+        }
+        this.pending = { label, changes: [] };
+        try {
+            fn();
+        } finally {
+            const { changes } = this.pending;
+            this.pending = null;
+            this.record(label, changes);
+        }
+    }
+
+    record(label, changes) {
+        if (this.pending) {
+            this.pending.changes.push(...changes);
+            return;
+        }
+
+        // Drop no-op changes (e.g. a drag that ended where it started)
+        const realChanges = changes.filter(change =>
+            JSON.stringify(change.before) !== JSON.stringify(change.after)
+        );
+        if (realChanges.length === 0) return;
+
+        this.undoStack.push({ label, changes: realChanges, timestamp: Date.now() });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.save();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        this.redoStack.push(command);
+        this.save();
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        this.undoStack.push(command);
+        this.save();
+        return command;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                undo: this.undoStack,
+                redo: this.redoStack
+            }));
+        } catch (err) {
+            // Quota errors shouldn't break editing, we just lose persistence of the history
+            console.warn('NoteAI: could not save history', err);
+        }
+    }
+
+    load() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (!saved) return;
+        try {
+            const data = JSON.parse(saved);
+            this.undoStack = Array.isArray(data.undo) ? data.undo : [];
+            this.redoStack = Array.isArray(data.redo) ? data.redo : [];
+        } catch (err) {
+            console.warn('NoteAI: ignoring unreadable history', err);
+        }
+    }
+}
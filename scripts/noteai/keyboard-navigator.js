@@ -0,0 +1,316 @@
+/**
+ * MODULE: Keyboard Navigator
+ * PURPOSE: Use the board without a mouse - move between thoughts and place new ones
+ * 
+ * INPUTS:
+ * - Keys ThoughtManager doesn't handle itself while no thought is being edited (handleKey)
+ * - Focus moving onto thoughts (clicks, Tab)
+ * 
+ * OUTPUTS:
+ * - Keyboard focus on one thought at a time (roving tabindex)
+ * - The keyboard cursor: the world point typing starts a new thought at
+ * - Announcements for screen readers (announce)
+ * 
+ * BEHAVIOR:
+ * - On a focused thought, arrows move to the nearest thought in that direction, Enter / F2
+ *   edits it, typing appends to it, Space selects it, Delete removes it and Escape
+ *   leaves it for the cursor just below
+ * - Without a focused thought, arrows show and move the cursor (Shift for bigger steps)
+ *   and Enter jumps to the thought nearest to it
+ * - Moving the mouse hides the cursor and lets go of the focused thought, typing goes
+ *   back to the mouse position
+ * - Touch and pen taps on empty canvas place the cursor too (placeCursorAt), next to a
+ *   button that starts an empty thought there
+ * - The board pans to keep the focused thought or the cursor on screen
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { announce, thoughtElementOf } from './helpers.js';
+import { isFilteredOut } from './tags.js';
+
+export class KeyboardNavigator {
+    constructor() {
+        this.container = document.getElementById('thoughtsContainer');
+        this.focused = null; // The thought keyboard focus is on, or was last on
+        this.cursor = { x: 0, y: 0 }; // World coordinates
+        this.cursorVisible = false;
+        this.cursorNear = null; // Thought that typing at the cursor would add to
+        this.cursorElement = document.createElement('div');
+        this.cursorElement.className = 'keyboard-cursor';
+        this.cursorElement.setAttribute('aria-hidden', 'true');
+        this.cursorElement.hidden = true;
+        document.body.appendChild(this.cursorElement);
+
+        // Touch and pen have no cursor to type at - a tap places this one, with a button
+        // that starts a thought there (and brings up the on-screen keyboard)
+        this.newButton = document.createElement('button');
+        this.newButton.className = 'new-thought-button ui-panel';
+        this.newButton.textContent = '✎';
+        this.newButton.title = 'New thought here';
+        this.newButton.hidden = true;
+        this.newButton.addEventListener('click', (e) => {
+            e.stopPropagation(); // The document's click handler would end the new thought's editing
+            app.thoughtManager.startThoughtAt(this.cursor.x, this.cursor.y);
+        });
+        document.body.appendChild(this.newButton);
+
+        // Clicking into a thought moves keyboard focus there too
+        this.container.addEventListener('focusin', (e) => {
+            const thought = app.thoughts.find(t => t.element === thoughtElementOf(e.target));
+            if (thought) {
+                this.track(thought);
+            }
+        });
+    }
+
+    // Whether keyboard focus is on a thought right now, not just remembered
+    focusedThought() {
+        return this.focused && document.activeElement === this.focused.element ? this.focused : null;
+    }
+
+    // Roving tabindex: only the focused thought is in the tab order
+    track(thought) {
+        if (this.focused && this.focused !== thought) {
+            this.focused.element.tabIndex = -1;
+        }
+        this.focused = thought;
+        thought.element.tabIndex = 0;
+        this.hideCursor();
+    }
+
+    // Move keyboard focus to a thought - one that is gone puts the cursor back instead
+    focus(thought) {
+        if (!thought || !app.thoughts.includes(thought)) {
+            this.container.focus({ preventScroll: true });
+            this.showCursor(this.cursor.x, this.cursor.y);
+            return;
+        }
+        this.track(thought);
+        app.spatialIndex.show(thought);
+        thought.element.focus({ preventScroll: true });
+        const box = app.connectorLayer.thoughtBox(thought);
+        this.keepInView(box.cx, box.cy);
+        if (app.blot && !app.currentThought) {
+            app.blot.targetThought = thought;
+            app.blot.updatePosition();
+        }
+    }
+
+    // Leave the focused thought for the cursor just below it, where a next thought would go
+    leave(thought) {
+        const point = this.pointBelow(thought);
+        this.container.focus({ preventScroll: true });
+        this.showCursor(point.x, point.y);
+    }
+
+    // The thought left the board
+    forget(thought) {
+        if (this.focused === thought) {
+            this.focused = null;
+        }
+        if (this.cursorNear === thought) {
+            this.cursorNear = null;
+        }
+    }
+
+    // The mouse took over, typing follows it again
+    release() {
+        this.hideCursor();
+        const focused = this.focusedThought();
+        if (focused && !focused.isActive) {
+            focused.element.blur();
+        }
+    }
+
+    reset() {
+        this.focused = null;
+        this.cursorNear = null;
+        this.hideCursor();
+    }
+
+    // Returns true when the key was used
+    handleKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+        const direction = {
+            ArrowLeft: { dx: -1, dy: 0, name: 'left' },
+            ArrowRight: { dx: 1, dy: 0, name: 'right' },
+            ArrowUp: { dx: 0, dy: -1, name: 'above' },
+            ArrowDown: { dx: 0, dy: 1, name: 'below' }
+        }[e.key];
+        const focused = this.focusedThought();
+
+        if (focused) {
+            if (direction) {
+                const next = this.nearestInDirection(focused, direction.dx, direction.dy);
+                if (next) {
+                    this.focus(next);
+                } else {
+                    announce(`No thought ${direction.name}`);
+                }
+            } else if (e.key === 'Enter' || e.key === 'F2') {
+                app.thoughtManager.setCurrentThought(focused);
+            } else if (e.key === ' ') {
+                app.selectionManager.toggle(focused);
+                announce(app.selectionManager.isSelected(focused) ? 'Selected' : 'Not selected');
+            } else if (e.key === 'Backspace' || e.key === 'Delete') {
+                this.deleteFocused(focused);
+            } else if (e.key === 'Escape' && app.selectionManager.selected.size === 0 && !app.connectorLayer.linkMode) {
+                this.leave(focused);
+            } else if (e.key.length === 1 && focused.editable) {
+                app.thoughtManager.typeInto(focused, e.key);
+            } else if (e.key.length === 1) {
+                // Typing on a file or a locked thought starts a thought below it
+                this.leave(focused);
+                return false;
+            } else {
+                return false;
+            }
+            e.preventDefault();
+            return true;
+        }
+
+        if (direction) {
+            const step = (e.shiftKey ? CONFIG.keyboard.bigStep : CONFIG.keyboard.cursorStep) / app.viewport.zoom;
+            const start = this.cursorVisible ? this.cursor : this.startPoint();
+            this.showCursor(start.x + direction.dx * step, start.y + direction.dy * step);
+            this.keepInView(this.cursor.x, this.cursor.y);
+        } else if (e.key === 'Enter') {
+            const start = this.cursorVisible ? this.cursor : this.startPoint();
+            const closest = this.closestTo(start.x, start.y);
+            if (closest) {
+                this.focus(closest);
+            } else {
+                announce('No thoughts in this notebook yet, type to write one');
+            }
+        } else {
+            if (e.key === 'Escape') {
+                this.hideCursor();
+            }
+            return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
+    // Delete the focused thought (or the selection it is in) and move on to the closest one left
+    deleteFocused(thought) {
+        const box = app.connectorLayer.thoughtBox(thought);
+        app.thoughtManager.deleteThoughts(app.selectionManager.targetsFor(thought));
+        const closest = this.closestTo(box.cx, box.cy);
+        if (closest) {
+            this.focus(closest);
+        } else {
+            this.cursor = { x: thought.x, y: thought.y };
+            this.focus(null);
+        }
+    }
+
+    // === SPATIAL LOOKUP ===
+
+    // Nearest thought whose center lies in direction (dx, dy), straying sideways costs extra
+    nearestInDirection(from, dx, dy) {
+        const origin = app.connectorLayer.thoughtBox(from);
+        let best = null;
+        let bestScore = Infinity;
+        app.thoughts.forEach(thought => {
+            if (thought === from || isFilteredOut(thought)) return;
+            const box = app.connectorLayer.thoughtBox(thought);
+            const along = (box.cx - origin.cx) * dx + (box.cy - origin.cy) * dy;
+            if (along <= 0) return;
+            const across = Math.abs((box.cx - origin.cx) * dy) + Math.abs((box.cy - origin.cy) * dx);
+            const score = along + across * CONFIG.keyboard.crossAxisWeight;
+            if (score < bestScore) {
+                best = thought;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    closestTo(x, y) {
+        let best = null;
+        let bestDistance = Infinity;
+        app.thoughts.forEach(thought => {
+            if (isFilteredOut(thought)) return;
+            const box = app.connectorLayer.thoughtBox(thought);
+            const distance = (box.cx - x) ** 2 + (box.cy - y) ** 2;
+            if (distance < bestDistance) {
+                best = thought;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    pointBelow(thought) {
+        const box = app.connectorLayer.thoughtBox(thought);
+        return { x: thought.x, y: thought.y + box.height + CONFIG.keyboard.cursorStep / app.viewport.zoom };
+    }
+
+    // Where the cursor first shows up: below the last focused thought, else mid-screen
+    startPoint() {
+        if (this.focused && app.thoughts.includes(this.focused)) {
+            return this.pointBelow(this.focused);
+        }
+        return app.viewport.screenToWorld(window.innerWidth / 2, window.innerHeight / 2);
+    }
+
+    // === CURSOR ===
+
+    showCursor(x, y) {
+        this.cursor = { x, y };
+        this.cursorVisible = true;
+        this.cursorElement.hidden = false;
+        this.updateCursor();
+        if (app.thoughtManager) {
+            app.thoughtManager.updateMouseBlob();
+        }
+
+        // Typing next to a thought adds to it, so say which one
+        const near = app.thoughtManager ? app.thoughtManager.findNearbyThought(x, y) : null;
+        if (near && near !== this.cursorNear) {
+            announce(`Typing adds to: ${near.text}`);
+        }
+        this.cursorNear = near || null;
+    }
+
+    // A tap on empty canvas, in screen coordinates
+    placeCursorAt(screenX, screenY) {
+        const point = app.viewport.screenToWorld(screenX, screenY);
+        this.showCursor(point.x, point.y);
+        this.newButton.hidden = false;
+        this.updateCursor();
+    }
+
+    hideCursor() {
+        if (!this.cursorVisible) return;
+        this.cursorVisible = false;
+        this.cursorNear = null;
+        this.cursorElement.hidden = true;
+        this.newButton.hidden = true;
+        if (app.thoughtManager) {
+            app.thoughtManager.updateMouseBlob();
+        }
+    }
+
+    // Called from Viewport.apply - the cursor stays on its world point
+    updateCursor() {
+        if (!this.cursorVisible) return;
+        const screen = app.viewport.worldToScreen(this.cursor.x, this.cursor.y);
+        this.cursorElement.style.left = screen.x + 'px';
+        this.cursorElement.style.top = screen.y + 'px';
+        this.newButton.style.left = (screen.x + 10) + 'px';
+        this.newButton.style.top = (screen.y - 8) + 'px';
+    }
+
+    // Pan when a world point gets within CONFIG.keyboard.viewMargin of the screen edge
+    keepInView(x, y) {
+        const screen = app.viewport.worldToScreen(x, y);
+        const margin = CONFIG.keyboard.viewMargin;
+        if (screen.x < margin || screen.y < margin ||
+            screen.x > window.innerWidth - margin || screen.y > window.innerHeight - margin) {
+            app.viewport.flyTo(x, y);
+        }
+    }
+}
@@ -0,0 +1,4 @@
+// Page entry point - html/noteai.html loads this as a module
+import { startNoteAI } from './noteai.js';
+
+document.addEventListener('DOMContentLoaded', () => startNoteAI());
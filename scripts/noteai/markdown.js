@@ -0,0 +1,304 @@
+/**
+ * MODULE: Markdown thoughts
+ * PURPOSE: Thoughts written in Markdown show rendered output, and their source while edited
+ *
+ * INPUTS:
+ * - Markdown source (a markdown thought keeps it as a single unformatted run)
+ *
+ * OUTPUTS:
+ * - renderMarkdown(): DOM for headings, lists, task lists, quotes, code blocks, rules
+ *   and paragraphs; task checkboxes carry data-line, the source line they came from
+ * - markdownToRuns(): flattened runs for places without block layout (SVG export)
+ * - runsToMarkdown(): the other direction, for exports and switching a thought to Markdown
+ *
+ * BEHAVIOR:
+ * - Inline syntax is parsed into runs and drawn by renderRuns(), so the same sanitizing
+ *   applies - no HTML in the source is ever interpreted except <u>
+ * - Single line breaks are kept (.thought renders pre-wrap), like chat-style Markdown
+ */
+
+import { normalizeRuns, renderRuns, splitRunLines } from './rich-text.js';
+
+const MARKDOWN_INLINE = new RegExp([
+    '\\\\([\\\\`*_~\\[\\]()#+\\-.!<>])', // 1: backslash escape
+    '(`+)([\\s\\S]*?[^`])\\2(?!`)', // 2, 3: code span
+    '\\*\\*(?!\\s)([\\s\\S]*?\\S)\\*\\*', // 4: bold
+    '(?<!\\w)__(?!\\s)([\\s\\S]*?\\S)__(?!\\w)', // 5: bold
+    '~~(?!\\s)([\\s\\S]*?\\S)~~', // 6: strike
+    '\\*(?![\\s*])([\\s\\S]*?[^\\s*])\\*', // 7: italic
+    '(?<!\\w)_(?![\\s_])([\\s\\S]*?[^\\s_])_(?!\\w)', // 8: italic
+    '<u>([\\s\\S]+?)</u>', // 9: underline
+    '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)' // 10, 11: link
+].join('|'), 'g');
+
+export const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+
+// Unnormalized runs for one piece of inline Markdown
+function parseInlineMarkdown(text, marks = {}) {
+    const runs = [];
+    const pattern = new RegExp(MARKDOWN_INLINE.source, 'g');
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+        if (match.index > last) {
+            runs.push({ text: text.slice(last, match.index), marks });
+        }
+        if (match[1] !== undefined) {
+            runs.push({ text: match[1], marks });
+        } else if (match[3] !== undefined) {
+            runs.push({ text: match[3].trim() || match[3], marks: { ...marks, code: true } });
+        } else if (match[4] !== undefined || match[5] !== undefined) {
+            runs.push(...parseInlineMarkdown(match[4] ?? match[5], { ...marks, bold: true }));
+        } else if (match[6] !== undefined) {
+            runs.push(...parseInlineMarkdown(match[6], { ...marks, strike: true }));
+        } else if (match[7] !== undefined || match[8] !== undefined) {
+            runs.push(...parseInlineMarkdown(match[7] ?? match[8], { ...marks, italic: true }));
+        } else if (match[9] !== undefined) {
+            runs.push(...parseInlineMarkdown(match[9], { ...marks, underline: true }));
+        } else {
+            runs.push(...parseInlineMarkdown(match[10], { ...marks, link: match[11] }));
+        }
+        last = pattern.lastIndex;
+    }
+    if (last < text.length) {
+        runs.push({ text: text.slice(last), marks });
+    }
+    return runs;
+}
+
+function renderInlineMarkdown(text) {
+    return renderRuns(normalizeRuns(parseInlineMarkdown(text)));
+}
+
+// lineOffset: index of source's first line within the thought, so nested blocks keep data-line right
+export function renderMarkdown(source, lineOffset = 0) {
+    const fragment = document.createDocumentFragment();
+    const lines = source.split('\n');
+    let paragraph = null;
+    let lists = []; // Open lists, innermost last: [{ indent, element }]
+
+    const closeBlocks = () => {
+        paragraph = null;
+        lists = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            closeBlocks();
+            continue;
+        }
+
+        if (/^\s*```/.test(line)) {
+            closeBlocks();
+            const code = [];
+            while (i + 1 < lines.length && !/^\s*```/.test(lines[i + 1])) {
+                code.push(lines[++i]);
+            }
+            i++; // Skip the closing fence
+            const pre = document.createElement('pre');
+            const element = document.createElement('code');
+            element.textContent = code.join('\n');
+            pre.append(element);
+            fragment.append(pre);
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+        if (heading) {
+            closeBlocks();
+            const element = document.createElement('h' + heading[1].length);
+            element.append(renderInlineMarkdown(heading[2]));
+            fragment.append(element);
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            closeBlocks();
+            fragment.append(document.createElement('hr'));
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            closeBlocks();
+            const start = i;
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            i--;
+            const element = document.createElement('blockquote');
+            element.append(renderMarkdown(quoted.join('\n'), lineOffset + start));
+            fragment.append(element);
+            continue;
+        }
+
+        const item = line.match(MARKDOWN_LIST_ITEM);
+        if (item) {
+            paragraph = null;
+            const indent = item[1].length;
+            const tag = /\d/.test(item[2]) ? 'OL' : 'UL';
+            while (lists.length > 0 && indent < lists[lists.length - 1].indent) {
+                lists.pop();
+            }
+            let list = lists[lists.length - 1];
+            if (list && indent === list.indent && list.element.tagName !== tag) {
+                lists.pop();
+                list = lists[lists.length - 1];
+            }
+            if (!list || indent > list.indent) {
+                const element = document.createElement(tag);
+                if (tag === 'OL' && parseInt(item[2], 10) !== 1) {
+                    element.start = parseInt(item[2], 10);
+                }
+                // Deeper items nest inside the previous item
+                const parentItem = list && list.element.lastElementChild;
+                (parentItem || fragment).append(element);
+                list = { indent, element };
+                lists.push(list);
+            }
+
+            const li = document.createElement('li');
+            if (item[3] !== undefined) {
+                const checked = item[3] !== ' ';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'task-checkbox';
+                checkbox.checked = checked;
+                checkbox.dataset.line = lineOffset + i;
+                li.classList.add('task');
+                li.classList.toggle('done', checked);
+                li.append(checkbox);
+            }
+            li.append(renderInlineMarkdown(item[4]));
+            list.element.append(li);
+            continue;
+        }
+
+        // Anything else is paragraph text, consecutive lines share a paragraph
+        lists = [];
+        if (paragraph) {
+            paragraph.append('\n');
+        } else {
+            paragraph = document.createElement('p');
+            fragment.append(paragraph);
+        }
+        paragraph.append(renderInlineMarkdown(line));
+    }
+    return fragment;
+}
+
+// Flattened, block syntax turned into plain prefixes
+export function markdownToRuns(source) {
+    const runs = [];
+    let inCode = false;
+    source.split('\n').forEach((line, index) => {
+        if (/^\s*```/.test(line)) {
+            inCode = !inCode;
+            return;
+        }
+        if (runs.length > 0 || index > 0) {
+            runs.push({ text: '\n', marks: {} });
+        }
+        if (inCode) {
+            runs.push({ text: line, marks: { code: true } });
+            return;
+        }
+        const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+        const item = line.match(MARKDOWN_LIST_ITEM);
+        const quote = line.match(/^\s*>\s?(.*)$/);
+        if (heading) {
+            runs.push(...parseInlineMarkdown(heading[1], { bold: true }));
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            runs.push({ text: '———', marks: {} });
+        } else if (item) {
+            const bullet = item[3] !== undefined ? (item[3] === ' ' ? '☐' : '☑') : /\d/.test(item[2]) ? item[2] : '•';
+            runs.push({ text: item[1] + bullet + ' ', marks: {} }, ...parseInlineMarkdown(item[4]));
+        } else if (quote) {
+            runs.push({ text: '│ ', marks: {} }, ...parseInlineMarkdown(quote[1], { italic: true }));
+        } else {
+            runs.push(...parseInlineMarkdown(line));
+        }
+    });
+    // Drop the break in front of a leading code fence
+    return normalizeRuns(runs).filter((run, index) => index > 0 || run.text !== '\n');
+}
+
+function markdownSegment({ text, marks }) {
+    // Markdown emphasis can't start or end with whitespace, so keep it outside
+    const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return text;
+    let out = marks.code ? '`' + core + '`' : core;
+    if (marks.strike) out = `~~${out}~~`;
+    if (marks.italic) out = `_${out}_`;
+    if (marks.bold) out = `**${out}**`;
+    if (marks.underline) out = `<u>${out}</u>`;
+    return lead + out + trail;
+}
+
+// Neighbouring segments with the same link become one [text](url)
+function markdownLine(line) {
+    const parts = [];
+    line.forEach(segment => {
+        const last = parts[parts.length - 1];
+        if (last && last.link === segment.marks.link) {
+            last.segments.push(segment);
+        } else {
+            parts.push({ link: segment.marks.link, segments: [segment] });
+        }
+    });
+    return parts.map(({ link, segments }) => {
+        const text = segments.map(markdownSegment).join('');
+        return link ? `[${text}](${link})` : text;
+    }).join('');
+}
+
+export function runsToMarkdown(runs, lineBreak = '\n') {
+    return splitRunLines(runs).map(markdownLine).join(lineBreak);
+}
+
+// Delimiters the formatting actions type around Markdown source
+export const MARKDOWN_WRAPS = {
+    bold: ['**', '**'],
+    italic: ['_', '_'],
+    underline: ['<u>', '</u>'],
+    strike: ['~~', '~~'],
+    code: ['`', '`']
+};
+
+// Block syntax at the start of a line that wrapping must leave outside
+const MARKDOWN_LINE_PREFIX = /^(\s*(?:#{1,6}\s+|>\s?|(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?)?)([\s\S]*?)(\s*)$/;
+
+/**
+ * Wrap [start, end) of Markdown source in open/close, or unwrap it when it already is.
+ * Without a selection every non-empty line's content is wrapped.
+ * Returns { text, start, end } with the range moved to the same content.
+ */
+export function toggleMarkdownWrap(source, start, end, open, close, wholeLines) {
+    if (wholeLines) {
+        const lines = source.split('\n').map(line => line.match(MARKDOWN_LINE_PREFIX));
+        const filled = lines.filter(match => match[2]);
+        const unwrap = filled.length > 0 && filled.every(match =>
+            match[2].length >= open.length + close.length && match[2].startsWith(open) && match[2].endsWith(close));
+        const text = lines.map(([, prefix, content, trail]) => {
+            if (!content) return prefix + trail;
+            const inner = unwrap ? content.slice(open.length, content.length - close.length) : open + content + close;
+            return prefix + inner + trail;
+        }).join('\n');
+        return { text, start: 0, end: text.length };
+    }
+
+    const inside = source.slice(start, end);
+    if (source.slice(start - open.length, start) === open && source.slice(end, end + close.length) === close) {
+        const text = source.slice(0, start - open.length) + inside + source.slice(end + close.length);
+        return { text, start: start - open.length, end: end - open.length };
+    }
+    if (inside.startsWith(open) && inside.endsWith(close) && inside.length >= open.length + close.length) {
+        const text = source.slice(0, start) + inside.slice(open.length, inside.length - close.length) + source.slice(end);
+        return { text, start, end: end - open.length - close.length };
+    }
+    const text = source.slice(0, start) + open + inside + close + source.slice(end);
+    return { text, start: start + open.length, end: end + open.length };
+}
@@ -0,0 +1,163 @@
+/**
+ * MODULE: Mode Machine
+ * PURPOSE: The Blot / Mouse STATES from html/noteai.reference as one state machine - whether
+ * typing starts a new thought or goes into the current one
+ *
+ * INPUTS:
+ * - Events sent by ThoughtManager, Thought, BoardTransfer and clearAllThoughts:
+ *   send('select' | 'remove', { thought }), send('release' | 'clear', { reason })
+ *
+ * OUTPUTS:
+ * - app.currentThought - only ever written here, everyone else reads it
+ * - On every transition: the mouse blob, the blot's position and listeners (the debug overlay)
+ * - keyTarget for ThoughtManager's keydown routing
+ *
+ * BEHAVIOR:
+ * - new_thought: nothing is being edited, the mouse blob shows where typing starts a thought
+ * - current_thought: a thought is being edited, the blot sits beside it
+ * - Events that aren't allowed from the current state, or whose guard fails, are refused -
+ *   nothing changes and send() returns false, the overlay shows the refusal
+ * - The debug overlay (CONFIG.debug.modeOverlay or ?debug in the page URL) shows the state
+ *   and the last transition
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+
+// What each state means for the rest of the app
+const MODE_STATES = {
+    new_thought: {
+        mouseBlob: true,
+        keys: 'board' // ThoughtManager starts or continues thoughts, KeyboardNavigator moves around
+    },
+    current_thought: {
+        mouseBlob: false,
+        keys: 'thought' // contentEditable has them - unless the thought is a file or locked
+    }
+};
+
+// event -> allowed from, goes to, guard (thought, machine) => reason it's refused or null
+const MODE_TRANSITIONS = {
+    select: {
+        from: ['new_thought', 'current_thought'],
+        to: 'current_thought',
+        guard: (thought) => {
+            if (!thought) return 'no thought';
+            return app.thoughts.includes(thought) ? null : 'not on the board';
+        }
+    },
+    release: {
+        from: ['current_thought'],
+        to: 'new_thought'
+    },
+    remove: {
+        from: ['current_thought'],
+        to: 'new_thought',
+        guard: (thought, machine) => (thought === machine.thought ? null : 'not the current thought')
+    },
+    clear: {
+        from: ['new_thought', 'current_thought'],
+        to: 'new_thought'
+    }
+};
+
+export class ModeMachine {
+    constructor() {
+        this.state = 'new_thought';
+        this.thought = null;
+        this.lastTransition = null; // { event, from, to, reason, refused, time }
+        this.listeners = [];
+        this.overlay = null;
+        this.showOverlay(CONFIG.debug.modeOverlay || new URLSearchParams(window.location.search).has('debug'));
+    }
+
+    is(state) {
+        return this.state === state;
+    }
+
+    can(event, thought = null) {
+        return this.refusal(event, thought) === null;
+    }
+
+    refusal(event, thought) {
+        const transition = MODE_TRANSITIONS[event];
+        if (!transition) return 'unknown event';
+        if (!transition.from.includes(this.state)) return 'not from ' + this.state;
+        return transition.guard ? transition.guard(thought, this) : null;
+    }
+
+    // select and remove take the thought, reason is what the overlay shows for the change
+    send(event, { thought = null, reason = null } = {}) {
+        const refused = this.refusal(event, thought);
+        const from = this.state;
+        const to = refused ? from : MODE_TRANSITIONS[event].to;
+        this.lastTransition = { event, from, to, reason: refused || reason, refused: Boolean(refused), time: Date.now() };
+
+        if (!refused) {
+            this.state = to;
+            this.thought = to === 'current_thought' ? thought : null;
+            app.currentThought = this.thought;
+            if (app.thoughtManager) {
+                app.thoughtManager.updateMouseBlob();
+            }
+            if (app.blot) {
+                app.blot.onCurrentThoughtChanged();
+            }
+        }
+        this.listeners.forEach(listener => listener(this.lastTransition));
+        this.renderOverlay();
+        return !refused;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    get showsMouseBlob() {
+        return MODE_STATES[this.state].mouseBlob;
+    }
+
+    // Where a key press goes: 'thought' while an editable thought is current, otherwise 'board'
+    get keyTarget() {
+        const { keys } = MODE_STATES[this.state];
+        return keys === 'thought' && !this.thought.editable ? 'board' : keys;
+    }
+
+    // === DEBUG OVERLAY ===
+    showOverlay(show) {
+        if (!show) {
+            if (this.overlay) {
+                this.overlay.remove();
+                this.overlay = null;
+            }
+            return;
+        }
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'mode-debug ui-panel';
+            this.overlay.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(this.overlay);
+        }
+        this.renderOverlay();
+    }
+
+    renderOverlay() {
+        if (!this.overlay) return;
+        const state = document.createElement('div');
+        state.className = 'mode-debug-state';
+        state.textContent = this.state + (this.thought ? ` · ${this.thought.id}` : '');
+        state.dataset.state = this.state;
+
+        const last = document.createElement('div');
+        last.className = 'mode-debug-last';
+        const transition = this.lastTransition;
+        if (transition) {
+            const outcome = transition.refused ? '✕ refused' : `${transition.from} → ${transition.to}`;
+            last.textContent = `${transition.event}: ${outcome}` + (transition.reason ? ` (${transition.reason})` : '');
+            last.classList.toggle('refused', transition.refused);
+        } else {
+            last.textContent = 'no transitions yet';
+        }
+        this.overlay.replaceChildren(state, last);
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * MODULE: NoteAI
+ * PURPOSE: Builds the app on the page's markup and wires the managers together through app.*
+ *
+ * INPUTS:
+ * - The NoteAI markup (html/noteai.html) in the global document
+ * - startNoteAI options: { storage } - any storage adapter (see STORAGE ADAPTERS),
+ *   CONFIG.storage.adapter picks one when left out
+ *
+ * OUTPUTS:
+ * - app (see state.js) with every manager in place
+ * - 'noteai:ready' on the document once the blot can take plugin actions
+ *
+ * BEHAVIOR:
+ * - Managers are created in dependency order - each constructor may reach for the ones before it
+ * - stopNoteAI ends the timers and the blot's animation, which would otherwise outlive the
+ *   page (tests, embedding)
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { ModeMachine } from './mode-machine.js';
+import { SpatialIndex } from './spatial-index.js';
+import { Blot } from './blot.js';
+import { Viewport } from './viewport.js';
+import { ConnectorLayer } from './connector-layer.js';
+import { SelectionManager } from './selection-manager.js';
+import { KeyboardNavigator } from './keyboard-navigator.js';
+import { TouchGestures } from './touch-gestures.js';
+import { AutoLayout } from './auto-layout.js';
+import { createStorageAdapter } from './storage.js';
+import { NotebookManager } from './notebook-manager.js';
+import { BoardSync } from './board-sync.js';
+import { ThoughtManager } from './thought-manager.js';
+import { BoardTransfer } from './board-transfer.js';
+import { SearchOverlay } from './search-overlay.js';
+import { TagSidebar } from './tag-sidebar.js';
+import { SnapshotManager } from './snapshots.js';
+import { Timeline } from './timeline.js';
+import { Assistant } from './assistant.js';
+
+// === CLEAR FUNCTIONALITY ===
+// Only clears the active notebook
+export function clearAllThoughts() {
+    // Record the clear so it can be undone - changes go last-to-first so undo re-inserts in order
+    if (app.thoughtManager && app.thoughts.length > 0) {
+        if (app.currentThought) {
+            app.currentThought.commitEdit();
+        }
+        const linkChanges = app.connectorLayer.links.map((link, index) => (
+            { kind: 'link', id: link.id, index, before: { ...link }, after: null }
+        )).reverse();
+        const changes = app.thoughts.map((t, index) => (
+            { id: t.id, index, before: t.snapshot(), after: null }
+        )).reverse();
+        const groupChanges = app.selectionManager.removalChanges();
+        app.thoughtManager.history.record('clear', [...groupChanges, ...linkChanges, ...changes]);
+    }
+
+    // Remove all thought elements
+    app.thoughts.forEach(thought => thought.remove());
+    
+    // Clear arrays and state
+    app.thoughts = [];
+    app.spatialIndex.clear();
+    app.connectorLayer.clear();
+    app.selectionManager.setState([]);
+    app.keyboardNav.reset();
+    
+    // Back to new_thought - the machine moves the mouse blob and the blot
+    if (app.blot) {
+        app.blot.targetThought = null;
+    }
+    app.mode.send('clear', { reason: 'board cleared' });
+    if (app.blot && app.blot.menuExpanded) {
+        app.blot.collapseMenu();
+    }
+
+    // Update storage
+    if (app.thoughtManager) {
+        app.thoughtManager.saveThoughts();
+    }
+}
+
+// === INITIALIZATION ===
+export function startNoteAI({ storage = createStorageAdapter() } = {}) {
+    // The mode first, everything reads it - then viewport and blot so the board can restore their state
+    app.mode = new ModeMachine();
+    app.spatialIndex = new SpatialIndex(CONFIG.spatial.cellSize);
+    app.viewport = new Viewport();
+    app.connectorLayer = new ConnectorLayer();
+    app.selectionManager = new SelectionManager();
+    app.blot = new Blot();
+    app.keyboardNav = new KeyboardNavigator();
+    app.touchGestures = new TouchGestures();
+    app.storage = storage;
+    app.notebookManager = new NotebookManager();
+    app.boardSync = new BoardSync();
+    app.thoughtManager = new ThoughtManager();
+    app.boardTransfer = new BoardTransfer();
+    app.searchOverlay = new SearchOverlay();
+    app.assistant = new Assistant();
+    app.autoLayout = new AutoLayout();
+    app.tagSidebar = new TagSidebar();
+    app.snapshotManager = new SnapshotManager();
+    app.timeline = new Timeline();
+
+    // Setup clear button
+    document.getElementById('clearButton').addEventListener('click', clearAllThoughts);
+
+    // Plugins listen for this to add blot menu actions via blot.registerAction()
+    document.dispatchEvent(new CustomEvent('noteai:ready', { detail: { blot: app.blot } }));
+    return app;
+}
+
+export function stopNoteAI() {
+    if (app.blot) {
+        app.blot.stop();
+    }
+    if (app.snapshotManager) {
+        app.snapshotManager.stop();
+    }
+}
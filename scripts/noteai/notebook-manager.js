@@ -0,0 +1,300 @@
+/**
+ * MODULE: Notebook Manager
+ * PURPOSE: Named canvases - each notebook has its own thoughts, blot state and history
+ * 
+ * INPUTS:
+ * - Notebook bar (select + new/rename/duplicate/delete buttons)
+ * 
+ * OUTPUTS:
+ * - Notebook index in localStorage ({ activeId, notebooks: [{ id, name, created, modified }] })
+ * - Board copies and removals through the storage adapter, history keys in localStorage
+ * - Board switches through ThoughtManager.closeBoard / openBoard
+ * 
+ * BEHAVIOR:
+ * - Remembers the last opened notebook
+ * - On first run, moves the old single 'noteai-thoughts' board into a notebook
+ *   (the IndexedDB adapter then moves it out of localStorage)
+ * - Deleting the last notebook leaves a fresh empty one behind
+ * - Boards in storage the index doesn't know (another machine's, on a sync server)
+ *   are listed as CONFIG.notebooks.sharedName notebooks
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { generateId, announce } from './helpers.js';
+import { normalizeBoardData } from './schema.js';
+
+// A board to store as a new notebook - its own thought, link and group ids, and none of the
+// original's sync data, so the two never merge into each other
+function copyBoard(stored) {
+    const board = normalizeBoardData(stored);
+    const ids = new Map(board.thoughts.map(record => [record.id, generateId('thought')]));
+    const { sync, ...copy } = board;
+    return {
+        ...copy,
+        thoughts: board.thoughts.map(record => ({ ...record, id: ids.get(record.id) })),
+        links: board.links
+            .filter(link => ids.has(link.from) && ids.has(link.to))
+            .map(link => ({ ...link, id: generateId('link'), from: ids.get(link.from), to: ids.get(link.to) })),
+        groups: board.groups.map(group => ({
+            ...group,
+            id: generateId('group'),
+            members: (group.members || []).filter(id => ids.has(id)).map(id => ids.get(id))
+        })),
+        blot: board.blot ? { ...board.blot, targetThoughtId: ids.get(board.blot.targetThoughtId) || null } : null
+    };
+}
+
+export class NotebookManager {
+    constructor() {
+        this.select = document.getElementById('notebookSelect');
+        this.index = this.loadIndex();
+        this.setupEventListeners();
+        this.render();
+        this.adoptStoredBoards();
+    }
+
+    get activeId() {
+        return this.index.activeId;
+    }
+
+    get activeNotebook() {
+        return this.index.notebooks.find(n => n.id === this.index.activeId);
+    }
+
+    boardKey(id) {
+        return CONFIG.typing.storageKey + ':' + id;
+    }
+
+    historyKey(id) {
+        return CONFIG.history.storageKey + ':' + id;
+    }
+
+    makeNotebook(name) {
+        const now = Date.now();
+        return { id: generateId('notebook'), name, created: now, modified: now };
+    }
+
+    loadIndex() {
+        const saved = localStorage.getItem(CONFIG.notebooks.storageKey);
+        if (saved) {
+            try {
+                const index = JSON.parse(saved);
+                if (index.notebooks && index.notebooks.length > 0) {
+                    if (!index.notebooks.some(n => n.id === index.activeId)) {
+                        index.activeId = index.notebooks[0].id;
+                    }
+                    return index;
+                }
+            } catch (err) {
+                console.warn('NoteAI: notebook index unreadable, starting a new one', err);
+            }
+        }
+
+        // First run - adopt the pre-notebook board and history if there are any
+        const notebook = this.makeNotebook(CONFIG.notebooks.defaultName + ' 1');
+        const legacyBoard = localStorage.getItem(CONFIG.typing.storageKey);
+        if (legacyBoard) {
+            localStorage.setItem(this.boardKey(notebook.id), legacyBoard);
+            localStorage.removeItem(CONFIG.typing.storageKey);
+        }
+        const legacyHistory = localStorage.getItem(CONFIG.history.storageKey);
+        if (legacyHistory) {
+            localStorage.setItem(this.historyKey(notebook.id), legacyHistory);
+            localStorage.removeItem(CONFIG.history.storageKey);
+        }
+
+        const index = { activeId: notebook.id, notebooks: [notebook] };
+        localStorage.setItem(CONFIG.notebooks.storageKey, JSON.stringify(index));
+        return index;
+    }
+
+    saveIndex() {
+        localStorage.setItem(CONFIG.notebooks.storageKey, JSON.stringify(this.index));
+    }
+
+    async adoptStoredBoards() {
+        let ids;
+        try {
+            ids = await app.storage.list();
+        } catch (err) {
+            console.warn('NoteAI: could not list stored boards', err);
+            return;
+        }
+        const known = new Set(this.index.notebooks.map(n => n.id));
+        const found = ids.filter(id => !known.has(id));
+        if (found.length === 0) return;
+
+        const now = Date.now();
+        found.forEach((id, i) => {
+            const name = CONFIG.notebooks.sharedName + ' ' + (i + 1);
+            this.index.notebooks.push({ id, name, created: now, modified: now });
+        });
+        this.saveIndex();
+        this.render();
+    }
+
+    // Another tab changed the index - take its notebook list but stay on our notebook
+    reloadIndex() {
+        let index;
+        try {
+            index = JSON.parse(localStorage.getItem(CONFIG.notebooks.storageKey));
+        } catch (err) {
+            return;
+        }
+        if (!index || !Array.isArray(index.notebooks) || index.notebooks.length === 0) return;
+
+        const activeId = this.activeId;
+        this.index = { ...index, activeId };
+        if (!index.notebooks.some(n => n.id === activeId)) {
+            // Our notebook was deleted over there
+            const next = index.notebooks[0];
+            if (app.thoughtManager) {
+                app.thoughtManager.closeBoard(false);
+            }
+            this.index.activeId = next.id;
+            if (app.thoughtManager) {
+                app.thoughtManager.openBoard(next.id);
+            }
+        }
+        this.render();
+    }
+
+    // Called from ThoughtManager.saveThoughts
+    touch(id) {
+        const notebook = this.index.notebooks.find(n => n.id === id);
+        if (notebook) {
+            notebook.modified = Date.now();
+            this.saveIndex();
+        }
+    }
+
+    create(name) {
+        const notebook = this.makeNotebook(name);
+        this.index.notebooks.push(notebook);
+        this.switchTo(notebook.id);
+        return notebook;
+    }
+
+    rename(id, name) {
+        const notebook = this.index.notebooks.find(n => n.id === id);
+        if (!notebook || !name) return;
+        notebook.name = name;
+        notebook.modified = Date.now();
+        this.saveIndex();
+        this.render();
+    }
+
+    async duplicate(id) {
+        const source = this.index.notebooks.find(n => n.id === id);
+        if (!source) return null;
+
+        // Flush unsaved edits so the copy matches what is on screen
+        if (id === this.activeId && app.thoughtManager) {
+            await app.thoughtManager.saveThoughts();
+        }
+        const copy = this.makeNotebook(source.name + ' copy');
+        await app.boardSync.enqueue(async () => {
+            const board = await app.storage.load(id);
+            if (board) {
+                await app.storage.save(copy.id, copyBoard(board));
+            }
+        });
+        this.index.notebooks.splice(this.index.notebooks.indexOf(source) + 1, 0, copy);
+        await this.switchTo(copy.id);
+        return copy;
+    }
+
+    delete(id) {
+        const position = this.index.notebooks.findIndex(n => n.id === id);
+        if (position === -1) return;
+
+        const wasActive = id === this.activeId;
+        if (wasActive && app.thoughtManager) {
+            app.thoughtManager.closeBoard();
+        }
+        this.index.notebooks.splice(position, 1);
+        app.boardSync.remove(id).catch(err => console.warn('NoteAI: could not remove the board', err));
+        app.snapshotManager.removeAll(id).catch(err => console.warn('NoteAI: could not remove the snapshots', err));
+        localStorage.removeItem(this.historyKey(id));
+
+        if (this.index.notebooks.length === 0) {
+            this.index.notebooks.push(this.makeNotebook(CONFIG.notebooks.defaultName + ' 1'));
+        }
+        if (wasActive) {
+            const next = this.index.notebooks[Math.min(position, this.index.notebooks.length - 1)];
+            this.index.activeId = next.id;
+            if (app.thoughtManager) {
+                app.thoughtManager.openBoard(next.id);
+            }
+        }
+        this.saveIndex();
+        this.render();
+    }
+
+    // Resolves once the notebook's board is on the canvas
+    async switchTo(id) {
+        if (!this.index.notebooks.some(n => n.id === id)) return;
+
+        let opening = null;
+        if (app.thoughtManager && app.thoughtManager.boardId !== id) {
+            app.thoughtManager.closeBoard();
+            this.index.activeId = id;
+            opening = app.thoughtManager.openBoard(id);
+        } else {
+            this.index.activeId = id;
+        }
+        this.saveIndex();
+        this.render();
+        await opening;
+        if (opening) {
+            announce(`Opened ${this.activeNotebook.name}`);
+        }
+    }
+
+    nextDefaultName() {
+        return CONFIG.notebooks.defaultName + ' ' + (this.index.notebooks.length + 1);
+    }
+
+    render() {
+        this.select.innerHTML = '';
+        this.index.notebooks.forEach(notebook => {
+            const option = document.createElement('option');
+            option.value = notebook.id;
+            option.textContent = notebook.name;
+            option.selected = notebook.id === this.activeId;
+            this.select.appendChild(option);
+        });
+    }
+
+    setupEventListeners() {
+        this.select.addEventListener('change', () => {
+            this.switchTo(this.select.value);
+            this.select.blur();
+        });
+
+        document.getElementById('notebookNew').addEventListener('click', () => {
+            const name = prompt('Name for the new notebook:', this.nextDefaultName());
+            if (name !== null) {
+                this.create(name.trim() || this.nextDefaultName());
+            }
+        });
+
+        document.getElementById('notebookRename').addEventListener('click', () => {
+            const name = prompt('Rename notebook:', this.activeNotebook.name);
+            if (name !== null && name.trim()) {
+                this.rename(this.activeId, name.trim());
+            }
+        });
+
+        document.getElementById('notebookDuplicate').addEventListener('click', () => {
+            this.duplicate(this.activeId).catch(err => console.warn('NoteAI: could not duplicate the notebook', err));
+        });
+
+        document.getElementById('notebookDelete').addEventListener('click', () => {
+            if (confirm(`Delete "${this.activeNotebook.name}" and all of its thoughts?`)) {
+                this.delete(this.activeId);
+            }
+        });
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * MODULE: Rich text document model
+ * PURPOSE: Formatting for parts of a thought without ever trusting contentEditable HTML
+ *
+ * MODEL:
+ * - A thought's content is a list of runs: [{ text, marks }], where marks holds any of
+ *   { bold, italic, underline, strike, code: true, link: 'https://...' }
+ * - Runs are normalized: no empty runs, and neighbours with equal marks are merged
+ * - Line breaks stay inside the run text as '\n' (.thought renders pre-wrap)
+ *
+ * BEHAVIOR:
+ * - readRuns() reads whatever the browser put into a contentEditable back into runs,
+ *   keeping only the tags it knows (b/strong, i/em, u, s/strike/del, code, a, br, div/p)
+ * - renderRuns() builds DOM from runs out of text nodes and known tags only, so saved
+ *   data can never inject markup
+ * - Links are limited to http(s) and mailto URLs
+ */
+
+const RICH_MARKS = ['bold', 'italic', 'underline', 'strike', 'code', 'link'];
+
+// Tag -> mark it stands for when reading a contentEditable
+const RICH_TAGS = {
+    B: 'bold', STRONG: 'bold', I: 'italic', EM: 'italic', U: 'underline',
+    S: 'strike', STRIKE: 'strike', DEL: 'strike', CODE: 'code', A: 'link'
+};
+
+// Mark -> tag used when rendering, outermost first (links wrap all of these)
+const RICH_RENDER_ORDER = [
+    ['code', 'code'], ['bold', 'strong'], ['italic', 'em'], ['underline', 'u'], ['strike', 's']
+];
+
+// Elements whose content is never text
+const RICH_SKIP_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'OBJECT'];
+
+// Returns a safe absolute URL or null - bare domains get https://
+export function sanitizeUrl(url) {
+    const trimmed = String(url || '').trim();
+    if (!trimmed) return null;
+    const candidate = /^[a-z][a-z0-9+.-]*:/i.test(trimmed) ? trimmed : 'https://' + trimmed;
+    try {
+        const parsed = new URL(candidate);
+        return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function normalizeMarks(marks) {
+    const clean = {};
+    if (!marks || typeof marks !== 'object') return clean;
+    RICH_MARKS.forEach(mark => {
+        if (mark === 'link') {
+            const url = sanitizeUrl(marks.link);
+            if (url) clean.link = url;
+        } else if (marks[mark]) {
+            clean[mark] = true;
+        }
+    });
+    return clean;
+}
+
+function sameMarks(a, b) {
+    return RICH_MARKS.every(mark => (a[mark] || false) === (b[mark] || false));
+}
+
+export function normalizeRuns(runs) {
+    const result = [];
+    (Array.isArray(runs) ? runs : []).forEach(run => {
+        if (!run || typeof run.text !== 'string' || !run.text) return;
+        const marks = normalizeMarks(run.marks);
+        const last = result[result.length - 1];
+        if (last && sameMarks(last.marks, marks)) {
+            last.text += run.text;
+        } else {
+            result.push({ text: run.text, marks });
+        }
+    });
+    return result;
+}
+
+export function runsText(runs) {
+    return runs.map(run => run.text).join('');
+}
+
+// Replace every run piece inside [start, end) with edit({ text, marks })
+export function editRuns(runs, start, end, edit) {
+    const result = [];
+    let offset = 0;
+    runs.forEach(run => {
+        const runStart = offset;
+        offset += run.text.length;
+        const from = Math.max(start, runStart) - runStart;
+        const to = Math.min(end, offset) - runStart;
+        if (from >= to) {
+            result.push(run);
+            return;
+        }
+        result.push({ text: run.text.slice(0, from), marks: run.marks });
+        result.push(edit({ text: run.text.slice(from, to), marks: { ...run.marks } }));
+        result.push({ text: run.text.slice(to), marks: run.marks });
+    });
+    return normalizeRuns(result);
+}
+
+function rangeHasMark(runs, start, end, mark) {
+    let offset = 0;
+    return runs.every(run => {
+        const runStart = offset;
+        offset += run.text.length;
+        return offset <= start || runStart >= end || Boolean(run.marks[mark]);
+    });
+}
+
+// Bold etc. are switched off if the whole range already has them, on otherwise
+export function toggleRunMark(runs, start, end, mark) {
+    const on = !rangeHasMark(runs, start, end, mark);
+    return editRuns(runs, start, end, ({ text, marks }) => {
+        if (on) {
+            marks[mark] = true;
+        } else {
+            delete marks[mark];
+        }
+        return { text, marks };
+    });
+}
+
+// url null removes the link
+export function setRunLink(runs, start, end, url) {
+    return editRuns(runs, start, end, ({ text, marks }) => {
+        marks.link = url;
+        return { text, marks };
+    });
+}
+
+export function renderRuns(runs) {
+    const fragment = document.createDocumentFragment();
+    let anchor = null;
+    runs.forEach(run => {
+        let node = document.createTextNode(run.text);
+        [...RICH_RENDER_ORDER].reverse().forEach(([mark, tag]) => {
+            if (!run.marks[mark]) return;
+            const wrapper = document.createElement(tag);
+            wrapper.append(node);
+            node = wrapper;
+        });
+
+        if (!run.marks.link) {
+            anchor = null;
+            fragment.append(node);
+            return;
+        }
+        // Neighbouring runs with the same link share one <a>
+        if (!anchor || anchor.getAttribute('href') !== run.marks.link) {
+            anchor = document.createElement('a');
+            anchor.href = run.marks.link;
+            anchor.title = run.marks.link + ' (Ctrl/⌘ + click to open)';
+            fragment.append(anchor);
+        }
+        anchor.append(node);
+    });
+    return fragment;
+}
+
+/**
+ * Read runs out of a (possibly browser-edited) element.
+ * points: [{ node, offset }] DOM positions (e.g. a selection) to convert to text offsets.
+ */
+export function readRuns(root, points = []) {
+    const runs = [];
+    const offsets = points.map(() => null);
+    let length = 0;
+    let lastChar = '';
+
+    const push = (text, marks) => {
+        runs.push({ text, marks });
+        length += text.length;
+        lastChar = text[text.length - 1];
+    };
+    const markPoints = (node, offset, base) => {
+        points.forEach((point, index) => {
+            if (point.node === node && (offset === null || point.offset === offset)) {
+                offsets[index] = base + (offset === null ? point.offset : 0);
+            }
+        });
+    };
+    const visit = (node, marks) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            markPoints(node, null, length);
+            if (node.nodeValue) push(node.nodeValue, marks);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName;
+        if (RICH_SKIP_TAGS.includes(tag)) return;
+        if (tag === 'BR') {
+            push('\n', marks);
+            return;
+        }
+        // Browsers wrap new lines in <div>/<p> when Enter is pressed
+        if ((tag === 'DIV' || tag === 'P') && node !== root && length > 0 && lastChar !== '\n') {
+            push('\n', marks);
+        }
+
+        const childMarks = { ...marks };
+        if (RICH_TAGS[tag] === 'link') {
+            const url = sanitizeUrl(node.getAttribute('href'));
+            if (url) childMarks.link = url;
+        } else if (RICH_TAGS[tag]) {
+            childMarks[RICH_TAGS[tag]] = true;
+        }
+        [...node.childNodes].forEach((child, index) => {
+            markPoints(node, index, length);
+            visit(child, childMarks);
+        });
+        markPoints(node, node.childNodes.length, length);
+    };
+
+    visit(root, {});
+    return { runs: normalizeRuns(runs), offsets };
+}
+
+// DOM position of a text offset inside rendered runs (the inverse of readRuns' points)
+export function domPointAt(root, offset) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let remaining = offset;
+    let last = null;
+    while (walker.nextNode()) {
+        last = walker.currentNode;
+        if (remaining <= last.nodeValue.length) {
+            return { node: last, offset: remaining };
+        }
+        remaining -= last.nodeValue.length;
+    }
+    return last ? { node: last, offset: last.nodeValue.length } : { node: root, offset: 0 };
+}
+
+// Runs split at line breaks: [[{ text, marks }, ...], ...] one array per line
+export function splitRunLines(runs) {
+    const lines = [[]];
+    runs.forEach(run => {
+        run.text.split('\n').forEach((piece, index) => {
+            if (index > 0) lines.push([]);
+            if (piece) lines[lines.length - 1].push({ text: piece, marks: run.marks });
+        });
+    });
+    return lines;
+}
@@ -0,0 +1,106 @@
+/**
+ * Saved board format (version CONFIG.typing.schemaVersion):
+ * {
+ *   version: 3,
+ *   thoughts: [{ id, text, runs, x, y, style: { color, fontSize, tint }, tags, markdown, attachment, created, modified, z, pinned, locked, isActive }],
+ *   links: [{ id, from, to, created }],   (optional, from/to are thought ids)
+ *   groups: [{ id, name, members }],      (optional, members are thought ids)
+ *   blot: { targetThoughtId },   (optional)
+ *   viewport: { x, y, zoom },    (optional)
+ *   sync: { stamps, tombstones } (optional, see BoardSync)
+ * }
+ *
+ * Thought x/y are world coordinates (see Viewport). runs is the formatted content
+ * (see RICH TEXT), text is its plain text for search, export and the assistant.
+ * markdown (optional) marks text as Markdown source, rendered while not edited (see MARKDOWN).
+ * attachment (optional) { id, name, type, size } makes the thought a pasted or dropped
+ * file, its text is the file name (see ATTACHMENTS).
+ * style.tint (optional) is a highlight color name from CONFIG.formatting.tints. tags are the
+ * #hashtags in text - saved for whoever reads the board, recomputed from text on load (see TAGS).
+ * z is the stacking order, higher is in front - older boards used the array index.
+ * pinned thoughts can't be dragged, locked ones can't be edited (see Thought).
+ *
+ * Boards are stored by notebook id through the storage adapter (see STORAGE ADAPTERS).
+ *
+ * Version 1 was a bare array of { text, x, y, isActive }.
+ * Version 2 had whole-thought style: { bold, italic } and url instead of runs.
+ * BOARD_MIGRATIONS[n] upgrades version n data to version n + 1.
+ */
+
+import { CONFIG } from './config.js';
+import { generateId } from './helpers.js';
+import { normalizeRuns, runsText } from './rich-text.js';
+import { normalizeAttachment } from './attachments.js';
+import { extractTags, normalizeTint } from './tags.js';
+
+const BOARD_MIGRATIONS = {
+    1: (data) => ({
+        version: 2,
+        thoughts: data.map((record, index) => normalizeThoughtRecord(record, index))
+    }),
+    2: (data) => ({
+        ...data,
+        version: 3,
+        thoughts: data.thoughts.map((record, index) => normalizeThoughtRecord(record, index))
+    })
+};
+
+export function migrateBoardData(data) {
+    let board = data;
+    let version = Array.isArray(data) ? 1 : data.version;
+    while (version < CONFIG.typing.schemaVersion) {
+        board = BOARD_MIGRATIONS[version](board);
+        version = board.version;
+    }
+    return board;
+}
+
+// Migrate a stored board and fill in whatever it is missing, so it can be put on the canvas.
+// Throws when data isn't a board at all.
+export function normalizeBoardData(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Not a saved board');
+    }
+    const board = migrateBoardData(data);
+    const records = Array.isArray(board.thoughts) ? board.thoughts : [];
+    return {
+        ...board,
+        thoughts: records
+            .filter(record => record && typeof record === 'object')
+            .map((record, index) => normalizeThoughtRecord(record, index)),
+        links: Array.isArray(board.links) ? board.links : [],
+        groups: Array.isArray(board.groups) ? board.groups : []
+    };
+}
+
+// Fill in anything missing from a saved thought (also accepts old history snapshots)
+export function normalizeThoughtRecord(data, index = 0) {
+    const now = Date.now();
+    const style = data.style || { bold: data.bold, italic: data.italic };
+    const text = typeof data.text === 'string' ? data.text : '';
+    // Before version 3, bold/italic/url applied to the whole thought
+    const runs = Array.isArray(data.runs)
+        ? normalizeRuns(data.runs)
+        : normalizeRuns([{ text, marks: { bold: style.bold, italic: style.italic, link: data.url } }]);
+    return {
+        id: data.id || generateId('thought'),
+        text: runsText(runs),
+        runs,
+        x: Number(data.x) || 0,
+        y: Number(data.y) || 0,
+        style: {
+            color: typeof style.color === 'string' ? style.color : null,
+            fontSize: Number(style.fontSize) > 0 ? Number(style.fontSize) : null,
+            tint: normalizeTint(style.tint)
+        },
+        tags: extractTags(runsText(runs)),
+        markdown: Boolean(data.markdown),
+        attachment: normalizeAttachment(data.attachment),
+        created: data.created || now,
+        modified: data.modified || data.created || now,
+        z: typeof data.z === 'number' ? data.z : index,
+        pinned: Boolean(data.pinned),
+        locked: Boolean(data.locked),
+        isActive: Boolean(data.isActive)
+    };
+}
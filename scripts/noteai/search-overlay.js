@@ -0,0 +1,240 @@
+/**
+ * MODULE: Search Overlay
+ * PURPOSE: Full-text search across the current board or every notebook (Ctrl+F)
+ * 
+ * INPUTS:
+ * - Query and scope from the overlay
+ * - Enter / Shift+Enter (or the arrows) to step, Escape to close
+ * 
+ * OUTPUTS:
+ * - Non-matching thoughts dimmed, matching ranges wrapped in <mark class="search-hit">
+ * - The chosen result centered in the viewport and made the current thought
+ * 
+ * BEHAVIOR:
+ * - Case-insensitive substring match on thought text
+ * - Results run in reading order, current notebook first
+ * - Stepping onto a result in another notebook switches to that notebook
+ * - Marks are only ever added around text nodes, so thought text is unchanged
+ */
+
+import { app } from './state.js';
+
+export class SearchOverlay {
+    constructor() {
+        this.element = document.getElementById('searchOverlay');
+        this.input = document.getElementById('searchInput');
+        this.scopeSelect = document.getElementById('searchScope');
+        this.countLabel = document.getElementById('searchCount');
+        this.isOpen = false;
+        this.results = []; // [{ notebookId, thoughtId }]
+        this.index = -1;
+        this.otherBoards = []; // [{ notebookId, records }] read from storage, see loadOtherBoards
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.search());
+        this.scopeSelect.addEventListener('change', () => this.searchAll());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.step(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        // Ctrl+F again while the overlay has focus just reselects the query
+        this.element.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+                e.preventDefault();
+                this.input.select();
+            }
+        });
+
+        document.getElementById('searchPrev').addEventListener('click', () => this.step(-1));
+        document.getElementById('searchNext').addEventListener('click', () => this.step(1));
+        document.getElementById('searchClose').addEventListener('click', () => this.close());
+    }
+
+    open() {
+        this.isOpen = true;
+        this.element.classList.add('open');
+        this.input.focus();
+        this.input.select();
+        this.searchAll();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.element.classList.remove('open');
+        this.clearMarks();
+        this.results = [];
+        this.index = -1;
+        this.input.blur();
+    }
+
+    get query() {
+        return this.input.value.trim().toLowerCase();
+    }
+
+    // Records for every board in scope, current notebook first
+    boardsInScope() {
+        const boards = [{ notebookId: app.notebookManager.activeId, records: app.thoughts.map(t => t.snapshot()) }];
+        if (this.scopeSelect.value === 'all') {
+            boards.push(...this.otherBoards.filter(board => board.notebookId !== app.notebookManager.activeId));
+        }
+        return boards;
+    }
+
+    // The other notebooks are read from storage once per open / scope change, not per keystroke
+    async loadOtherBoards() {
+        const notebooks = app.notebookManager.index.notebooks.filter(n => n.id !== app.notebookManager.activeId);
+        const boards = await Promise.all(notebooks.map(async notebook => {
+            try {
+                const board = await app.storage.load(notebook.id);
+                return board && { notebookId: notebook.id, records: board.thoughts };
+            } catch (err) {
+                console.warn('NoteAI: skipping unreadable notebook in search', notebook.name, err);
+                return null;
+            }
+        }));
+        this.otherBoards = boards.filter(Boolean);
+    }
+
+    // Search what's at hand now, then again once the other notebooks are read
+    searchAll() {
+        this.search();
+        if (this.scopeSelect.value === 'all') {
+            this.loadOtherBoards().then(() => {
+                if (this.isOpen) {
+                    this.search();
+                }
+            });
+        }
+    }
+
+    search() {
+        const previous = this.results[this.index];
+        const query = this.query;
+        this.results = [];
+        if (query) {
+            this.boardsInScope().forEach(({ notebookId, records }) => {
+                app.boardTransfer.readingOrder(records).forEach(record => {
+                    if (record.text.toLowerCase().includes(query)) {
+                        this.results.push({ notebookId, thoughtId: record.id });
+                    }
+                });
+            });
+        }
+
+        // Stay on the same result while the query is refined
+        this.index = previous
+            ? this.results.findIndex(r => r.thoughtId === previous.thoughtId)
+            : -1;
+        if (this.index === -1 && this.results.length > 0) {
+            this.index = 0;
+        }
+        this.render();
+    }
+
+    step(direction) {
+        if (this.results.length === 0) return;
+        this.index = (this.index + direction + this.results.length) % this.results.length;
+        this.goTo(this.results[this.index]);
+    }
+
+    async goTo(result) {
+        if (result.notebookId !== app.notebookManager.activeId) {
+            await app.notebookManager.switchTo(result.notebookId);
+        }
+        this.render();
+
+        const thought = app.thoughts.find(t => t.id === result.thoughtId);
+        if (!thought) return;
+        const box = app.connectorLayer.thoughtBox(thought);
+        app.viewport.flyTo(box.cx, box.cy);
+        app.thoughtManager.setCurrentThought(thought);
+
+        // Keep typing in the search box
+        this.input.focus();
+    }
+
+    render() {
+        this.clearMarks();
+        const query = this.query;
+        const active = this.results[this.index];
+
+        app.thoughts.forEach(thought => {
+            const matches = Boolean(query) && thought.text.toLowerCase().includes(query);
+            thought.element.classList.toggle('search-dimmed', Boolean(query) && !matches);
+            thought.element.classList.toggle('search-current', Boolean(active) && active.thoughtId === thought.id);
+            if (matches) {
+                this.markMatches(thought.element, query);
+            }
+        });
+
+        if (!query) {
+            this.countLabel.textContent = '';
+        } else if (this.results.length === 0) {
+            this.countLabel.textContent = 'No matches';
+        } else {
+            let label = `${this.index + 1} of ${this.results.length}`;
+            if (active && active.notebookId !== app.notebookManager.activeId) {
+                const notebook = app.notebookManager.index.notebooks.find(n => n.id === active.notebookId);
+                label += ' · ' + notebook.name;
+            }
+            this.countLabel.textContent = label;
+        }
+    }
+
+    // Wrap each occurrence of query inside element's text nodes in a <mark>
+    markMatches(element, query) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const lower = text.toLowerCase();
+            let start = lower.indexOf(query);
+            if (start === -1) return;
+
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            while (start !== -1) {
+                fragment.append(text.slice(last, start));
+                const mark = document.createElement('mark');
+                mark.className = 'search-hit';
+                mark.textContent = text.slice(start, start + query.length);
+                fragment.append(mark);
+                last = start + query.length;
+                start = lower.indexOf(query, last);
+            }
+            fragment.append(text.slice(last));
+            node.replaceWith(fragment);
+        });
+    }
+
+    clearMarks() {
+        document.querySelectorAll('mark.search-hit').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(document.createTextNode(mark.textContent));
+            parent.normalize();
+        });
+        app.thoughts.forEach(thought => {
+            thought.element.classList.remove('search-dimmed', 'search-current');
+        });
+    }
+
+    // Called after the board changes underneath an open search (notebook switch etc.)
+    refresh() {
+        if (this.isOpen) {
+            this.searchAll();
+        }
+    }
+}
@@ -0,0 +1,252 @@
+/**
+ * MODULE: Selection Manager
+ * PURPOSE: Multi-select (shift-click, marquee) and persistent named groups
+ * 
+ * INPUTS:
+ * - Shift-clicks on thoughts, drags on empty canvas (from ThoughtManager)
+ * - Blot menu 'group' action
+ * 
+ * OUTPUTS:
+ * - .selected / .grouped classes on thought elements
+ * - The set of thoughts a drag, format or delete should act on
+ * - Groups saved with the board: [{ id, name, members: [thoughtIds] }]
+ * - 'group' history changes ({ kind: 'group', id, index, before, after })
+ * 
+ * BEHAVIOR:
+ * - Dragging a selected thought drags the whole selection
+ * - Dragging a grouped thought drags every member of its groups
+ * - Group members that were deleted are kept in the group, so undoing the
+ *   delete puts the thought back in its group
+ */
+
+import { app } from './state.js';
+import { generateId } from './helpers.js';
+import { isFilteredOut } from './tags.js';
+
+export class SelectionManager {
+    constructor() {
+        this.selected = new Set();
+        this.groups = [];
+        this.marquee = null; // { startX, startY, additive, element } in screen coordinates
+        this.suppressClick = false;
+    }
+
+    // === SELECTION ===
+
+    isSelected(thought) {
+        return this.selected.has(thought);
+    }
+
+    add(thought) {
+        this.selected.add(thought);
+        thought.element.classList.add('selected');
+    }
+
+    toggle(thought) {
+        if (this.selected.has(thought)) {
+            this.selected.delete(thought);
+            thought.element.classList.remove('selected');
+        } else {
+            this.add(thought);
+        }
+    }
+
+    clear() {
+        this.selected.forEach(thought => thought.element.classList.remove('selected'));
+        this.selected.clear();
+    }
+
+    // Drop thoughts that left the board
+    forget(thought) {
+        this.selected.delete(thought);
+    }
+
+    // What a blot action on this thought applies to
+    targetsFor(thought) {
+        if (this.selected.has(thought) && this.selected.size > 1) {
+            return app.thoughts.filter(t => this.selected.has(t));
+        }
+        return [thought];
+    }
+
+    // Everything that should move along when this thought is dragged - pinned thoughts stay
+    companionsFor(thought) {
+        const moving = new Set(this.selected.has(thought) ? this.selected : [thought]);
+        [...moving].forEach(member => {
+            this.groupsOf(member).forEach(group => {
+                group.members.forEach(id => {
+                    const other = app.thoughts.find(t => t.id === id);
+                    if (other) {
+                        moving.add(other);
+                    }
+                });
+            });
+        });
+        moving.delete(thought);
+        return [...moving].filter(other => !other.pinned);
+    }
+
+    // === MARQUEE ===
+
+    startMarquee(e) {
+        const element = document.createElement('div');
+        element.className = 'marquee';
+        document.body.appendChild(element);
+        this.marquee = { startX: e.clientX, startY: e.clientY, additive: e.shiftKey, element };
+        this.updateMarquee(e);
+    }
+
+    // A second finger came down mid-marquee
+    cancelMarquee() {
+        if (!this.marquee) return;
+        this.marquee.element.remove();
+        this.marquee = null;
+    }
+
+    get isMarqueeActive() {
+        return this.marquee !== null;
+    }
+
+    marqueeRect(e) {
+        const { startX, startY } = this.marquee;
+        return {
+            left: Math.min(startX, e.clientX),
+            top: Math.min(startY, e.clientY),
+            right: Math.max(startX, e.clientX),
+            bottom: Math.max(startY, e.clientY)
+        };
+    }
+
+    updateMarquee(e) {
+        const rect = this.marqueeRect(e);
+        const style = this.marquee.element.style;
+        style.left = rect.left + 'px';
+        style.top = rect.top + 'px';
+        style.width = (rect.right - rect.left) + 'px';
+        style.height = (rect.bottom - rect.top) + 'px';
+    }
+
+    // Returns false when the marquee was too small to be anything but a click
+    endMarquee(e) {
+        const rect = this.marqueeRect(e);
+        const { additive, element } = this.marquee;
+        element.remove();
+        this.marquee = null;
+
+        // A tiny marquee is just a click on empty space - let the click handler deal with it
+        if (rect.right - rect.left < 4 && rect.bottom - rect.top < 4) return false;
+
+        if (!additive) {
+            this.clear();
+        }
+        const topLeft = app.viewport.screenToWorld(rect.left, rect.top);
+        const bottomRight = app.viewport.screenToWorld(rect.right, rect.bottom);
+        app.spatialIndex.query({ left: topLeft.x, top: topLeft.y, right: bottomRight.x, bottom: bottomRight.y })
+            .forEach(thought => {
+                if (!isFilteredOut(thought)) {
+                    this.add(thought);
+                }
+            });
+
+        // Park the blot next to the selection so group actions are one hover away
+        const first = app.thoughts.find(t => this.selected.has(t));
+        if (first && app.blot) {
+            app.blot.targetThought = first;
+            app.blot.updatePosition();
+        }
+        this.suppressClick = true;
+        return true;
+    }
+
+    // The click that ends a marquee shouldn't also clear the selection
+    consumeClick() {
+        const suppressed = this.suppressClick;
+        this.suppressClick = false;
+        return suppressed;
+    }
+
+    // === GROUPS ===
+
+    groupsOf(thought) {
+        return this.groups.filter(group => group.members.includes(thought.id));
+    }
+
+    createGroup(members, name) {
+        const group = { id: generateId('group'), name, members: members.map(t => t.id) };
+        this.groups.push(group);
+        app.thoughtManager.history.record('group', [
+            { kind: 'group', id: group.id, index: this.groups.length - 1, before: null, after: this.copyGroup(group) }
+        ]);
+        this.renderGroups();
+        app.thoughtManager.saveThoughts();
+        return group;
+    }
+
+    ungroup(thought) {
+        const changes = this.groupsOf(thought).map(group => ({
+            kind: 'group', id: group.id, index: this.groups.indexOf(group), before: this.copyGroup(group), after: null
+        })).reverse();
+        if (changes.length === 0) return;
+
+        changes.forEach(change => this.applyGroupState(change.id, change.index, null));
+        app.thoughtManager.history.record('ungroup', changes);
+        app.thoughtManager.saveThoughts();
+    }
+
+    // Blot menu: group a multi-selection, or dissolve the target's groups
+    toggleGroup(targets, targetThought) {
+        if (targets.length > 1) {
+            const name = prompt('Name this group:', 'Group ' + (this.groups.length + 1));
+            if (name !== null) {
+                this.createGroup(targets, name.trim() || 'Group ' + (this.groups.length + 1));
+            }
+        } else {
+            this.ungroup(targetThought);
+        }
+    }
+
+    copyGroup(group) {
+        return { ...group, members: [...group.members] };
+    }
+
+    // History apply - state null removes the group
+    applyGroupState(id, index, state) {
+        const existing = this.groups.findIndex(g => g.id === id);
+        if (existing > -1) {
+            this.groups.splice(existing, 1);
+        }
+        if (state) {
+            this.groups.splice(Math.min(index, this.groups.length), 0, this.copyGroup(state));
+        }
+        this.renderGroups();
+    }
+
+    // History changes removing every group (used by clear / replace)
+    removalChanges() {
+        return this.groups.map((group, index) => ({
+            kind: 'group', id: group.id, index, before: this.copyGroup(group), after: null
+        })).reverse();
+    }
+
+    renderGroups() {
+        app.thoughts.forEach(thought => {
+            const names = this.groupsOf(thought).map(group => group.name);
+            thought.element.classList.toggle('grouped', names.length > 0);
+            if (names.length > 0) {
+                thought.element.title = names.join(', ');
+            } else {
+                thought.element.removeAttribute('title');
+            }
+        });
+    }
+
+    getState() {
+        return this.groups.map(group => this.copyGroup(group));
+    }
+
+    setState(groups) {
+        this.clear();
+        this.groups = (groups || []).map(group => this.copyGroup(group));
+        this.renderGroups();
+    }
+}
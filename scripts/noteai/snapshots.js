@@ -0,0 +1,99 @@
+/**
+ * MODULE: Snapshot Manager
+ * PURPOSE: Saved versions of each board - automatic ones every CONFIG.snapshots.interval,
+ * and named ones taken from the timeline
+ * 
+ * INPUTS:
+ * - The open board from ThoughtManager.getBoardData
+ * 
+ * OUTPUTS:
+ * - Snapshots kept through the storage adapter (loadSnapshots / saveSnapshots), oldest first:
+ *   [{ id, name, created, board }] - name is null for automatic ones, board is the saved
+ *   schema without the viewport, blot and sync state
+ * 
+ * BEHAVIOR:
+ * - Automatic snapshots are only taken when the board changed since the newest snapshot,
+ *   on the interval and when leaving a board
+ * - Only the newest CONFIG.snapshots.keep automatic snapshots are kept
+ * - Changes re-read the stored list and run one at a time, so two tabs don't drop each
+ *   other's snapshots
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { generateId } from './helpers.js';
+
+export class SnapshotManager {
+    constructor() {
+        this.queue = Promise.resolve(); // Chain of list updates, see update
+        this.timer = setInterval(() => this.capture(), CONFIG.snapshots.interval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    // Read-modify-write of a board's list. change returns the new list, or null to leave it.
+    update(boardId, change) {
+        const result = this.queue.then(async () => {
+            const stored = await app.storage.loadSnapshots(boardId);
+            const changed = change(stored);
+            if (!changed) return stored;
+            await app.storage.saveSnapshots(boardId, changed);
+            return changed;
+        });
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // Waits for updates still on their way, so a snapshot just taken is in the list
+    list(boardId) {
+        return this.queue.then(() => app.storage.loadSnapshots(boardId));
+    }
+
+    // What a version is made of - the open board without view state
+    boardState() {
+        const { version, thoughts: records, links, groups } = app.thoughtManager.getBoardData();
+        return { version, thoughts: records.map(({ isActive, ...record }) => record), links, groups };
+    }
+
+    signature(board) {
+        return JSON.stringify([board.thoughts, board.links, board.groups]);
+    }
+
+    // Without a name this is an automatic snapshot, skipped if nothing changed. Resolves
+    // with the snapshot taken, or null.
+    capture(name = null) {
+        const boardId = app.thoughtManager && app.thoughtManager.boardId;
+        if (!boardId || app.thoughtManager.loading) return Promise.resolve(null);
+
+        const board = this.boardState();
+        const snapshot = { id: generateId('snapshot'), name, created: Date.now(), board };
+        let taken = null;
+        return this.update(boardId, snapshots => {
+            const newest = snapshots[snapshots.length - 1];
+            const unchanged = newest
+                ? this.signature(newest.board) === this.signature(board)
+                : board.thoughts.length === 0;
+            if (!name && unchanged) return null;
+
+            taken = snapshot;
+            const automatic = snapshots.filter(s => !s.name);
+            const excess = automatic.length + (name ? 0 : 1) - CONFIG.snapshots.keep;
+            const dropped = new Set(automatic.slice(0, Math.max(0, excess)).map(s => s.id));
+            return [...snapshots.filter(s => !dropped.has(s.id)), snapshot];
+        }).then(() => taken).catch(err => {
+            console.warn('NoteAI: could not save a snapshot', err);
+            return null;
+        });
+    }
+
+    remove(boardId, snapshotId) {
+        return this.update(boardId, snapshots => snapshots.filter(s => s.id !== snapshotId));
+    }
+
+    // The notebook was deleted
+    removeAll(boardId) {
+        return this.update(boardId, () => []);
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * MODULE: Spatial Index
+ * PURPOSE: Which thoughts are where, without scanning or measuring every one of them - a
+ * uniform grid over world coordinates
+ *
+ * INPUTS:
+ * - Thoughts put on and taken off the board by ThoughtManager (add / remove / clear)
+ * - Thought.moveTo (move) and anything that may change a thought's size (refresh)
+ * - Viewport changes and window resizes (cull)
+ *
+ * OUTPUTS:
+ * - query / near: thoughts in a world rectangle or around a point, in stacking order -
+ *   ThoughtManager's nearby lookup, SelectionManager's marquee
+ * - boxOf: a thought's last measured world box, what ConnectorLayer.thoughtBox hands out
+ * - The 'culled' class on thoughts well off screen, so the browser doesn't lay them out
+ *
+ * BEHAVIOR:
+ * - Each thought sits in every CONFIG.spatial.cellSize cell its box touches
+ * - Sizes are measured (offsetWidth/Height) when the content changes, never on lookups
+ * - Culled thoughts aren't laid out, so a size change while culled is measured once they show
+ * - The current thought and the one keyboard focus is on are never culled
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+
+export class SpatialIndex {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // 'column,row' -> Set of thoughts
+        this.entries = new Map(); // thought -> { x, y, width, height, keys, stale }
+        this.shown = new Set(); // Indexed thoughts that aren't culled
+        window.addEventListener('resize', () => this.cull());
+    }
+
+    add(thought) {
+        if (!this.entries.has(thought)) {
+            this.entries.set(thought, { x: thought.x, y: thought.y, width: 0, height: 0, keys: [], stale: false });
+            this.shown.add(thought);
+        }
+        this.refresh(thought);
+    }
+
+    remove(thought) {
+        const entry = this.entries.get(thought);
+        if (!entry) return;
+        this.unbucket(thought, entry);
+        this.entries.delete(thought);
+        this.shown.delete(thought);
+        thought.element.classList.remove('culled');
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.shown.clear();
+    }
+
+    // Same size, new place - a thought moved into view shows right away
+    move(thought) {
+        const entry = this.entries.get(thought);
+        if (!entry) return;
+        this.place(thought, entry, entry.width, entry.height);
+        if (!this.shown.has(thought) && this.intersects(entry, this.viewRect())) {
+            this.show(thought);
+        }
+    }
+
+    // Measure again after the text, style or content changed
+    refresh(thought) {
+        const entry = this.entries.get(thought);
+        if (!entry) return;
+        if (!this.shown.has(thought)) {
+            entry.stale = true;
+            this.place(thought, entry, entry.width, entry.height);
+            return;
+        }
+        entry.stale = false;
+        this.place(thought, entry, thought.element.offsetWidth, thought.element.offsetHeight);
+    }
+
+    place(thought, entry, width, height) {
+        this.unbucket(thought, entry);
+        Object.assign(entry, { x: thought.x, y: thought.y, width, height });
+        entry.keys = this.keysFor({ left: entry.x, top: entry.y, right: entry.x + width, bottom: entry.y + height });
+        entry.keys.forEach(key => {
+            if (!this.cells.has(key)) {
+                this.cells.set(key, new Set());
+            }
+            this.cells.get(key).add(thought);
+        });
+    }
+
+    unbucket(thought, entry) {
+        entry.keys.forEach(key => {
+            const cell = this.cells.get(key);
+            cell.delete(thought);
+            if (cell.size === 0) {
+                this.cells.delete(key);
+            }
+        });
+        entry.keys = [];
+    }
+
+    // Cell keys a world rectangle touches, or null when it covers more cells than there are thoughts
+    keysFor({ left, top, right, bottom }, limit = Infinity) {
+        const first = { column: Math.floor(left / this.cellSize), row: Math.floor(top / this.cellSize) };
+        const last = { column: Math.floor(right / this.cellSize), row: Math.floor(bottom / this.cellSize) };
+        if ((last.column - first.column + 1) * (last.row - first.row + 1) > limit) return null;
+        const keys = [];
+        for (let column = first.column; column <= last.column; column++) {
+            for (let row = first.row; row <= last.row; row++) {
+                keys.push(column + ',' + row);
+            }
+        }
+        return keys;
+    }
+
+    // World box { x, y, width, height } - thoughts that aren't on the board are measured on the spot
+    boxOf(thought) {
+        const entry = this.entries.get(thought);
+        if (!entry) {
+            return { x: thought.x, y: thought.y, width: thought.element.offsetWidth, height: thought.element.offsetHeight };
+        }
+        return { x: entry.x, y: entry.y, width: entry.width, height: entry.height };
+    }
+
+    intersects(entry, rect) {
+        return entry.x <= rect.right && entry.x + entry.width >= rect.left &&
+            entry.y <= rect.bottom && entry.y + entry.height >= rect.top;
+    }
+
+    // Thoughts whose box touches the rectangle, edges included, in no particular order
+    candidates(rect) {
+        const keys = this.keysFor(rect, this.entries.size);
+        if (!keys) {
+            // A huge rectangle (zoomed far out) - going through the thoughts is cheaper
+            return [...this.entries.keys()].filter(thought => this.intersects(this.entries.get(thought), rect));
+        }
+        const found = new Set();
+        keys.forEach(key => {
+            const cell = this.cells.get(key);
+            if (cell) {
+                cell.forEach(thought => found.add(thought));
+            }
+        });
+        return [...found].filter(thought => this.intersects(this.entries.get(thought), rect));
+    }
+
+    // rect is { left, top, right, bottom } in world coordinates
+    query(rect) {
+        return this.candidates(rect).sort((a, b) => a.z - b.z);
+    }
+
+    // Thoughts whose top-left corner is closer than radius to (x, y)
+    near(x, y, radius) {
+        return this.query({ left: x - radius, top: y - radius, right: x + radius, bottom: y + radius })
+            .filter(thought => {
+                const entry = this.entries.get(thought);
+                return Math.sqrt((x - entry.x) ** 2 + (y - entry.y) ** 2) < radius;
+            });
+    }
+
+    // === CULLING ===
+    // The screen plus CONFIG.spatial.cullMargin, in world coordinates
+    viewRect() {
+        const margin = CONFIG.spatial.cullMargin;
+        const topLeft = app.viewport.screenToWorld(-margin, -margin);
+        const bottomRight = app.viewport.screenToWorld(window.innerWidth + margin, window.innerHeight + margin);
+        return { left: topLeft.x, top: topLeft.y, right: bottomRight.x, bottom: bottomRight.y };
+    }
+
+    cull() {
+        if (!app.viewport) return;
+        const visible = new Set(this.candidates(this.viewRect()));
+        this.shown.forEach(thought => {
+            if (!visible.has(thought) && !this.keepsShowing(thought)) {
+                this.shown.delete(thought);
+                thought.element.classList.add('culled');
+            }
+        });
+        visible.forEach(thought => this.show(thought));
+    }
+
+    keepsShowing(thought) {
+        return thought === app.currentThought ||
+            Boolean(app.keyboardNav && app.keyboardNav.focused === thought) ||
+            thought.element.contains(document.activeElement);
+    }
+
+    // Culled thoughts aren't displayed, so they can't take focus - this brings one back first
+    show(thought) {
+        const entry = this.entries.get(thought);
+        if (!entry || this.shown.has(thought)) return;
+        this.shown.add(thought);
+        thought.element.classList.remove('culled');
+        if (entry.stale) {
+            this.refresh(thought);
+        }
+    }
+
+    isCulled(thought) {
+        return this.entries.has(thought) && !this.shown.has(thought);
+    }
+}
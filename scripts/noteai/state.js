@@ -0,0 +1,55 @@
+/**
+ * MODULE: App state
+ * PURPOSE: Everything the NoteAI modules share - the pointer, the mode, the thoughts on the
+ * board and the managers that talk to each other. Modules read and write it as app.*.
+ *
+ * FIELDS:
+ * - mouseX, mouseY: last pointer position, screen pixels
+ * - mode: the ModeMachine - 'new_thought' or 'current_thought', see mode-machine.js
+ * - currentThought: the thought being edited, or null - only the mode machine sets it
+ * - thoughts: every Thought on the open board, in stacking order
+ * - mouseBlob: the typing-cursor blob element, created by ThoughtManager
+ * - mode, spatialIndex, blot, viewport, connectorLayer, selectionManager, thoughtManager, notebookManager,
+ *   boardTransfer, searchOverlay, assistant, storage, boardSync, keyboardNav, touchGestures,
+ *   autoLayout, tagSidebar, snapshotManager, timeline: filled in by startNoteAI
+ *
+ * BEHAVIOR:
+ * - resetState() puts everything back to how a fresh page starts, with overrides on top -
+ *   tests use it to start each case clean, or to hand in their own thoughts or managers
+ */
+
+function initialState() {
+    return {
+        mouseX: 0,
+        mouseY: 0,
+        mode: null,
+        spatialIndex: null,
+        mouseBlob: null,
+        currentThought: null, // Mirrors mode.thought
+        thoughts: [],
+        blot: null, // Should this ever be null?
+        viewport: null,
+        connectorLayer: null,
+        selectionManager: null,
+        thoughtManager: null,
+        notebookManager: null,
+        boardTransfer: null,
+        searchOverlay: null,
+        assistant: null,
+        storage: null,
+        boardSync: null,
+        keyboardNav: null,
+        touchGestures: null,
+        autoLayout: null,
+        tagSidebar: null,
+        snapshotManager: null,
+        timeline: null
+    };
+}
+
+export const app = initialState();
+
+export function resetState(overrides = {}) {
+    Object.keys(app).forEach(key => delete app[key]);
+    return Object.assign(app, initialState(), overrides);
+}
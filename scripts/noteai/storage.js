@@ -0,0 +1,495 @@
+/**
+ * Where boards are kept. ThoughtManager, NotebookManager and BoardSync only talk to
+ * the adapter picked by CONFIG.storage.adapter:
+ *
+ *   load(boardId)            -> board, migrated to the current schema, or null
+ *   save(boardId, board)     -> resolves once stored; rejects with StorageConflictError
+ *                               if someone else saved the board since it was loaded
+ *   remove(boardId)
+ *   list()                   -> ids of every stored board
+ *   watch(boardId, onChange) -> unwatch function; onChange() runs whenever another
+ *                               tab or client saved or removed that board
+ *   saveAttachment(id, blob), loadAttachment(id) -> Blob or null
+ *                               file contents, see ATTACHMENTS
+ *   loadSnapshots(boardId)   -> [snapshot], saved versions of the board, see SNAPSHOTS
+ *   saveSnapshots(boardId, snapshots)   an empty list removes them
+ *
+ * Everything but watch is async. The notebook index and undo history stay in
+ * localStorage - they belong to this browser rather than to the board.
+ */
+
+import { CONFIG } from './config.js';
+import { generateId } from './helpers.js';
+import { migrateBoardData } from './schema.js';
+import { blobToDataUrl, dataUrlToBlob } from './attachments.js';
+
+export class StorageConflictError extends Error {
+    constructor(boardId) {
+        super(`Board "${boardId}" was saved elsewhere since it was loaded`);
+        this.name = 'StorageConflictError';
+        this.boardId = boardId;
+    }
+}
+
+// The local adapters keep a revision in the stored board, counted up by every save.
+// A save is refused when the stored one isn't the revision this tab last loaded or
+// saved, like the sync server does - another tab got there in between.
+function revOf(board) {
+    return (board && Number(board.rev)) || 0;
+}
+
+// Tells the other tabs of this browser which board was saved. The local adapters
+// have no change feed of their own, so they share this one.
+class TabChannel {
+    constructor() {
+        this.tabId = generateId('tab');
+        this.watchers = new Map(); // boardId -> Set of onChange callbacks
+        this.channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CONFIG.sync.channelName) : null;
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => {
+                if (e.data && e.data.tabId !== this.tabId) {
+                    this.notify(e.data.boardId);
+                }
+            });
+        }
+    }
+
+    notify(boardId) {
+        (this.watchers.get(boardId) || []).forEach(onChange => onChange());
+    }
+
+    announce(boardId) {
+        if (this.channel) {
+            this.channel.postMessage({ tabId: this.tabId, boardId });
+        }
+    }
+
+    watch(boardId, onChange) {
+        if (!this.watchers.has(boardId)) {
+            this.watchers.set(boardId, new Set());
+        }
+        this.watchers.get(boardId).add(onChange);
+        return () => {
+            const watchers = this.watchers.get(boardId);
+            watchers.delete(onChange);
+            if (watchers.size === 0) {
+                this.watchers.delete(boardId);
+            }
+        };
+    }
+}
+
+/**
+ * Boards as JSON strings under prefix + ':' + boardId - the original storage.
+ * Without BroadcastChannel, storage events stand in as the change feed.
+ */
+export class LocalStorageAdapter {
+    constructor(prefix) {
+        this.prefix = prefix + ':';
+        this.tabs = new TabChannel();
+        this.revs = new Map(); // boardId -> revision of our last load or save
+        window.addEventListener('storage', (e) => {
+            if (!this.tabs.channel && e.key && e.key.startsWith(this.prefix)) {
+                this.tabs.notify(e.key.slice(this.prefix.length));
+            }
+        });
+    }
+
+    async load(boardId) {
+        const saved = localStorage.getItem(this.prefix + boardId);
+        const board = saved ? JSON.parse(saved) : null;
+        this.revs.set(boardId, revOf(board));
+        return board ? migrateBoardData(board) : null;
+    }
+
+    // Read, compared and written without an await in between, so no other save of
+    // this tab gets in - another tab's would have changed the revision
+    async save(boardId, board) {
+        const saved = localStorage.getItem(this.prefix + boardId);
+        const rev = saved ? revOf(JSON.parse(saved)) : 0;
+        if (rev !== (this.revs.get(boardId) || 0)) {
+            throw new StorageConflictError(boardId);
+        }
+        localStorage.setItem(this.prefix + boardId, JSON.stringify({ ...board, rev: rev + 1 }));
+        this.revs.set(boardId, rev + 1);
+        this.tabs.announce(boardId);
+    }
+
+    async remove(boardId) {
+        localStorage.removeItem(this.prefix + boardId);
+        this.revs.delete(boardId);
+        this.tabs.announce(boardId);
+    }
+
+    async list() {
+        const ids = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(this.prefix)) {
+                ids.push(key.slice(this.prefix.length));
+            }
+        }
+        return ids;
+    }
+
+    watch(boardId, onChange) {
+        return this.tabs.watch(boardId, onChange);
+    }
+
+    // Strings only, so files go in as data URLs - a few MB fill the quota
+    async saveAttachment(id, blob) {
+        localStorage.setItem(CONFIG.attachments.storageKey + ':' + id, await blobToDataUrl(blob));
+    }
+
+    async loadAttachment(id) {
+        const saved = localStorage.getItem(CONFIG.attachments.storageKey + ':' + id);
+        return saved ? dataUrlToBlob(saved) : null;
+    }
+
+    async loadSnapshots(boardId) {
+        const saved = localStorage.getItem(CONFIG.snapshots.storageKey + ':' + boardId);
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    async saveSnapshots(boardId, snapshots) {
+        const key = CONFIG.snapshots.storageKey + ':' + boardId;
+        if (snapshots.length === 0) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(snapshots));
+        }
+    }
+}
+
+/**
+ * Boards as structured objects in one IndexedDB object store, attachment Blobs and
+ * snapshot lists in two more, all keyed by id.
+ * Boards saved by the localStorage adapter (the default before IndexedDB) move over
+ * the first time the database is opened.
+ */
+class IndexedDBAdapter {
+    constructor(options, localPrefix) {
+        this.options = options;
+        this.localPrefix = localPrefix + ':';
+        this.tabs = new TabChannel();
+        this.revs = new Map(); // boardId -> revision of our last load or save
+        this.db = null; // Promise of the open database, see open()
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.options.name, 3);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    [this.options.store, this.options.attachmentStore, this.options.snapshotStore].forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name);
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(db => this.migrateLocalBoards(db)
+                .catch(err => console.warn('NoteAI: could not move boards out of localStorage', err))
+                .then(() => db));
+        }
+        return this.db;
+    }
+
+    // Copy localStorage boards in, unless another tab got there first, then drop them
+    migrateLocalBoards(db) {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(this.localPrefix)) {
+                keys.push(key);
+            }
+        }
+        if (keys.length === 0) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.options.store, 'readwrite');
+            const store = transaction.objectStore(this.options.store);
+            const moved = [];
+            keys.forEach(key => {
+                let board;
+                try {
+                    board = migrateBoardData(JSON.parse(localStorage.getItem(key)));
+                } catch (err) {
+                    console.warn('NoteAI: leaving unreadable board in localStorage', key, err);
+                    return;
+                }
+                const boardId = key.slice(this.localPrefix.length);
+                store.count(boardId).onsuccess = (e) => {
+                    if (e.target.result === 0) {
+                        store.put(board, boardId);
+                    }
+                };
+                moved.push(key);
+            });
+            transaction.oncomplete = () => {
+                moved.forEach(key => localStorage.removeItem(key));
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Run one request in its own transaction, resolving with its result once committed
+    async request(mode, makeRequest, storeName = this.options.store) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async load(boardId) {
+        const board = await this.request('readonly', store => store.get(boardId));
+        this.revs.set(boardId, revOf(board));
+        return board ? migrateBoardData(board) : null;
+    }
+
+    // The revision is checked and the board put in one readwrite transaction - other
+    // tabs' transactions on the store wait for it
+    async save(boardId, board) {
+        const expected = this.revs.get(boardId) || 0;
+        let rev = null;
+        await this.request('readwrite', store => {
+            const read = store.get(boardId);
+            read.onsuccess = () => {
+                if (revOf(read.result) === expected) {
+                    rev = expected + 1;
+                    store.put({ ...board, rev }, boardId);
+                }
+            };
+            return read;
+        });
+        if (rev === null) {
+            throw new StorageConflictError(boardId);
+        }
+        this.revs.set(boardId, rev);
+        this.tabs.announce(boardId);
+    }
+
+    async remove(boardId) {
+        await this.request('readwrite', store => store.delete(boardId));
+        this.revs.delete(boardId);
+        this.tabs.announce(boardId);
+    }
+
+    async list() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+
+    watch(boardId, onChange) {
+        return this.tabs.watch(boardId, onChange);
+    }
+
+    async saveAttachment(id, blob) {
+        await this.request('readwrite', store => store.put(blob, id), this.options.attachmentStore);
+    }
+
+    async loadAttachment(id) {
+        const blob = await this.request('readonly', store => store.get(id), this.options.attachmentStore);
+        return blob || null;
+    }
+
+    async loadSnapshots(boardId) {
+        const snapshots = await this.request('readonly', store => store.get(boardId), this.options.snapshotStore);
+        return snapshots || [];
+    }
+
+    async saveSnapshots(boardId, snapshots) {
+        await this.request('readwrite', store => (
+            snapshots.length === 0 ? store.delete(boardId) : store.put(snapshots, boardId)
+        ), this.options.snapshotStore);
+    }
+}
+
+/**
+ * Boards on a sync server (protocol in server/noteai-sync-server.mjs).
+ *
+ * BEHAVIOR:
+ * - Every board carries the server revision it was last loaded or saved at; a save
+ *   based on an older revision comes back 409 and rejects with StorageConflictError
+ * - watch() opens the WebSocket change feed, reconnecting after
+ *   CONFIG.storage.remote.reconnectDelay, and re-notifies every watcher after a
+ *   reconnect in case changes were missed
+ * - Our own saves come back on the feed tagged with our clientId and are skipped
+ * - Requests time out after CONFIG.storage.remote.timeout ms
+ */
+class RemoteAdapter {
+    constructor(options) {
+        this.options = options;
+        this.clientId = generateId('client');
+        this.revs = new Map(); // boardId -> revision of our last load or save
+        this.watchers = new Map(); // boardId -> Set of onChange callbacks
+        this.socket = null;
+        this.reconnected = false;
+    }
+
+    url(path) {
+        return this.options.endpoint.replace(/\/+$/, '') + path;
+    }
+
+    // Resolves with { status, data } for 2xx, 404 and 409 answers, rejects on anything else.
+    // read turns the response into data, JSON unless it's an attachment.
+    async request(method, path, body, contentType = 'application/json', read = response => response.json()) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+        const headers = { 'Content-Type': contentType };
+        if (this.options.apiKey) {
+            headers.Authorization = 'Bearer ' + this.options.apiKey;
+        }
+
+        try {
+            const response = await fetch(this.url(path), {
+                method,
+                headers,
+                body: body === undefined || body instanceof Blob ? body : JSON.stringify(body),
+                signal: controller.signal
+            });
+            if (!response.ok && response.status !== 404 && response.status !== 409) {
+                throw new Error(`Sync server answered ${response.status}`);
+            }
+            let data = null;
+            if (!response.ok) {
+                data = await response.json(); // 404 and 409 answers are always JSON
+            } else if (response.status !== 204) {
+                data = await read(response);
+            }
+            return { status: response.status, data };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    boardPath(boardId) {
+        return '/boards/' + encodeURIComponent(boardId);
+    }
+
+    async load(boardId) {
+        const { status, data } = await this.request('GET', this.boardPath(boardId));
+        if (status === 404) {
+            this.revs.set(boardId, 0);
+            return null;
+        }
+        this.revs.set(boardId, data.rev);
+        return migrateBoardData(data.board);
+    }
+
+    async save(boardId, board) {
+        const { status, data } = await this.request('PUT', this.boardPath(boardId), {
+            rev: this.revs.get(boardId) || 0,
+            client: this.clientId,
+            board
+        });
+        if (status === 409) {
+            throw new StorageConflictError(boardId);
+        }
+        this.revs.set(boardId, data.rev);
+    }
+
+    async remove(boardId) {
+        await this.request('DELETE', this.boardPath(boardId) + '?client=' + encodeURIComponent(this.clientId));
+        this.revs.delete(boardId);
+    }
+
+    async list() {
+        const { data } = await this.request('GET', '/boards');
+        return data.boards.map(board => board.id);
+    }
+
+    async saveAttachment(id, blob) {
+        await this.request('PUT', '/attachments/' + encodeURIComponent(id), blob,
+            blob.type || 'application/octet-stream');
+    }
+
+    async loadAttachment(id) {
+        const { status, data } = await this.request('GET', '/attachments/' + encodeURIComponent(id),
+            undefined, undefined, response => response.blob());
+        return status === 404 ? null : data;
+    }
+
+    async loadSnapshots(boardId) {
+        const { status, data } = await this.request('GET', '/snapshots/' + encodeURIComponent(boardId));
+        return status === 404 ? [] : data.snapshots;
+    }
+
+    async saveSnapshots(boardId, snapshots) {
+        await this.request('PUT', '/snapshots/' + encodeURIComponent(boardId), { snapshots });
+    }
+
+    watch(boardId, onChange) {
+        if (!this.watchers.has(boardId)) {
+            this.watchers.set(boardId, new Set());
+        }
+        this.watchers.get(boardId).add(onChange);
+        this.connect();
+        return () => {
+            const watchers = this.watchers.get(boardId);
+            watchers.delete(onChange);
+            if (watchers.size === 0) {
+                this.watchers.delete(boardId);
+            }
+        };
+    }
+
+    notify(boardId) {
+        (this.watchers.get(boardId) || []).forEach(onChange => onChange());
+    }
+
+    connect() {
+        if (this.socket || typeof WebSocket !== 'function') return;
+
+        const feedUrl = new URL(this.url('/feed'));
+        feedUrl.protocol = feedUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+        if (this.options.apiKey) {
+            // Browsers can't send headers with a WebSocket
+            feedUrl.searchParams.set('token', this.options.apiKey);
+        }
+        const socket = new WebSocket(feedUrl.href);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            if (this.reconnected) {
+                [...this.watchers.keys()].forEach(boardId => this.notify(boardId));
+            }
+        });
+        socket.addEventListener('message', (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            if (message.client === this.clientId || message.rev === this.revs.get(message.id)) return;
+            this.notify(message.id);
+        });
+        socket.addEventListener('close', () => {
+            this.socket = null;
+            if (this.watchers.size > 0) {
+                this.reconnected = true;
+                setTimeout(() => this.connect(), this.options.reconnectDelay);
+            }
+        });
+    }
+}
+
+export function createStorageAdapter() {
+    const { adapter } = CONFIG.storage;
+    if (adapter === 'remote') {
+        return new RemoteAdapter(CONFIG.storage.remote);
+    }
+    if (adapter === 'indexedDB' && typeof indexedDB !== 'undefined') {
+        return new IndexedDBAdapter(CONFIG.storage.indexedDB, CONFIG.typing.storageKey);
+    }
+    return new LocalStorageAdapter(CONFIG.typing.storageKey);
+}
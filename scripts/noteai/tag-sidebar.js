@@ -0,0 +1,204 @@
+/**
+ * MODULE: Tag Sidebar
+ * PURPOSE: Every #tag and highlight color on the board with its count, and a filtered
+ * view of the board by them
+ * 
+ * INPUTS:
+ * - The # tool button, clicks on a tag or color
+ * - refresh() from ThoughtManager after every save and board load
+ * 
+ * OUTPUTS:
+ * - Thoughts that don't match the filter (and their links) hidden with .filtered-out
+ * - hidden: ids of those thoughts, see isFilteredOut
+ * 
+ * BEHAVIOR:
+ * - Clicking a tag or color filters by it, clicking it again drops it; a tag and a
+ *   color together show thoughts that have both
+ * - The current thought always stays visible, and so do thoughts added while the filter
+ *   is on, until the filter changes
+ * - The filter belongs to the open notebook, switching notebooks drops it
+ */
+
+import { app } from './state.js';
+import { announce } from './helpers.js';
+import { tintFor } from './tags.js';
+
+export class TagSidebar {
+    constructor() {
+        this.panel = document.getElementById('tagSidebar');
+        this.button = document.getElementById('tagButton');
+        this.tagList = document.getElementById('tagList');
+        this.tintList = document.getElementById('tintList');
+        this.clearButton = document.getElementById('tagClear');
+        this.isOpen = false;
+        this.filter = { tag: null, tint: null };
+        this.filtering = new Set(); // Ids of the thoughts there were when the filter was set
+        this.hidden = new Set(); // Ids of the thoughts the filter hides
+        this.rendered = null; // What the lists show, see render
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    setupEventListeners() {
+        this.button.addEventListener('click', () => this.toggle());
+
+        this.panel.addEventListener('click', (e) => {
+            const item = e.target.closest('button');
+            if (!item) return;
+            if (item === this.clearButton) {
+                this.setFilter({ tag: null, tint: null });
+            } else if (item.hasAttribute('data-tag')) {
+                const tag = item.getAttribute('data-tag');
+                this.setFilter({ ...this.filter, tag: this.filter.tag === tag ? null : tag });
+            } else if (item.hasAttribute('data-tint')) {
+                const tint = item.getAttribute('data-tint');
+                this.setFilter({ ...this.filter, tint: this.filter.tint === tint ? null : tint });
+            }
+        });
+
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+                this.button.focus();
+            }
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.panel.classList.add('open');
+        this.button.setAttribute('aria-expanded', 'true');
+        this.refresh();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.panel.classList.remove('open');
+        this.button.setAttribute('aria-expanded', 'false');
+    }
+
+    // Tags and tints in use with their thought counts, most used first
+    counts() {
+        const tags = new Map();
+        const tints = new Map();
+        app.thoughts.forEach(thought => {
+            thought.tags.forEach(tag => tags.set(tag, (tags.get(tag) || 0) + 1));
+            if (thought.tint) {
+                tints.set(thought.tint, (tints.get(thought.tint) || 0) + 1);
+            }
+        });
+        // What the filter is set to stays listed, so it can be clicked off again
+        if (this.filter.tag && !tags.has(this.filter.tag)) tags.set(this.filter.tag, 0);
+        if (this.filter.tint && !tints.has(this.filter.tint)) tints.set(this.filter.tint, 0);
+        const sorted = (counts) => [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        return { tags: sorted(tags), tints: sorted(tints) };
+    }
+
+    // Called after the board changes - cheap when nothing the sidebar shows did
+    refresh() {
+        if (this.isOpen) {
+            this.render();
+        }
+        this.apply();
+        if (app.blot) {
+            app.blot.updateLabel();
+        }
+    }
+
+    render() {
+        const { tags, tints } = this.counts();
+        // Rebuilding the lists would drop keyboard focus on every save
+        const key = JSON.stringify([tags, tints, this.filter]);
+        if (key === this.rendered) return;
+        this.rendered = key;
+
+        const item = (attribute, value, pressed, count, ...content) => {
+            const button = document.createElement('button');
+            button.setAttribute(attribute, value);
+            button.setAttribute('aria-pressed', String(pressed));
+            const number = document.createElement('span');
+            number.className = 'tag-count';
+            number.textContent = count;
+            button.append(...content, number);
+            return button;
+        };
+        const span = (className, text = '') => {
+            const element = document.createElement('span');
+            element.className = className;
+            element.textContent = text;
+            return element;
+        };
+
+        this.tagList.replaceChildren(...(tags.length === 0
+            ? [span('tag-empty', 'Type a #tag into a thought')]
+            : tags.map(([tag, count]) => item('data-tag', tag, this.filter.tag === tag, count, span('tag-name', '#' + tag)))));
+        this.tintList.replaceChildren(...(tints.length === 0
+            ? [span('tag-empty', 'Highlight thoughts from the blot')]
+            : tints.map(([name, count]) => {
+                const swatch = span('tag-swatch');
+                swatch.style.setProperty('--swatch', tintFor(name).color);
+                return item('data-tint', name, this.filter.tint === name, count, swatch, span('tag-name', name));
+            })));
+        this.clearButton.hidden = !this.isFiltering();
+    }
+
+    isFiltering() {
+        return Boolean(this.filter.tag || this.filter.tint);
+    }
+
+    setFilter(filter) {
+        this.filter = filter;
+        this.filtering = new Set(app.thoughts.map(thought => thought.id));
+        this.refresh();
+        this.button.classList.toggle('active', this.isFiltering());
+
+        const shown = app.thoughts.length - this.hidden.size;
+        const parts = [this.filter.tag && '#' + this.filter.tag, this.filter.tint].filter(Boolean);
+        announce(this.isFiltering()
+            ? `Showing ${shown} thought${shown === 1 ? '' : 's'} with ${parts.join(' and ')}`
+            : 'Showing all thoughts');
+    }
+
+    matches(thought) {
+        return (!this.filter.tag || thought.tags.includes(this.filter.tag)) &&
+            (!this.filter.tint || thought.tint === this.filter.tint);
+    }
+
+    // Hide what doesn't match - only touches the DOM when that changes
+    apply() {
+        const hidden = new Set(this.isFiltering()
+            ? app.thoughts
+                .filter(thought => thought !== app.currentThought && this.filtering.has(thought.id) && !this.matches(thought))
+                .map(thought => thought.id)
+            : []);
+        const changed = hidden.size !== this.hidden.size || [...hidden].some(id => !this.hidden.has(id));
+        this.hidden = hidden;
+        if (!changed) return;
+
+        app.thoughts.forEach(thought => {
+            thought.element.classList.toggle('filtered-out', hidden.has(thought.id));
+            if (hidden.has(thought.id) && app.selectionManager.isSelected(thought)) {
+                app.selectionManager.toggle(thought);
+            }
+        });
+        app.connectorLayer.render();
+    }
+
+    // Called from ThoughtManager.closeBoard
+    reset() {
+        this.filter = { tag: null, tint: null };
+        this.filtering = new Set();
+        this.hidden = new Set();
+        this.button.classList.remove('active');
+        this.refresh();
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * #hashtags typed anywhere in a thought's text, and the highlight tint picked from
+ * CONFIG.formatting.tints. Tags are lower-cased, need a letter or digit after the '#',
+ * and only start a word - 'page#anchor' and '# Heading' aren't tags, neither is '#42'.
+ * The TagSidebar counts both and filters the board by them.
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+
+const HASHTAG_PATTERN = /(^|[\s([{,;])#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+
+// Unique tags in order of first appearance
+export function extractTags(text) {
+    const tags = [];
+    for (const match of String(text).matchAll(HASHTAG_PATTERN)) {
+        const tag = match[2].replace(/-+$/, '').toLowerCase();
+        if (/^\d+$/.test(tag) || tags.includes(tag)) continue;
+        tags.push(tag);
+    }
+    return tags;
+}
+
+// Saved tint names must be in the palette, anything else is no tint
+export function normalizeTint(name) {
+    const tint = CONFIG.formatting.tints.slice(1).find(t => t.name === name);
+    return tint ? tint.name : null;
+}
+
+export function tintFor(name) {
+    return CONFIG.formatting.tints.find(t => t.name === name) || null;
+}
+
+// Wrap the hashtags in rendered text in <span class="hashtag">, leaving code and links alone
+export function markHashtags(element) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement.closest('code, pre, a')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        const matches = [...text.matchAll(HASHTAG_PATTERN)].filter(match => !/^\d+$/.test(match[2]));
+        if (matches.length === 0) return;
+
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        matches.forEach(match => {
+            const start = match.index + match[1].length;
+            const end = start + 1 + match[2].replace(/-+$/, '').length;
+            fragment.append(text.slice(last, start));
+            const tag = document.createElement('span');
+            tag.className = 'hashtag';
+            tag.textContent = text.slice(start, end);
+            fragment.append(tag);
+            last = end;
+        });
+        fragment.append(text.slice(last));
+        node.replaceWith(fragment);
+    });
+}
+
+// Thoughts hidden by the TagSidebar filter are left out of navigation, selection and layout
+export function isFilteredOut(thought) {
+    return Boolean(app.tagSidebar) && app.tagSidebar.hidden.has(thought.id);
+}
@@ -0,0 +1,1015 @@
+/**
+ * MODULE: Thought Manager
+ * PURPOSE: Manages thought creation, editing, and keyboard input handling
+ * 
+ * INPUTS:
+ * - Keyboard events (keydown, keypress)
+ * - Mouse position and movement
+ * - User typing input
+ * - Pasted and dropped files
+ * 
+ * OUTPUTS:
+ * - New thought creation at mouse position
+ * - Attachment thoughts for files (see ATTACHMENTS)
+ * - Character addition to existing thoughts
+ * - Backspace/delete functionality
+ * - App mode switching between 'new_thought' and 'current_thought'
+ * 
+ * BEHAVIOR:
+ * - Listens for all keyboard input to detect typing
+ * - Creates thoughts at the mouse, or at the keyboard cursor while it shows (typingPoint)
+ * - Handles Enter key for line breaks
+ * - Handles Backspace for character/thought deletion
+ * - Manages mouse blob visibility based on app mode
+ * - Applies undo/redo commands from the HistoryManager (Ctrl+Z / Ctrl+Shift+Z)
+ * - Keys for moving around the board go to the KeyboardNavigator, Shift+F10 opens the blot menu
+ * - Mouse, pen and touch all come in as Pointer Events; a finger on empty canvas pans, a tap
+ *   there places the cursor for a new thought, second fingers and long-presses go to TouchGestures
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { generateId, isUiTarget, announce, isCanvasTarget, thoughtElementOf } from './helpers.js';
+import { normalizeAttachment, formatFileSize } from './attachments.js';
+import { Thought } from './thought.js';
+import { normalizeBoardData } from './schema.js';
+import { HistoryManager } from './history.js';
+
+export class ThoughtManager {
+    constructor() {
+        this.boardId = null;
+        this.history = null;
+        this.loading = false; // Between openBoard and the stored board arriving - nothing is saved
+        this.unwatch = null;
+        this.pointerType = 'mouse'; // Of the last pointer event - touch and pen have no hover
+        this.ready = this.openBoard(app.notebookManager.activeId);
+        this.setupEventListeners();
+    }
+
+    // Load a notebook's thoughts, blot state and history onto the canvas
+    async openBoard(id) {
+        this.boardId = id;
+        this.loading = true;
+        this.history = new HistoryManager(app.notebookManager.historyKey(id), CONFIG.history.limit);
+        this.unwatch = app.storage.watch(id, () => app.boardSync.pull(id));
+        await app.boardSync.enqueue(() => this.loadThoughts(id));
+        if (this.boardId !== id) return; // Another notebook was opened meanwhile
+
+        this.updateMouseBlob();
+        if (app.blot) {
+            app.blot.onCurrentThoughtChanged();
+        }
+        if (app.searchOverlay) {
+            app.searchOverlay.refresh();
+        }
+        if (app.tagSidebar) {
+            app.tagSidebar.refresh();
+        }
+    }
+
+    // Take everything off the canvas, ready for another notebook. save is false when
+    // the notebook is already gone (deleted in another tab).
+    closeBoard(save = true) {
+        this.releaseCurrentThought('board closed');
+        if (save) {
+            this.saveThoughts();
+            if (app.snapshotManager) {
+                app.snapshotManager.capture(); // Reads the board right away, before it's cleared
+            }
+        }
+        if (app.timeline) {
+            app.timeline.close();
+        }
+        if (this.unwatch) {
+            this.unwatch();
+            this.unwatch = null;
+        }
+
+        app.thoughts.forEach(thought => thought.remove());
+        app.thoughts = [];
+        app.spatialIndex.clear();
+        app.connectorLayer.clear();
+        app.selectionManager.setState([]);
+        app.keyboardNav.reset();
+        app.mode.send('clear', { reason: 'board closed' });
+        if (app.blot) {
+            app.blot.targetThought = null;
+            if (app.blot.menuExpanded) {
+                app.blot.collapseMenu();
+            }
+        }
+        if (app.tagSidebar) {
+            app.tagSidebar.reset();
+        }
+    }
+
+    setupEventListeners() {
+        // Pointer tracking variables for drag detection - mouse, pen and touch alike
+        let mouseDownTime = 0;
+        let mouseDownX = 0;
+        let mouseDownY = 0;
+        let hasMoved = false;
+        let draggedThought = null;
+        let dragCompanions = []; // Selection / group members moving with draggedThought
+        let activePointer = null; // Pointer driving the drag, marquee or pan - other fingers are ignored
+        let preventMouseDown = false; // Text selection and focus follow mousedown, not pointerdown
+        let tapPan = false; // One finger on empty canvas pans, a tap places the cursor instead
+
+        // Put down whatever the pointer was doing, without the click that would end it
+        const cancelPointer = () => {
+            if (draggedThought && draggedThought.isDragging) {
+                draggedThought.endDrag(dragCompanions);
+            }
+            if (app.viewport.isPanning) {
+                app.viewport.endPan();
+            }
+            app.selectionManager.cancelMarquee();
+            app.touchGestures.cancelLongPress();
+            dragCompanions = [];
+            mouseDownTime = 0;
+            hasMoved = false;
+            draggedThought = null;
+            activePointer = null;
+            tapPan = false;
+        };
+
+        // Pointer movement tracking
+        document.addEventListener('pointermove', (e) => {
+            this.pointerType = e.pointerType || 'mouse';
+            // A second finger turns the gesture into a pan / pinch zoom
+            if (app.touchGestures.move(e)) {
+                return;
+            }
+            if (activePointer !== null && e.pointerId !== activePointer) {
+                return;
+            }
+            app.mouseX = e.clientX;
+            app.mouseY = e.clientY;
+            if (this.pointerType === 'mouse') {
+                app.keyboardNav.release();
+            }
+
+            if (app.viewport.isPanning) {
+                app.viewport.updatePan(e);
+                return;
+            }
+            if (app.connectorLayer.isLinking) {
+                app.connectorLayer.updateLinkDrag();
+                return;
+            }
+            if (app.selectionManager.isMarqueeActive) {
+                app.selectionManager.updateMarquee(e);
+                return;
+            }
+            // Touch has no hover, a finger moving elsewhere doesn't mean typing is over
+            if (this.pointerType !== 'touch') {
+                this.updateAppMode();
+            }
+
+            // Handle dragging
+            if (mouseDownTime > 0 && draggedThought) {
+                const deltaX = Math.abs(e.clientX - mouseDownX);
+                const deltaY = Math.abs(e.clientY - mouseDownY);
+                const threshold = this.pointerType === 'touch' ? CONFIG.touch.moveTolerance : draggedThought.dragThreshold;
+                
+                if (deltaX > threshold || deltaY > threshold) {
+                    hasMoved = true;
+                    app.touchGestures.cancelLongPress();
+                    if (draggedThought.pinned) {
+                        return; // Stays where it is - and the pointer moving off it isn't a click
+                    }
+                    if (!draggedThought.isDragging) {
+                        dragCompanions = app.selectionManager.companionsFor(draggedThought);
+                        draggedThought.startDrag(dragCompanions);
+                    }
+                    const startX = draggedThought.x;
+                    const startY = draggedThought.y;
+                    draggedThought.drag(e);
+                    dragCompanions.forEach(thought => {
+                        thought.moveTo(thought.x + draggedThought.x - startX, thought.y + draggedThought.y - startY);
+                    });
+                }
+            }
+        });
+
+        // Single pointer down handler for all thoughts
+        document.addEventListener('pointerdown', (e) => {
+            this.pointerType = e.pointerType || 'mouse';
+            preventMouseDown = false;
+            if (app.touchGestures.down(e)) {
+                cancelPointer();
+                return;
+            }
+            if (activePointer !== null) {
+                return;
+            }
+
+            // Without hover, a tap anywhere else is how the blot menu gets closed
+            if (this.pointerType !== 'mouse' && app.blot && app.blot.menuExpanded && !app.blot.element.contains(e.target)) {
+                app.blot.collapseMenu();
+            }
+
+            // Panning wins over thought dragging
+            if (app.viewport.isPanGesture(e) && !isUiTarget(e.target)) {
+                preventMouseDown = true;
+                activePointer = e.pointerId;
+                app.viewport.startPan(e);
+                return;
+            }
+
+            const thoughtElement = thoughtElementOf(e.target);
+
+            if (thoughtElement && (app.connectorLayer.linkMode || e.altKey)) {
+                // Drawing a connector instead of dragging the thought
+                preventMouseDown = true;
+                const source = app.thoughts.find(t => t.element === thoughtElement);
+                if (source) {
+                    activePointer = e.pointerId;
+                    app.connectorLayer.startLinkDrag(source);
+                }
+                return;
+            }
+
+            if (thoughtElement && e.target.classList.contains('task-checkbox')) {
+                // Ticked in the click handler, without picking the thought up
+                return;
+            }
+
+            const anchor = thoughtElement && e.target.closest('a[href]');
+            if (anchor && (e.ctrlKey || e.metaKey)) {
+                // Ctrl/Cmd + click follows an inline link
+                preventMouseDown = true;
+                window.open(anchor.href, '_blank', 'noopener');
+                return;
+            }
+
+            if (thoughtElement) {
+                // Text selection inside the thought being edited is left to the browser
+                if (app.currentThought && app.currentThought.element === thoughtElement && app.currentThought.isActive &&
+                    app.currentThought.editable) {
+                    return;
+                }
+                preventMouseDown = true;
+                draggedThought = app.thoughts.find(t => t.element === thoughtElement);
+                if (draggedThought) {
+                    activePointer = e.pointerId;
+                    mouseDownTime = Date.now();
+                    mouseDownX = e.clientX;
+                    mouseDownY = e.clientY;
+                    hasMoved = false;
+                    draggedThought.dragStartX = e.clientX;
+                    draggedThought.dragStartY = e.clientY;
+                    // Holding a finger or pen on a thought opens the blot menu for it
+                    if (this.pointerType !== 'mouse') {
+                        const held = draggedThought;
+                        app.touchGestures.startLongPress(e, () => {
+                            cancelPointer();
+                            app.blot.openMenuFor(held);
+                        });
+                    }
+                }
+            } else if (e.button === 0 && isCanvasTarget(e.target)) {
+                activePointer = e.pointerId;
+                if (this.pointerType === 'touch') {
+                    // A finger on empty canvas moves the board, rubber-banding is for mouse and pen
+                    tapPan = true;
+                    mouseDownX = e.clientX;
+                    mouseDownY = e.clientY;
+                    app.viewport.startPan(e);
+                } else {
+                    // Rubber-band selection on empty canvas
+                    app.selectionManager.startMarquee(e);
+                }
+            }
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (preventMouseDown) {
+                e.preventDefault();
+            }
+            preventMouseDown = false;
+        });
+
+        // Single pointer up handler - ALWAYS clears drag state
+        document.addEventListener('pointerup', (e) => {
+            if (app.touchGestures.up(e)) {
+                return; // Part of a pinch, or a long-press that already opened the menu
+            }
+            if (activePointer !== null && e.pointerId !== activePointer) {
+                return;
+            }
+            activePointer = null;
+            if (app.viewport.isPanning) {
+                app.viewport.endPan();
+                // A finger that barely moved was a tap: that is where a new thought goes
+                if (tapPan && this.pointerType !== 'mouse' &&
+                    Math.abs(e.clientX - mouseDownX) <= CONFIG.touch.moveTolerance &&
+                    Math.abs(e.clientY - mouseDownY) <= CONFIG.touch.moveTolerance) {
+                    app.keyboardNav.placeCursorAt(e.clientX, e.clientY);
+                }
+                tapPan = false;
+                return;
+            }
+            if (app.connectorLayer.isLinking) {
+                // Touch and pen events stay with the element they started on, the drop target is under the pointer
+                const dropTarget = this.pointerType === 'mouse' ? e.target : document.elementFromPoint(e.clientX, e.clientY);
+                app.connectorLayer.endLinkDrag(thoughtElementOf(dropTarget));
+                return;
+            }
+            if (app.selectionManager.isMarqueeActive) {
+                const dragged = app.selectionManager.endMarquee(e);
+                if (!dragged && this.pointerType === 'pen') {
+                    app.keyboardNav.placeCursorAt(e.clientX, e.clientY);
+                }
+                return;
+            }
+
+            if (mouseDownTime > 0 && draggedThought) {
+                if (draggedThought.isDragging) {
+                    draggedThought.endDrag(dragCompanions);
+                    dragCompanions = [];
+                } else if (!hasMoved && e.shiftKey) {
+                    // Shift-click adds to / removes from the selection
+                    app.selectionManager.toggle(draggedThought);
+                    if (app.blot) {
+                        app.blot.targetThought = draggedThought;
+                        app.blot.updatePosition();
+                    }
+                } else if (!hasMoved) {
+                    // Simple click - select the thought
+                    app.selectionManager.clear();
+                    this.setCurrentThought(draggedThought);
+                }
+                // Always reset drag tracking variables
+                mouseDownTime = 0;
+                mouseDownX = 0;
+                mouseDownY = 0;
+                hasMoved = false;
+                draggedThought = null;
+            }
+        });
+
+        // The browser took the pointer away (a system gesture, the palm rejection kicking in)
+        document.addEventListener('pointercancel', (e) => {
+            app.touchGestures.up(e);
+            if (e.pointerId === activePointer) {
+                if (app.connectorLayer.isLinking) {
+                    app.connectorLayer.endLinkDrag(null);
+                }
+                cancelPointer();
+            }
+        });
+
+        // A long press is the blot menu, not the browser's context menu
+        document.addEventListener('contextmenu', (e) => {
+            if (app.touchGestures.pressing) {
+                e.preventDefault();
+            }
+        });
+
+        // Zoom with the wheel or a trackpad pinch
+        document.addEventListener('wheel', (e) => {
+            if (isUiTarget(e.target)) return;
+            e.preventDefault();
+            app.viewport.handleWheel(e);
+            this.updateAppMode();
+        }, { passive: false });
+
+        // Holding space turns the mouse into a pan tool (unless we are typing in a thought)
+        document.addEventListener('keyup', (e) => {
+            if (e.key === ' ') {
+                app.viewport.setSpaceHeld(false);
+            }
+        });
+        window.addEventListener('blur', () => app.viewport.setSpaceHeld(false));
+
+        // Blot hover handling - touch has no hover, it taps the blot instead
+        document.addEventListener('pointerenter', (e) => {
+            if (e.target.id === 'inkBlot' && app.blot && e.pointerType === 'mouse') {
+                app.blot.expandMenu();
+            }
+        }, true);
+
+        document.addEventListener('pointerleave', (e) => {
+            if (e.target.id === 'inkBlot' && app.blot && e.pointerType === 'mouse') {
+                // Add small delay to prevent flickering
+                setTimeout(() => {
+                    if (!app.blot.element.matches(':hover') && !app.blot.element.contains(document.activeElement)) {
+                        app.blot.collapseMenu();
+                    }
+                }, 100);
+            }
+        }, true);
+
+        // Blot menu item clicks
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('menu-item') && app.blot) {
+                e.preventDefault();
+                e.stopPropagation();
+                const action = e.target.getAttribute('data-action');
+                app.blot.executeAction(action);
+                return;
+            }
+
+            // Inline links only open with Ctrl/Cmd (see mousedown), a plain click edits
+            if (thoughtElementOf(e.target) && e.target.closest('a[href]')) {
+                e.preventDefault();
+            }
+
+            // Task checkboxes in rendered Markdown edit the source line instead
+            if (thoughtElementOf(e.target) && e.target.classList.contains('task-checkbox')) {
+                e.preventDefault();
+                const thought = app.thoughts.find(t => t.element === thoughtElementOf(e.target));
+                if (thought) {
+                    thought.toggleTask(Number(e.target.dataset.line));
+                }
+                return;
+            }
+
+            // Blot click handling
+            if (e.target.id === 'inkBlot' && app.blot) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (!app.currentThought && app.thoughts.length > 0) {
+                    this.setCurrentThought(app.thoughts[app.thoughts.length - 1]);
+                }
+                // No hover on touch - tapping the blot opens and closes the menu
+                if (this.pointerType !== 'mouse') {
+                    if (app.blot.menuExpanded) {
+                        app.blot.collapseMenu();
+                    } else {
+                        app.blot.expandMenu();
+                    }
+                }
+                return;
+            }
+
+            // Click handling for deselecting thoughts when clicking empty space
+            if (!e.target.classList.contains('thought') && !e.target.closest('.thought')) {
+                if (!app.selectionManager.consumeClick() && !isUiTarget(e.target)) {
+                    app.selectionManager.clear();
+                }
+                this.releaseCurrentThought('clicked the canvas');
+            }
+        });
+
+        // Unified keyboard input handling - ALL TYPING DETECTED HERE
+        document.addEventListener('keydown', (e) => {
+            // Toolbars (notebook bar etc.) handle their own keys
+            if (isUiTarget(e.target)) {
+                return;
+            }
+
+            // Undo/redo comes first so contentEditable's own undo never kicks in
+            if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'f') {
+                    e.preventDefault();
+                    app.searchOverlay.open();
+                    return;
+                }
+                if (key === 'z') {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    return;
+                }
+                if (key === 'y') {
+                    e.preventDefault();
+                    this.redo();
+                    return;
+                }
+                // Route the usual editing shortcuts through the runs, not contentEditable's own <b>/<i>/<u>
+                const formatKeys = { b: 'bold', i: 'italic', u: 'underline' };
+                if (formatKeys[key] && app.currentThought && app.currentThought.isActive && !e.shiftKey) {
+                    e.preventDefault();
+                    app.blot.runAction(formatKeys[key]);
+                    return;
+                }
+            }
+
+            // Blot menu shortcuts work while editing too, they all need a modifier
+            if (app.blot && app.blot.handleShortcut(e)) {
+                return;
+            }
+
+            // The keyboard way into the blot menu, for the thought being edited or focused
+            if ((e.key === 'F10' && e.shiftKey) || e.key === 'ContextMenu') {
+                e.preventDefault();
+                app.blot.openMenuFor(app.currentThought || app.keyboardNav.focusedThought() || app.blot.targetThought);
+                return;
+            }
+
+            // If a thought is active, let contentEditable handle most keys
+            if (app.mode.is('current_thought')) {
+                if (e.key === 'Escape') {
+                    // Stop editing, keyboard focus stays on the thought
+                    e.preventDefault();
+                    const thought = this.releaseCurrentThought('Escape');
+                    app.keyboardNav.focus(thought);
+                    return;
+                }
+                // Let contentEditable handle other keys naturally - attachments and locked
+                // thoughts aren't editable, so Backspace / Delete below remove them
+                if (app.mode.keyTarget === 'thought') {
+                    return;
+                }
+            }
+
+            if (app.keyboardNav.handleKey(e)) {
+                return;
+            }
+
+            if (e.key === 'Escape' && app.connectorLayer.linkMode) {
+                app.connectorLayer.setLinkMode(false);
+            } else if (e.key === 'Escape') {
+                app.selectionManager.clear();
+            } else if (e.key === ' ') {
+                e.preventDefault();
+                if (!e.repeat) {
+                    app.viewport.setSpaceHeld(true);
+                }
+            } else if (e.key === 'Backspace' || e.key === 'Delete') {
+                e.preventDefault();
+                this.handleDelete();
+            } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                // Regular character input
+                e.preventDefault();
+                if (app.mode.is('new_thought')) {
+                    this.createOrUpdateThought(e.key);
+                }
+            }
+        });
+
+        // Pasted files land where typing would. Text pasted into a thought is the thought's business.
+        document.addEventListener('paste', (e) => {
+            if (isUiTarget(e.target) || !e.clipboardData || e.clipboardData.files.length === 0) return;
+            if (thoughtElementOf(e.target) && e.clipboardData.getData('text/plain')) return;
+            e.preventDefault();
+            const point = this.typingPoint();
+            this.addAttachments([...e.clipboardData.files], point.x, point.y);
+        });
+
+        // Files dragged in from the desktop land where they are dropped
+        document.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && [...e.dataTransfer.types].includes('Files') && !isUiTarget(e.target)) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        document.addEventListener('drop', (e) => {
+            if (!e.dataTransfer || e.dataTransfer.files.length === 0 || isUiTarget(e.target)) return;
+            e.preventDefault();
+            const point = app.viewport.screenToWorld(e.clientX, e.clientY);
+            this.addAttachments([...e.dataTransfer.files], point.x, point.y);
+        });
+    }
+
+    updateAppMode() {
+        if (app.currentThought) {
+            // Check if mouse is over blot - if so, don't switch modes
+            const blotRect = app.blot && app.blot.getScreenRect();
+            const mouseOverBlot = Boolean(blotRect) && app.mouseX >= blotRect.left && app.mouseX <= blotRect.right && 
+                                 app.mouseY >= blotRect.top && app.mouseY <= blotRect.bottom;
+            
+            if (mouseOverBlot) {
+                // Don't change mode when hovering over blot
+                return;
+            }
+            
+            // Calculate distance to thought's bounding box, not just top-left position -
+            // the indexed box, so moving the mouse doesn't lay out the page
+            const box = app.spatialIndex.boxOf(app.currentThought);
+            const topLeft = app.viewport.worldToScreen(box.x, box.y);
+            const rect = {
+                left: topLeft.x,
+                top: topLeft.y,
+                right: topLeft.x + box.width * app.viewport.zoom,
+                bottom: topLeft.y + box.height * app.viewport.zoom
+            };
+            
+            // Find closest point on the bounding box to the mouse
+            const closestX = Math.max(rect.left, Math.min(app.mouseX, rect.right));
+            const closestY = Math.max(rect.top, Math.min(app.mouseY, rect.bottom));
+            
+            const distance = Math.sqrt(
+                (app.mouseX - closestX) ** 2 + (app.mouseY - closestY) ** 2
+            );
+            
+            if (distance > CONFIG.typing.mouseStillThreshold) {
+                // Mouse moved far from current thought - switch to new thought mode
+                this.releaseCurrentThought('pointer moved away');
+            }
+        }
+        
+        this.updateMouseBlob(); // The blob follows the pointer
+    }
+
+    createOrUpdateThought(char) {
+        if (char === ' ' || char.length > 1) return;
+
+        const point = this.typingPoint();
+        const nearbyThought = this.findNearbyThought(point.x, point.y);
+        
+        if (nearbyThought) {
+            this.typeInto(nearbyThought, char);
+            return;
+        }
+        const newThought = this.addThought(char, point.x, point.y);
+        this.setCurrentThought(newThought);
+        announce('New thought');
+        this.saveThoughts();
+    }
+
+    // Append a typed character as an undo step and carry on editing there
+    typeInto(thought, char) {
+        const before = thought.snapshot();
+        thought.appendText(char);
+        if (app.blot) {
+            app.blot.noteTyping();
+        }
+        this.history.record('type', [
+            { id: thought.id, index: app.thoughts.indexOf(thought), before, after: thought.snapshot() }
+        ]);
+        this.setCurrentThought(thought);
+        this.saveThoughts();
+    }
+
+    // An empty thought to type into where the user tapped - it is dropped again if nothing
+    // gets typed, and only enters the history once it has text (see Thought.commitEdit)
+    startThoughtAt(x, y) {
+        const thought = new Thought('', x, y);
+        thought.draft = true;
+        thought.element.classList.add('draft');
+        document.getElementById('thoughtsContainer').appendChild(thought.element);
+        app.thoughts.push(thought);
+        app.spatialIndex.add(thought);
+        app.selectionManager.clear();
+        this.setCurrentThought(thought);
+        return thought;
+    }
+
+    // World point typing starts at: the keyboard cursor while it shows, else the mouse
+    typingPoint() {
+        if (app.keyboardNav && app.keyboardNav.cursorVisible) {
+            return { ...app.keyboardNav.cursor };
+        }
+        return app.viewport.screenToWorld(app.mouseX, app.mouseY);
+    }
+
+    // Undoable create at a world position
+    addThought(text, x, y) {
+        const thought = new Thought(text, x, y);
+        document.getElementById('thoughtsContainer').appendChild(thought.element);
+        app.thoughts.push(thought);
+        app.spatialIndex.add(thought);
+        this.history.record('create', [
+            { id: thought.id, index: app.thoughts.length - 1, before: null, after: thought.snapshot() }
+        ]);
+        return thought;
+    }
+
+    // x/y in world coordinates; the threshold is in screen pixels so it feels the same at any zoom
+    findNearbyThought(x, y) {
+        const threshold = CONFIG.typing.mouseStillThreshold / app.viewport.zoom;
+        // Typing next to a file or locked thought starts a new one
+        return app.spatialIndex.near(x, y, threshold).find(thought => thought.editable);
+    }
+
+    setCurrentThought(thought) {
+        if (!thought) {
+            this.releaseCurrentThought('deselected');
+        } else {
+            if (app.currentThought) {
+                app.currentThought.setActive(false); // A draft left empty is removed here
+            }
+            if (app.mode.send('select', { thought })) {
+                thought.setActive(true);
+            }
+        }
+        // The thought that was being edited may not match the tag filter
+        if (app.tagSidebar) {
+            app.tagSidebar.apply();
+        }
+    }
+
+    // Stop editing - the mode goes first, so a draft left empty is simply removed.
+    // Returns the thought that was current, if any.
+    releaseCurrentThought(reason) {
+        const thought = app.currentThought;
+        if (thought) {
+            app.mode.send('release', { reason });
+            thought.setActive(false);
+        }
+        return thought;
+    }
+
+    handleDelete() {
+        if (app.selectionManager.selected.size > 0) {
+            this.deleteThoughts(app.thoughts.filter(t => app.selectionManager.isSelected(t)));
+        } else if (app.mode.is('current_thought')) {
+            // Delete the current thought
+            this.deleteThought(app.currentThought);
+            announce('Deleted thought');
+        }
+    }
+
+    // Undoable delete - used by the keyboard and the blot menu
+    deleteThought(thought) {
+        const index = app.thoughts.indexOf(thought);
+        if (index === -1) return;
+
+        thought.commitEdit();
+        // Its links go first, so undo brings the thought back before re-attaching them
+        this.history.record('delete', [
+            ...app.connectorLayer.removalChangesFor(thought),
+            { id: thought.id, index, before: thought.snapshot(), after: null }
+        ]);
+        this.removeThought(thought);
+        this.saveThoughts();
+    }
+
+    // Several thoughts as one undo step
+    deleteThoughts(list) {
+        this.history.batch('delete', () => {
+            list.forEach(thought => this.deleteThought(thought));
+        });
+        announce(list.length === 1 ? 'Deleted thought' : `Deleted ${list.length} thoughts`);
+    }
+
+    // Copies land slightly down-right of the originals and become the new selection
+    duplicateThoughts(list) {
+        const offset = 24;
+        const now = Date.now();
+        const changes = list.map(thought => {
+            const after = {
+                ...thought.snapshot(),
+                id: generateId('thought'),
+                x: thought.x + offset,
+                y: thought.y + offset,
+                created: now,
+                modified: now
+            };
+            const index = app.thoughts.length;
+            this.applyThoughtState(after.id, index, after);
+            return { id: after.id, index, before: null, after };
+        });
+        this.history.record('duplicate', changes);
+
+        const copies = changes.map(change => app.thoughts.find(thought => thought.id === change.id));
+        app.selectionManager.clear();
+        if (copies.length > 1) {
+            copies.forEach(copy => app.selectionManager.add(copy));
+        }
+        this.setCurrentThought(copies[0]);
+        this.saveThoughts();
+        return copies;
+    }
+
+    // Pin, lock or restack several thoughts as one undo step - propsFor(thought) is
+    // what Thought.adjust gets for each of them
+    adjustThoughts(list, propsFor) {
+        this.history.batch('arrange', () => {
+            list.forEach(thought => thought.adjust(propsFor(thought)));
+        });
+        this.saveThoughts();
+    }
+
+    // In front of (or behind) everything else, keeping the list's own stacking order
+    restackThoughts(list, toFront) {
+        const ordered = [...list].sort((a, b) => a.z - b.z);
+        const others = app.thoughts.filter(thought => !list.includes(thought)).map(thought => thought.z);
+        const start = others.length === 0 ? 0
+            : toFront ? Math.max(...others) + 1 : Math.min(...others) - ordered.length;
+        this.adjustThoughts(ordered, thought => ({ z: start + ordered.indexOf(thought) }));
+        announce(toFront ? 'Brought to front' : 'Sent to back');
+    }
+
+    /**
+     * Files become attachment thoughts, the first at world x/y and the rest fanned
+     * out from there. Their contents are stored before the thoughts appear, so a
+     * synced board never points at a file that isn't there yet. One undo step.
+     */
+    async addAttachments(files, x, y) {
+        const boardId = this.boardId;
+        const attachments = [];
+        for (const file of files) {
+            if (file.size > CONFIG.attachments.maxSize) {
+                alert(`"${file.name}" is too big to attach (${formatFileSize(file.size)}, ` +
+                    `the limit is ${formatFileSize(CONFIG.attachments.maxSize)}).`);
+                continue;
+            }
+            const attachment = normalizeAttachment({
+                id: generateId('attachment'),
+                name: file.name || 'pasted file',
+                type: file.type,
+                size: file.size
+            });
+            try {
+                await app.storage.saveAttachment(attachment.id, file);
+                attachments.push(attachment);
+            } catch (err) {
+                console.warn('NoteAI: could not store attachment', attachment.name, err);
+                alert(`Could not store "${attachment.name}".`);
+            }
+        }
+        // Nothing to add, or the notebook was switched while the files were stored
+        if (attachments.length === 0 || this.boardId !== boardId) return [];
+
+        const { offset } = CONFIG.attachments;
+        const now = Date.now();
+        const added = attachments.map((attachment, i) => {
+            const id = generateId('thought');
+            this.applyThoughtState(id, app.thoughts.length, {
+                id,
+                text: attachment.name,
+                x: x + i * offset,
+                y: y + i * offset,
+                attachment,
+                created: now,
+                modified: now
+            });
+            return app.thoughts.find(thought => thought.id === id);
+        });
+        this.history.record('attach', added.map(thought => (
+            { id: thought.id, index: app.thoughts.indexOf(thought), before: null, after: thought.snapshot() }
+        )));
+
+        app.selectionManager.clear();
+        if (added.length > 1) {
+            added.forEach(thought => app.selectionManager.add(thought));
+        }
+        this.setCurrentThought(added[0]);
+        this.saveThoughts();
+        return added;
+    }
+
+    // Take a thought off the board without touching the history
+    removeThought(thought) {
+        const index = app.thoughts.indexOf(thought);
+        if (index === -1) return;
+
+        thought.remove();
+        app.thoughts.splice(index, 1);
+        app.spatialIndex.remove(thought);
+        if (app.currentThought === thought) {
+            app.mode.send('remove', { thought });
+        }
+        if (app.blot && app.blot.targetThought === thought) {
+            app.blot.targetThought = null;
+        }
+        app.selectionManager.forget(thought);
+        if (app.keyboardNav) {
+            app.keyboardNav.forget(thought);
+        }
+        app.connectorLayer.dropDangling();
+        this.updateMouseBlob();
+    }
+
+    undo() {
+        // Flush pending typing first so it is what gets undone
+        if (app.currentThought) {
+            app.currentThought.commitEdit();
+        }
+        const command = this.history.undo();
+        if (command) {
+            this.applyHistory(command, 'undo');
+            announce(`Undid ${command.label}`);
+        }
+    }
+
+    redo() {
+        if (app.currentThought) {
+            app.currentThought.commitEdit();
+        }
+        const command = this.history.redo();
+        if (command) {
+            this.applyHistory(command, 'redo');
+            announce(`Redid ${command.label}`);
+        }
+    }
+
+    applyHistory(command, direction) {
+        // Undo walks the changes backwards so thoughts are re-inserted at their old indexes in order
+        const changes = direction === 'undo' ? [...command.changes].reverse() : command.changes;
+        changes.forEach(change => {
+            const state = direction === 'undo' ? change.before : change.after;
+            if (change.kind === 'link') {
+                app.connectorLayer.applyLinkState(change.id, change.index, state);
+            } else if (change.kind === 'group') {
+                app.selectionManager.applyGroupState(change.id, change.index, state);
+            } else {
+                this.applyThoughtState(change.id, change.index, state);
+            }
+        });
+
+        app.selectionManager.renderGroups();
+        this.saveThoughts();
+        if (app.blot) {
+            app.blot.onCurrentThoughtChanged();
+        }
+    }
+
+    applyThoughtState(id, index, state) {
+        const existing = app.thoughts.find(t => t.id === id);
+        if (!state) {
+            if (existing) {
+                this.removeThought(existing);
+            }
+            return;
+        }
+        if (existing) {
+            existing.restore(state);
+            return;
+        }
+
+        const thought = new Thought(state.text, state.x, state.y, id);
+        thought.restore(state);
+        document.getElementById('thoughtsContainer').appendChild(thought.element);
+        app.thoughts.splice(Math.min(index, app.thoughts.length), 0, thought);
+        app.spatialIndex.add(thought);
+    }
+
+    // The keyboard cursor stands in for the mouse blob while it shows
+    updateMouseBlob() {
+        if (app.mode.showsMouseBlob && !(app.keyboardNav && app.keyboardNav.cursorVisible)) {
+            if (!app.mouseBlob) {
+                app.mouseBlob = document.createElement('div');
+                app.mouseBlob.className = 'mouse-blob';
+                app.mouseBlob.setAttribute('aria-hidden', 'true');
+                document.body.appendChild(app.mouseBlob);
+            }
+            app.mouseBlob.style.left = (app.mouseX - 6) + 'px';
+            app.mouseBlob.style.top = (app.mouseY - 6) + 'px';
+        } else {
+            if (app.mouseBlob) {
+                app.mouseBlob.remove();
+                app.mouseBlob = null;
+            }
+        }
+    }
+
+    // The board in the saved schema - also what gets exported
+    getBoardData() {
+        return {
+            version: CONFIG.typing.schemaVersion,
+            thoughts: app.thoughts.map(t => ({ ...t.snapshot(), isActive: t.isActive })),
+            links: app.connectorLayer.getState(),
+            groups: app.selectionManager.getState(),
+            blot: app.blot ? app.blot.getState() : null,
+            viewport: app.viewport.getState()
+        };
+    }
+
+    // Resolves once stored - BoardSync folds in whatever others saved meanwhile first
+    saveThoughts() {
+        if (!this.boardId || this.loading || app.boardSync.applying) return Promise.resolve();
+        if (app.tagSidebar) {
+            app.tagSidebar.refresh();
+        }
+        app.notebookManager.touch(this.boardId);
+        return app.boardSync.save(this.boardId, this.getBoardData())
+            .catch(err => console.warn('NoteAI: could not save the board', err));
+    }
+
+    // Runs inside a BoardSync job, see openBoard
+    async loadThoughts(id) {
+        let board = null;
+        try {
+            const saved = await app.storage.load(id);
+            board = saved ? normalizeBoardData(saved) : null;
+        } catch (err) {
+            console.warn('NoteAI: could not load the board, starting it empty', err);
+        }
+        if (this.boardId !== id) return;
+
+        app.viewport.setState(board && board.viewport);
+        if (board) {
+            // Array order is the stacking order, so restore it from z
+            const records = [...board.thoughts].sort((a, b) => a.z - b.z);
+            records.forEach(data => {
+                const thought = new Thought(data.text, data.x, data.y, data.id);
+                thought.restore(data);
+                document.getElementById('thoughtsContainer').appendChild(thought.element);
+                app.thoughts.push(thought);
+                
+                if (data.isActive) {
+                    this.setCurrentThought(thought);
+                }
+            });
+            // Indexed once everything is in, so measuring lays the board out once
+            app.thoughts.forEach(thought => app.spatialIndex.add(thought));
+            app.spatialIndex.cull();
+            app.connectorLayer.setState(board.links);
+            app.selectionManager.setState(board.groups);
+            if (app.blot && board.blot) {
+                app.blot.setState(board.blot);
+            }
+        }
+        this.loading = false;
+        app.boardSync.reset(id, board);
+    }
+}
@@ -0,0 +1,544 @@
+import { app } from './state.js';
+import { generateId } from './helpers.js';
+import { normalizeThoughtRecord } from './schema.js';
+import {
+    sanitizeUrl, normalizeRuns, runsText, editRuns, toggleRunMark, setRunLink, renderRuns, readRuns,
+    domPointAt
+} from './rich-text.js';
+import { MARKDOWN_LIST_ITEM, renderMarkdown, runsToMarkdown, MARKDOWN_WRAPS, toggleMarkdownWrap } from './markdown.js';
+import { isImageAttachment, renderAttachment } from './attachments.js';
+import { extractTags, normalizeTint, tintFor, markHashtags } from './tags.js';
+
+export class Thought {
+    constructor(text, x, y, id) {
+        this.id = id || generateId('thought');
+        this.text = text;
+        this.runs = normalizeRuns([{ text, marks: {} }]); // Formatted content, see RICH TEXT
+        this.x = x;
+        this.y = y;
+        this.element = this.createElement();
+        this.isActive = false;
+        this.isDragging = false;
+        this.dragStartX = 0;
+        this.dragStartY = 0;
+        this.dragThreshold = 5; // This should be a global thing not data associated with the class
+        this.timestamp = Date.now(); // Creation time
+        this.modified = this.timestamp;
+        this.color = null; // null = default ink
+        this.fontSize = null; // rem, null = default size
+        this.tint = null; // Highlight color name from CONFIG.formatting.tints, see TAGS
+        this.markdown = false; // Text is Markdown source, rendered while not being edited
+        this.attachment = null; // { id, name, type, size } for file thoughts, see ATTACHMENTS
+        this.z = app.thoughts.reduce((top, thought) => Math.max(top, thought.z + 1), 0); // In front of everything
+        this.pinned = false; // Can't be dragged
+        this.locked = false; // Can't be edited
+        this.draft = false; // Started empty from a tap, see ThoughtManager.startThoughtAt
+        this.editStart = null; // Snapshot taken when editing starts, for the 'type' history entry
+        this.dragOrigin = null;
+        this.element.style.zIndex = this.z;
+        this.describe();
+    }
+
+    createElement() {
+        const element = document.createElement('div');
+        element.className = 'thought';
+        element.style.left = this.x + 'px';
+        element.style.top = this.y + 'px';
+        element.append(renderRuns(this.runs));
+        markHashtags(element);
+        element.contentEditable = false; // What is this for? The div is not editable by defaut? ok
+        element.tabIndex = -1; // KeyboardNavigator makes one thought at a time tabbable
+
+        // Keep the runs in sync with what is actually typed into the contentEditable
+        element.addEventListener('input', () => {
+            this.syncFromElement();
+            this.modified = Date.now();
+            if (app.blot) {
+                app.blot.noteTyping();
+            }
+            if (app.spatialIndex) {
+                app.spatialIndex.refresh(this);
+            }
+            if (app.connectorLayer) {
+                app.connectorLayer.updateForThought(this);
+            }
+            if (app.thoughtManager) {
+                app.thoughtManager.saveThoughts();
+            }
+        });
+
+        // Paste as plain text - formatting only ever comes from the runs
+        element.addEventListener('paste', (e) => {
+            e.preventDefault();
+            const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+            const selection = window.getSelection();
+            if (!text || !selection.rangeCount) return;
+            const range = selection.getRangeAt(0);
+            range.deleteContents();
+            const node = document.createTextNode(text);
+            range.insertNode(node);
+            range.setStartAfter(node);
+            range.collapse(true);
+            selection.removeAllRanges();
+            selection.addRange(range);
+            element.dispatchEvent(new Event('input'));
+        });
+
+        // Images change size once they have loaded, connectors follow
+        element.addEventListener('load', () => {
+            if (app.spatialIndex) {
+                app.spatialIndex.refresh(this);
+            }
+            if (app.connectorLayer) {
+                app.connectorLayer.updateForThought(this);
+            }
+        }, true);
+        return element;
+    }
+
+    // Rebuild the element from the runs, dropping whatever markup the browser added.
+    // Markdown thoughts show their source only while being edited.
+    render() {
+        this.describe();
+        this.element.classList.toggle('attachment', Boolean(this.attachment));
+        if (this.attachment) {
+            this.element.classList.remove('markdown');
+            this.element.replaceChildren(renderAttachment(this.attachment));
+        } else {
+            const rendered = this.markdown && !this.isActive;
+            this.element.classList.toggle('markdown', rendered);
+            this.element.replaceChildren(rendered ? renderMarkdown(this.text) : renderRuns(this.runs));
+            if (!this.isActive) {
+                markHashtags(this.element);
+            }
+        }
+        if (app.spatialIndex) {
+            app.spatialIndex.refresh(this);
+        }
+    }
+
+    get tags() {
+        return extractTags(this.text);
+    }
+
+    // Files and locked thoughts have nothing to type into, they are just selected
+    get editable() {
+        return !this.attachment && !this.locked;
+    }
+
+    // What screen readers hear: the text as the name of a note, or a textbox while editing
+    describe() {
+        const editing = this.isActive && this.editable;
+        this.element.setAttribute('role', editing ? 'textbox' : 'note');
+        if (editing) {
+            this.element.setAttribute('aria-multiline', 'true');
+            this.element.setAttribute('aria-label', 'Thought');
+            this.element.removeAttribute('aria-roledescription');
+            return;
+        }
+        const label = this.attachment
+            ? `${isImageAttachment(this.attachment) ? 'Image' : 'File'} ${this.attachment.name}`
+            : this.text.trim() || 'Empty thought';
+        const states = [this.pinned && 'pinned', this.locked && 'locked'].filter(Boolean);
+        this.element.removeAttribute('aria-multiline');
+        this.element.setAttribute('aria-roledescription', 'thought');
+        this.element.setAttribute('aria-label', states.length ? `${label} (${states.join(', ')})` : label);
+    }
+
+    // Tick or untick the task checkbox that came from a source line
+    toggleTask(line) {
+        if (this.locked) return;
+        const lines = this.text.split('\n');
+        // Task lines can sit inside a quote
+        if (!MARKDOWN_LIST_ITEM.test((lines[line] || '').replace(/^(\s*>)+\s?/, ''))) return;
+        const before = this.snapshot();
+        lines[line] = lines[line].replace(/\[([ xX])\]/, (match, mark) => mark === ' ' ? '[x]' : '[ ]');
+        this.updateText(lines.join('\n'));
+        if (app.thoughtManager) {
+            app.thoughtManager.history.record('check', [
+                { id: this.id, index: app.thoughts.indexOf(this), before, after: this.snapshot() }
+            ]);
+            app.thoughtManager.saveThoughts();
+        }
+    }
+
+    syncFromElement() {
+        const { runs } = readRuns(this.element);
+        // Markdown source stays one plain run, its formatting is the syntax
+        this.runs = this.markdown ? normalizeRuns([{ text: runsText(runs), marks: {} }]) : runs;
+        this.text = runsText(this.runs);
+    }
+
+    // Selected text offsets while editing, null when nothing inside this thought is selected
+    selectionRange() {
+        const selection = window.getSelection();
+        if (!this.isActive || !selection || selection.rangeCount === 0 || selection.isCollapsed) {
+            return null;
+        }
+        const range = selection.getRangeAt(0);
+        if (!this.element.contains(range.commonAncestorContainer)) {
+            return null;
+        }
+        const { offsets: [start, end] } = readRuns(this.element, [
+            { node: range.startContainer, offset: range.startOffset },
+            { node: range.endContainer, offset: range.endOffset }
+        ]);
+        return start === null || end === null || start === end ? null : { start, end };
+    }
+
+    selectText(start, end) {
+        const from = domPointAt(this.element, start);
+        const to = domPointAt(this.element, end);
+        const range = document.createRange();
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+
+    // companions: other thoughts dragged along (selection / group members)
+    startDrag(companions = []) {
+        [this, ...companions].forEach(thought => {
+            thought.dragOrigin = thought.snapshot();
+            thought.element.classList.add('dragging');
+        });
+        this.isDragging = true;
+        this.select();
+    }
+
+    drag(e) {
+        if (this.isDragging) {
+            // Mouse deltas are screen pixels, thought positions are world units
+            const newX = this.x + (e.clientX - this.dragStartX) / app.viewport.zoom;
+            const newY = this.y + (e.clientY - this.dragStartY) / app.viewport.zoom;
+            this.moveTo(newX, newY);
+            this.dragStartX = e.clientX;
+            this.dragStartY = e.clientY;
+        }
+    }
+
+    endDrag(companions = []) {
+        const moved = [this, ...companions];
+        this.isDragging = false;
+        moved.forEach(thought => thought.element.classList.remove('dragging'));
+        if (app.thoughtManager) {
+            // One undo step for the whole group
+            app.thoughtManager.history.record('move', moved.map(thought => {
+                const after = thought.snapshot();
+                const before = { ...after, x: thought.dragOrigin.x, y: thought.dragOrigin.y };
+                return { id: thought.id, index: app.thoughts.indexOf(thought), before, after };
+            }));
+            app.thoughtManager.saveThoughts();
+        }
+        moved.forEach(thought => {
+            thought.dragOrigin = null;
+        });
+
+        // Update blot position if this is the current thought
+        if (this === app.currentThought && app.blot) {
+            app.blot.onCurrentThoughtChanged();
+        }
+    }
+
+    select() {
+        // Set as current thought
+        if (app.currentThought && app.currentThought !== this) {
+            app.currentThought.setActive(false);
+        }
+        if (app.mode.send('select', { thought: this })) {
+            this.setActive(true);
+        }
+    }
+
+    enableEditing() {
+        if (!this.editable) return; // Nothing to type into, the thought is just selected
+        this.render(); // Markdown thoughts switch to their source
+        this.element.contentEditable = true;
+        this.element.focus();
+        
+        // Position cursor at end of text
+        const range = document.createRange();
+        const selection = window.getSelection();
+        range.selectNodeContents(this.element);
+        range.collapse(false);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    disableEditing() {
+        this.element.contentEditable = false;
+        this.render();
+        // Focus shouldn't linger where typing no longer goes - keyboard users get it back from KeyboardNavigator
+        if (document.activeElement === this.element) {
+            this.element.blur();
+        }
+    }
+
+    setActive(active) {
+        if (!active) {
+            this.commitEdit();
+            this.editStart = null;
+            if (this.draft && app.thoughtManager) {
+                // Nothing was typed into it
+                app.thoughtManager.removeThought(this);
+                app.thoughtManager.saveThoughts();
+                return;
+            }
+        }
+        this.isActive = active;
+        if (active) {
+            if (!this.editStart) {
+                this.editStart = this.snapshot();
+            }
+            this.element.classList.add('current-thought');
+            if (app.spatialIndex) {
+                app.spatialIndex.show(this);
+            }
+            this.enableEditing();
+        } else {
+            this.element.classList.remove('current-thought');
+            this.disableEditing();
+        }
+    }
+
+    // Push whatever was typed since editing started as one 'type' history entry
+    commitEdit() {
+        if (!this.editStart) return;
+        const after = this.snapshot();
+        if (this.draft) {
+            if (!after.text || !app.thoughtManager) return;
+            // A thought started empty is recorded as created, once it has something in it
+            this.draft = false;
+            this.element.classList.remove('draft');
+            this.editStart = after;
+            app.thoughtManager.history.record('create', [
+                { id: this.id, index: app.thoughts.indexOf(this), before: null, after }
+            ]);
+            return;
+        }
+        const before = { ...after, text: this.editStart.text, runs: this.editStart.runs };
+        this.editStart = after;
+        if (before.text !== after.text && app.thoughtManager) {
+            app.thoughtManager.history.record('type', [
+                { id: this.id, index: app.thoughts.indexOf(this), before, after }
+            ]);
+        }
+    }
+
+    // Plain data copy of the thought in the saved schema - also what the history stack stores
+    snapshot() {
+        return {
+            id: this.id,
+            text: this.text,
+            runs: this.runs.map(run => ({ text: run.text, marks: { ...run.marks } })),
+            x: this.x,
+            y: this.y,
+            style: { color: this.color, fontSize: this.fontSize, tint: this.tint },
+            tags: this.tags,
+            markdown: this.markdown,
+            attachment: this.attachment ? { ...this.attachment } : null,
+            created: this.timestamp,
+            modified: this.modified,
+            z: this.z,
+            pinned: this.pinned,
+            locked: this.locked
+        };
+    }
+
+    restore(state) {
+        const data = normalizeThoughtRecord({ z: this.z, ...state }); // States without z stay where they are stacked
+        this.runs = data.runs;
+        this.text = data.text;
+        this.markdown = data.markdown;
+        // The same file shouldn't be rendered again on every move or undo
+        const sameAttachment = Boolean(this.attachment && data.attachment) && this.attachment.id === data.attachment.id;
+        this.attachment = data.attachment;
+        if (!sameAttachment || !this.attachment) {
+            this.render();
+        }
+        this.moveTo(data.x, data.y);
+        this.color = data.style.color;
+        this.fontSize = data.style.fontSize;
+        this.tint = data.style.tint;
+        this.timestamp = data.created;
+        this.modified = data.modified;
+        this.z = data.z;
+        this.pinned = data.pinned;
+        this.locked = data.locked;
+        this.applyStyle();
+        this.updateEditing();
+        // Undo/redo while editing shouldn't count as typing
+        if (this.editStart) {
+            this.editStart = this.snapshot();
+        }
+    }
+
+    /**
+     * Pin, lock or restack the thought - props is any of { z, pinned, locked }.
+     * These aren't edits of the thought itself, so locked thoughts take them too.
+     */
+    adjust(props) {
+        this.commitEdit();
+        const before = this.snapshot();
+        ['z', 'pinned', 'locked'].forEach(key => {
+            if (key in props) {
+                this[key] = props[key];
+            }
+        });
+        this.applyStyle();
+        this.updateEditing();
+        if (app.thoughtManager) {
+            app.thoughtManager.history.record('arrange', [
+                { id: this.id, index: app.thoughts.indexOf(this), before, after: this.snapshot() }
+            ]);
+        }
+        if (this.editStart) {
+            this.editStart = this.snapshot();
+        }
+    }
+
+    // Locking the thought being edited ends the typing, unlocking it picks it up again
+    updateEditing() {
+        const editing = String(this.element.contentEditable) === 'true';
+        if (!this.isActive || editing === this.editable) return;
+        if (this.editable) {
+            this.enableEditing();
+        } else {
+            this.disableEditing();
+        }
+    }
+
+    // Replaces all content with plain text
+    updateText(text) {
+        this.runs = normalizeRuns([{ text, marks: {} }]);
+        this.text = text;
+        this.modified = Date.now();
+        this.render();
+    }
+
+    // Appended text continues the formatting of the last run, like typing at the end would
+    appendText(text) {
+        const last = this.runs[this.runs.length - 1];
+        this.runs = normalizeRuns([...this.runs, { text, marks: last ? last.marks : {} }]);
+        this.text = runsText(this.runs);
+        this.modified = Date.now();
+        this.render();
+    }
+
+    applyStyle() {
+        this.element.style.color = this.color || '';
+        this.element.style.fontSize = this.fontSize ? this.fontSize + 'rem' : '';
+        const tint = tintFor(this.tint);
+        this.element.classList.toggle('tinted', Boolean(tint && tint.wash));
+        this.element.style.setProperty('--tint', tint && tint.wash ? tint.wash : '');
+        this.element.style.zIndex = this.z;
+        this.element.classList.toggle('pinned', this.pinned);
+        this.element.classList.toggle('locked', this.locked);
+        this.describe();
+        if (app.spatialIndex) {
+            app.spatialIndex.refresh(this); // Size may have changed
+        }
+        if (app.connectorLayer) {
+            app.connectorLayer.updateForThought(this);
+        }
+    }
+
+    moveTo(x, y) {
+        this.x = x;
+        this.y = y;
+        this.element.style.left = x + 'px';
+        this.element.style.top = y + 'px';
+        if (app.spatialIndex) {
+            app.spatialIndex.move(this);
+        }
+        if (app.connectorLayer) {
+            app.connectorLayer.updateForThought(this);
+        }
+    }
+
+    /**
+     * Marks and case changes apply to the selected text while editing, otherwise to the
+     * whole thought. value is only used by 'link' (URL), 'color', 'fontSize' and 'tint'
+     * (a CONFIG.formatting.tints name) - null resets to the default.
+     */
+    format(type, value = null) {
+        if (!this.editable) return; // Files have no text to format, locked thoughts stay as they are
+        this.commitEdit();
+        const before = this.snapshot();
+        const selected = this.selectionRange();
+        let { start, end } = selected || { start: 0, end: this.text.length };
+        switch (type) {
+            case 'bold':
+            case 'italic':
+            case 'underline':
+            case 'strike':
+            case 'code':
+                if (this.markdown) {
+                    // Markdown thoughts get the syntax typed in instead
+                    const [open, close] = MARKDOWN_WRAPS[type];
+                    ({ start, end } = this.wrapSource(start, end, open, close, !selected));
+                } else {
+                    this.runs = toggleRunMark(this.runs, start, end, type);
+                }
+                break;
+            case 'link':
+                if (this.markdown) {
+                    if (sanitizeUrl(value)) {
+                        ({ start, end } = this.wrapSource(start, end, '[', `](${sanitizeUrl(value)})`, !selected));
+                    }
+                } else {
+                    this.runs = setRunLink(this.runs, start, end, sanitizeUrl(value));
+                }
+                break;
+            case 'markdown':
+                // Existing formatting carries over as Markdown syntax, and back as plain source
+                if (!this.markdown) {
+                    this.runs = normalizeRuns([{ text: runsToMarkdown(this.runs), marks: {} }]);
+                }
+                this.markdown = !this.markdown;
+                break;
+            case 'upper':
+                this.runs = editRuns(this.runs, start, end, run => ({ ...run, text: run.text.toUpperCase() }));
+                break;
+            case 'lower':
+                this.runs = editRuns(this.runs, start, end, run => ({ ...run, text: run.text.toLowerCase() }));
+                break;
+            case 'color':
+                this.color = value;
+                break;
+            case 'fontSize':
+                this.fontSize = value;
+                break;
+            case 'tint':
+                this.tint = normalizeTint(value);
+                break;
+        }
+        this.text = runsText(this.runs);
+        this.modified = Date.now();
+        this.render();
+        if (selected) {
+            this.selectText(start, end);
+        }
+        this.applyStyle();
+        if (app.thoughtManager) {
+            app.thoughtManager.history.record('format', [
+                { id: this.id, index: app.thoughts.indexOf(this), before, after: this.snapshot() }
+            ]);
+        }
+        if (this.editStart) {
+            this.editStart = this.snapshot();
+        }
+    }
+
+    wrapSource(start, end, open, close, wholeLines) {
+        const wrapped = toggleMarkdownWrap(this.text, start, end, open, close, wholeLines);
+        this.runs = normalizeRuns([{ text: wrapped.text, marks: {} }]);
+        return wrapped;
+    }
+
+    remove() {
+        this.element.remove();
+    }
+}
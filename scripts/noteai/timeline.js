@@ -0,0 +1,372 @@
+/**
+ * MODULE: Timeline
+ * PURPOSE: Time travel through a board's snapshots - scrub or replay how it grew, then
+ * restore an older version or copy some of its thoughts back into the present
+ * 
+ * INPUTS:
+ * - The ⏲ notebook button, the scrubber, play, the snapshot list
+ * - Clicks on thoughts in the older version pick them for copying
+ * 
+ * OUTPUTS:
+ * - A read-only view of the board at the scrubbed time, over the live board
+ * - Restores and copies as one undoable 'restore' step (see BoardTransfer.applyImport)
+ * 
+ * BEHAVIOR:
+ * - Between two snapshots the thought created and modified times fill in the gaps:
+ *   a thought shows up once it was created, and in its later form once it was last
+ *   modified - so a replay shows thoughts appearing in the order they were written
+ * - Restoring takes an automatic snapshot of the present first
+ * - Panning and zooming with the wheel work as on the live board, editing doesn't
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+import { announce } from './helpers.js';
+import { migrateBoardData, normalizeThoughtRecord } from './schema.js';
+import { renderRuns } from './rich-text.js';
+import { renderMarkdown } from './markdown.js';
+import { renderAttachment } from './attachments.js';
+import { tintFor, markHashtags } from './tags.js';
+
+export class Timeline {
+    constructor() {
+        this.stage = document.getElementById('timelineStage');
+        this.world = document.getElementById('timelineWorld');
+        this.panel = document.getElementById('timelinePanel');
+        this.scrubber = document.getElementById('timelineScrubber');
+        this.timeLabel = document.getElementById('timelineTime');
+        this.snapshotSelect = document.getElementById('timelineSnapshots');
+        this.playButton = document.getElementById('timelinePlay');
+        this.deleteButton = document.getElementById('timelineDelete');
+        this.copyButton = document.getElementById('timelineCopy');
+        this.restoreButton = document.getElementById('timelineRestore');
+        this.isOpen = false;
+        this.stops = []; // Snapshots oldest first, then the board as it is now: [{ id, name, created, board }]
+        this.start = 0;
+        this.end = 0;
+        this.time = 0;
+        this.state = null; // The board at this.time, see stateAt
+        this.picked = new Set(); // Ids of thoughts picked for copying
+        this.playFrame = null;
+        this.rendered = null; // What the view shows, see render
+        app.viewport.layers.push(this.world); // Pans and zooms along with the live board
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('timelineButton').addEventListener('click', () => this.open());
+        document.getElementById('timelineClose').addEventListener('click', () => this.close());
+        document.getElementById('timelineSave').addEventListener('click', () => this.saveNamed());
+        this.playButton.addEventListener('click', () => this.togglePlay());
+        this.deleteButton.addEventListener('click', () => this.deleteSnapshot());
+        this.copyButton.addEventListener('click', () => this.copyPicked());
+        this.restoreButton.addEventListener('click', () => this.restore());
+
+        this.scrubber.addEventListener('input', () => {
+            this.stopPlaying();
+            this.show(Number(this.scrubber.value));
+        });
+
+        this.snapshotSelect.addEventListener('change', () => {
+            const stop = this.stops.find(s => s.id === this.snapshotSelect.value);
+            if (stop) {
+                this.stopPlaying();
+                this.show(stop.created);
+            }
+        });
+
+        this.stage.addEventListener('click', (e) => {
+            const element = e.target.closest('.thought');
+            if (!element) return;
+            const id = element.getAttribute('data-id');
+            if (this.picked.has(id)) {
+                this.picked.delete(id);
+            } else {
+                this.picked.add(id);
+            }
+            this.render();
+        });
+
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            app.viewport.handleWheel(e);
+        }, { passive: false });
+
+        [this.stage, this.panel].forEach(element => {
+            element.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.close();
+                }
+            });
+        });
+    }
+
+    async open() {
+        if (this.isOpen || !app.thoughtManager.boardId) return;
+        app.thoughtManager.setCurrentThought(null); // Whatever is being typed belongs to "now"
+        this.isOpen = true;
+        this.stage.classList.add('open');
+        this.panel.classList.add('open');
+        this.scrubber.focus(); // Keys go to the timeline, not to the board underneath
+        await this.load();
+        if (this.isOpen) {
+            this.show(this.end);
+        }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.stopPlaying();
+        this.isOpen = false;
+        this.stage.classList.remove('open');
+        this.panel.classList.remove('open');
+        this.world.replaceChildren();
+        this.picked.clear();
+        this.rendered = null;
+        this.state = null;
+        if (this.stage.contains(document.activeElement) || this.panel.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+    }
+
+    async load() {
+        const boardId = app.thoughtManager.boardId;
+        let snapshots = [];
+        try {
+            snapshots = await app.snapshotManager.list(boardId);
+        } catch (err) {
+            console.warn('NoteAI: could not load the snapshots', err);
+        }
+        if (app.thoughtManager.boardId !== boardId) return;
+
+        const now = { id: null, name: null, created: Date.now(), board: app.snapshotManager.boardState() };
+        this.stops = [
+            ...snapshots.map(snapshot => ({ ...snapshot, board: migrateBoardData(snapshot.board) })),
+            now
+        ].sort((a, b) => a.created - b.created);
+        // Replays start with the first thought, even if it is older than every snapshot
+        this.start = this.stops.reduce((earliest, stop) => stop.board.thoughts.reduce(
+            (first, record) => Math.min(first, record.created || stop.created), Math.min(earliest, stop.created)
+        ), now.created);
+        this.end = now.created;
+        this.scrubber.min = this.start;
+        this.scrubber.max = this.end;
+
+        this.snapshotSelect.replaceChildren(new Option('Jump to a snapshot…', ''), ...this.stops
+            .filter(stop => stop.id)
+            .reverse()
+            .map(stop => new Option(`${stop.name || 'Automatic'} · ${this.formatTime(stop.created)}`, stop.id)));
+    }
+
+    formatTime(time) {
+        return new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * The board as it was at time. At a snapshot that is the snapshot; between two, each
+     * thought is taken from the later one if it was last modified by then, from the
+     * earlier one if it existed there, and from the later one if it was created by then.
+     */
+    stateAt(time) {
+        const index = this.stops.findIndex(stop => stop.created >= time);
+        const next = this.stops[index === -1 ? this.stops.length - 1 : index];
+        const previous = index > 0 ? this.stops[index - 1] : null;
+        if (next.created === time) {
+            return next.board;
+        }
+
+        const earlier = new Map((previous ? previous.board.thoughts : []).map(record => [record.id, record]));
+        const later = new Map(next.board.thoughts.map(record => [record.id, record]));
+        const records = [];
+        new Set([...earlier.keys(), ...later.keys()]).forEach(id => {
+            const older = earlier.get(id);
+            const newer = later.get(id);
+            if (newer && newer.modified <= time) {
+                records.push(newer);
+            } else if (older) {
+                records.push(older);
+            } else if (newer && newer.created <= time) {
+                records.push(newer);
+            }
+        });
+
+        const present = new Set(records.map(record => record.id));
+        const links = new Map();
+        [...(previous ? previous.board.links || [] : []), ...(next.board.links || [])].forEach(link => {
+            if (present.has(link.from) && present.has(link.to) && (link.created || 0) <= time) {
+                links.set(link.id, link);
+            }
+        });
+        const groups = ((previous || next).board.groups || [])
+            .map(group => ({ ...group, members: group.members.filter(id => present.has(id)) }))
+            .filter(group => group.members.length > 0);
+        return {
+            version: CONFIG.typing.schemaVersion,
+            thoughts: records.sort((a, b) => a.z - b.z),
+            links: [...links.values()],
+            groups
+        };
+    }
+
+    // The stored snapshot shown right now, if any
+    currentSnapshot() {
+        return this.stops.find(stop => stop.id && stop.created === this.time) || null;
+    }
+
+    show(time) {
+        this.time = Math.max(this.start, Math.min(this.end, time));
+        this.scrubber.value = this.time;
+        this.state = this.stateAt(this.time);
+        // Picks that aren't on the board at this time can't be copied
+        const present = new Set(this.state.thoughts.map(record => record.id));
+        this.picked.forEach(id => {
+            if (!present.has(id)) this.picked.delete(id);
+        });
+        this.render();
+    }
+
+    render() {
+        const key = JSON.stringify([this.state.thoughts.map(record => [record.id, record.modified]), [...this.picked]]);
+        if (key !== this.rendered) {
+            this.rendered = key;
+            this.renderBoard();
+        }
+
+        const snapshot = this.currentSnapshot();
+        const count = this.state.thoughts.length;
+        const when = this.time === this.end ? 'Now' : this.formatTime(this.time);
+        this.timeLabel.textContent = `${snapshot && snapshot.name ? snapshot.name + ' · ' : ''}${when} · ${count} thought${count === 1 ? '' : 's'}`;
+        this.snapshotSelect.value = snapshot ? snapshot.id : '';
+        this.deleteButton.disabled = !snapshot;
+        this.restoreButton.disabled = this.time === this.end;
+        this.copyButton.disabled = this.picked.size === 0;
+        this.copyButton.textContent = this.picked.size > 0 ? `Copy ${this.picked.size} picked` : 'Copy picked';
+    }
+
+    renderBoard() {
+        const elements = new Map(this.state.thoughts.map(record => [record.id, this.renderThought(record)]));
+        const links = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        links.setAttribute('class', 'timeline-links');
+        this.world.replaceChildren(links, ...elements.values());
+
+        // Straight lines between centers are enough for a look back
+        const center = (record) => {
+            const element = elements.get(record.id);
+            return { x: record.x + element.offsetWidth / 2, y: record.y + element.offsetHeight / 2 };
+        };
+        const byId = new Map(this.state.thoughts.map(record => [record.id, record]));
+        this.state.links.forEach(link => {
+            const from = center(byId.get(link.from));
+            const to = center(byId.get(link.to));
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('class', 'link-ink');
+            path.setAttribute('d', `M ${from.x} ${from.y} L ${to.x} ${to.y}`);
+            links.append(path);
+        });
+    }
+
+    // Static copy of what a Thought would render
+    renderThought(record) {
+        const data = normalizeThoughtRecord(record);
+        const element = document.createElement('div');
+        element.className = 'thought';
+        element.setAttribute('data-id', data.id);
+        element.style.left = data.x + 'px';
+        element.style.top = data.y + 'px';
+        element.style.color = data.style.color || '';
+        element.style.fontSize = data.style.fontSize ? data.style.fontSize + 'rem' : '';
+        const tint = tintFor(data.style.tint);
+        if (tint && tint.wash) {
+            element.classList.add('tinted');
+            element.style.setProperty('--tint', tint.wash);
+        }
+        if (data.attachment) {
+            element.classList.add('attachment');
+            element.append(renderAttachment(data.attachment));
+        } else {
+            element.classList.toggle('markdown', data.markdown);
+            element.append(data.markdown ? renderMarkdown(data.text) : renderRuns(data.runs));
+            markHashtags(element);
+        }
+        element.classList.toggle('selected', this.picked.has(data.id));
+        return element;
+    }
+
+    togglePlay() {
+        if (this.playFrame) {
+            this.stopPlaying();
+        } else {
+            this.play();
+        }
+    }
+
+    // Replay from here (from the start when at the end) to now
+    play() {
+        const from = this.time >= this.end ? this.start : this.time;
+        const span = this.end - this.start;
+        const duration = span > 0 ? CONFIG.snapshots.replayDuration * (this.end - from) / span : 0;
+        const begun = performance.now();
+        this.playButton.textContent = '⏸';
+
+        const tick = (now) => {
+            const t = duration > 0 ? Math.min(1, (now - begun) / duration) : 1;
+            this.show(from + (this.end - from) * t);
+            if (t < 1) {
+                this.playFrame = requestAnimationFrame(tick);
+            } else {
+                this.stopPlaying();
+            }
+        };
+        this.playFrame = requestAnimationFrame(tick);
+    }
+
+    stopPlaying() {
+        cancelAnimationFrame(this.playFrame);
+        this.playFrame = null;
+        this.playButton.textContent = '▶';
+    }
+
+    async saveNamed() {
+        const name = prompt('Name this snapshot:', this.formatTime(Date.now()));
+        if (name === null) return;
+        const snapshot = await app.snapshotManager.capture(name.trim() || this.formatTime(Date.now()));
+        if (!snapshot || !this.isOpen) return;
+        await this.load();
+        this.show(snapshot.created);
+        announce(`Saved snapshot ${snapshot.name}`);
+    }
+
+    async deleteSnapshot() {
+        const snapshot = this.currentSnapshot();
+        if (!snapshot || !confirm(`Delete the snapshot from ${this.formatTime(snapshot.created)}?`)) return;
+        try {
+            await app.snapshotManager.remove(app.thoughtManager.boardId, snapshot.id);
+        } catch (err) {
+            console.warn('NoteAI: could not delete the snapshot', err);
+            return;
+        }
+        const time = this.time;
+        await this.load();
+        this.show(time);
+    }
+
+    copyPicked() {
+        const records = this.state.thoughts.filter(record => this.picked.has(record.id));
+        if (records.length === 0) return;
+        const ids = new Set(records.map(record => record.id));
+        const links = this.state.links.filter(link => ids.has(link.from) && ids.has(link.to));
+        this.close();
+        app.boardTransfer.applyImport({ thoughts: records, links, groups: [] }, 'merge', 'restore');
+        announce(`Copied ${records.length} thought${records.length === 1 ? '' : 's'} from the past`);
+    }
+
+    async restore() {
+        const state = this.state;
+        if (!confirm(`Replace the board with the version from ${this.formatTime(this.time)}? You can undo this.`)) return;
+        await app.snapshotManager.capture(); // The present stays on the timeline
+        this.close();
+        app.boardTransfer.applyImport(state, 'replace', 'restore');
+        announce('Restored an older version');
+    }
+}
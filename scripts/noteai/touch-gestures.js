@@ -0,0 +1,99 @@
+/**
+ * MODULE: Touch Gestures
+ * PURPOSE: What fingers and pens do that a mouse doesn't - pinch, two-finger pan, long-press
+ * 
+ * INPUTS:
+ * - Pointer events handed over by ThoughtManager (down / move / up)
+ * 
+ * OUTPUTS:
+ * - Viewport pans and zooms
+ * - The long-press callback ThoughtManager registered (it opens the blot menu)
+ * 
+ * BEHAVIOR:
+ * - A second finger down takes over from whatever the first one was doing: both pan the
+ *   board by their midpoint and zoom it by their spread
+ * - Fingers that were part of a pinch don't tap or drag when they lift
+ * - Holding a pointer still for CONFIG.touch.longPressDelay fires the long-press, moving
+ *   it further than CONFIG.touch.moveTolerance (ThoughtManager checks) cancels it
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+
+export class TouchGestures {
+    constructor() {
+        this.touches = new Map(); // pointerId -> { x, y } in screen coordinates
+        this.pinch = null; // { x, y, distance } - midpoint and spread of the first two fingers
+        this.pinchPointers = new Set(); // Fingers that took part in a pinch
+        this.longPressTimer = null;
+        this.longPressed = false; // Fired, until the pointer lifts
+    }
+
+    // Returns true when this pointer starts a pinch
+    down(e) {
+        if (e.pointerType !== 'touch') return false;
+        this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this.touches.size < 2) return false;
+
+        this.cancelLongPress();
+        this.touches.forEach((point, id) => this.pinchPointers.add(id));
+        this.pinch = this.measure();
+        return true;
+    }
+
+    // Returns true while the move belongs to a pinch
+    move(e) {
+        if (!this.touches.has(e.pointerId)) return false;
+        this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (!this.pinch) return false;
+
+        const next = this.measure();
+        app.viewport.panBy(next.x - this.pinch.x, next.y - this.pinch.y);
+        if (this.pinch.distance > 0) {
+            app.viewport.zoomAt(next.distance / this.pinch.distance, next.x, next.y);
+        }
+        this.pinch = next;
+        return true;
+    }
+
+    // Returns true when the lifted pointer should do nothing more: it was pinching,
+    // or its long-press already fired
+    up(e) {
+        this.touches.delete(e.pointerId);
+        if (this.touches.size < 2) {
+            this.pinch = null;
+        }
+        const done = this.pinchPointers.delete(e.pointerId) || this.longPressed;
+        this.cancelLongPress();
+        this.longPressed = false;
+        return done;
+    }
+
+    measure() {
+        const [a, b] = [...this.touches.values()];
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.hypot(a.x - b.x, a.y - b.y)
+        };
+    }
+
+    startLongPress(e, onLongPress) {
+        this.cancelLongPress();
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            this.longPressed = true;
+            onLongPress();
+        }, CONFIG.touch.longPressDelay);
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
+    // Between pressing down and lifting a long-press, the browser's own context menu stays shut
+    get pressing() {
+        return this.longPressTimer !== null || this.longPressed;
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * MODULE: Viewport
+ * PURPOSE: Infinite canvas - maps world coordinates (where thoughts live) to the screen
+ * 
+ * INPUTS:
+ * - Pan gestures (space + drag, middle-button drag) forwarded by ThoughtManager
+ * - Wheel / trackpad pinch for zoom
+ * 
+ * OUTPUTS:
+ * - CSS transform on #thoughtsContainer (and #linksLayer)
+ * - screenToWorld / worldToScreen conversions for everything else
+ * - Per-board viewport state ({ x, y, zoom }) saved with the board
+ * 
+ * BEHAVIOR:
+ * - x/y is the world point at the top-left corner of the screen
+ * - Zooming keeps the world point under the cursor fixed
+ * - Saves are debounced since pan/zoom fire many events
+ */
+
+import { CONFIG } from './config.js';
+import { app } from './state.js';
+
+export class Viewport {
+    constructor() {
+        this.container = document.getElementById('thoughtsContainer');
+        this.layers = [this.container, document.getElementById('linksLayer')];
+        this.x = 0;
+        this.y = 0;
+        this.zoom = 1;
+        this.spaceHeld = false;
+        this.isPanning = false;
+        this.panLastX = 0;
+        this.panLastY = 0;
+        this.saveTimer = null;
+        this.flyFrame = null;
+        this.apply();
+    }
+
+    screenToWorld(screenX, screenY) {
+        return {
+            x: screenX / this.zoom + this.x,
+            y: screenY / this.zoom + this.y
+        };
+    }
+
+    worldToScreen(worldX, worldY) {
+        return {
+            x: (worldX - this.x) * this.zoom,
+            y: (worldY - this.y) * this.zoom
+        };
+    }
+
+    apply() {
+        const transform = `scale(${this.zoom}) translate(${-this.x}px, ${-this.y}px)`;
+        this.layers.forEach(layer => {
+            layer.style.transform = transform;
+        });
+        if (app.blot) {
+            app.blot.updatePosition();
+        }
+        if (app.keyboardNav) {
+            app.keyboardNav.updateCursor();
+        }
+        if (app.spatialIndex) {
+            app.spatialIndex.cull();
+        }
+    }
+
+    panBy(screenDX, screenDY) {
+        this.x -= screenDX / this.zoom;
+        this.y -= screenDY / this.zoom;
+        this.apply();
+        this.scheduleSave();
+    }
+
+    zoomAt(factor, screenX, screenY) {
+        const anchor = this.screenToWorld(screenX, screenY);
+        const { minZoom, maxZoom } = CONFIG.viewport;
+        this.zoom = Math.max(minZoom, Math.min(maxZoom, this.zoom * factor));
+        // Keep the world point under the cursor where it was
+        this.x = anchor.x - screenX / this.zoom;
+        this.y = anchor.y - screenY / this.zoom;
+        this.apply();
+        this.scheduleSave();
+    }
+
+    centerOn(worldX, worldY) {
+        this.x = worldX - window.innerWidth / 2 / this.zoom;
+        this.y = worldY - window.innerHeight / 2 / this.zoom;
+        this.apply();
+        this.scheduleSave();
+    }
+
+    // Animated centerOn
+    flyTo(worldX, worldY, duration = CONFIG.viewport.flyDuration) {
+        cancelAnimationFrame(this.flyFrame);
+        const fromX = this.x;
+        const fromY = this.y;
+        const toX = worldX - window.innerWidth / 2 / this.zoom;
+        const toY = worldY - window.innerHeight / 2 / this.zoom;
+        const start = performance.now();
+
+        const tick = (now) => {
+            const t = Math.min(1, (now - start) / duration);
+            const eased = 1 - Math.pow(1 - t, 3); // easeOutCubic
+            this.x = fromX + (toX - fromX) * eased;
+            this.y = fromY + (toY - fromY) * eased;
+            this.apply();
+            if (t < 1) {
+                this.flyFrame = requestAnimationFrame(tick);
+            } else {
+                this.scheduleSave();
+            }
+        };
+        this.flyFrame = requestAnimationFrame(tick);
+    }
+
+    // Space + left button, or the middle button
+    isPanGesture(e) {
+        return e.button === 1 || (e.button === 0 && this.spaceHeld);
+    }
+
+    startPan(e) {
+        this.isPanning = true;
+        this.panLastX = e.clientX;
+        this.panLastY = e.clientY;
+        document.body.classList.add('panning');
+    }
+
+    updatePan(e) {
+        if (!this.isPanning) return;
+        this.panBy(e.clientX - this.panLastX, e.clientY - this.panLastY);
+        this.panLastX = e.clientX;
+        this.panLastY = e.clientY;
+    }
+
+    endPan() {
+        this.isPanning = false;
+        document.body.classList.remove('panning');
+    }
+
+    setSpaceHeld(held) {
+        this.spaceHeld = held;
+        document.body.classList.toggle('pan-ready', held);
+    }
+
+    handleWheel(e) {
+        const speed = e.ctrlKey ? CONFIG.viewport.pinchZoomSpeed : CONFIG.viewport.wheelZoomSpeed;
+        this.zoomAt(Math.exp(-e.deltaY * speed), e.clientX, e.clientY);
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            if (app.thoughtManager) {
+                app.thoughtManager.saveThoughts();
+            }
+        }, CONFIG.viewport.saveDelay);
+    }
+
+    getState() {
+        return { x: this.x, y: this.y, zoom: this.zoom };
+    }
+
+    setState(state) {
+        clearTimeout(this.saveTimer);
+        cancelAnimationFrame(this.flyFrame);
+        this.x = Number(state && state.x) || 0;
+        this.y = Number(state && state.y) || 0;
+        this.zoom = Number(state && state.zoom) || 1;
+        this.apply();
+    }
+}
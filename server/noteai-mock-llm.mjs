@@ -0,0 +1,113 @@
+/**
+ * MODULE: NoteAI mock LLM endpoint
+ * PURPOSE: Local stand-in for a remote assistant, so the RemoteAssistant provider in
+ * scripts/noteai/assistant-providers.js can be tried without an API key or network access
+ *
+ * USAGE:
+ *   node server/noteai-mock-llm.mjs [port]      (default port 8787)
+ *   then set CONFIG.assistant.remote.enabled = true in scripts/noteai/config.js
+ *
+ * PROTOCOL (see RemoteAssistant):
+ *   POST /assist  { task, model, cluster, board, target }
+ *   -> 200 { result }   string for 'summarize', string[] for 'keywords' | 'tags' | 'related'
+ *   -> 400 { error }    unknown task or malformed body
+ *
+ * BEHAVIOR:
+ * - Deliberately dumb, deterministic answers - it exercises the wiring, not the wit
+ * - Add ?delay=ms to the endpoint URL to test the client timeout, ?fail=1 to test fallback
+ */
+import http from 'node:http';
+
+const port = Number(process.argv[2]) || 8787;
+
+const STOP_WORDS = new Set('the and for are but not you with this that have from they will would there their what about'.split(' '));
+
+function words(records) {
+    return records
+        .flatMap(record => String(record.text).toLowerCase().match(/[a-z][a-z'-]{3,}/g) || [])
+        .filter(word => !STOP_WORDS.has(word));
+}
+
+function topWords(records, count) {
+    const counts = new Map();
+    words(records).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, count)
+        .map(([word]) => word);
+}
+
+const TASKS = {
+    summarize: ({ cluster }) => {
+        const firstLines = cluster.map(record => String(record.text).split(/\n|(?<=[.!?])\s/)[0].trim()).filter(Boolean);
+        return `[mock] ${firstLines.length} thought(s): ${firstLines.join(' / ')}`;
+    },
+    keywords: ({ cluster }) => topWords(cluster, 5),
+    tags: ({ cluster }) => topWords(cluster, 3).map(word => 'mock-' + word),
+    related: ({ target, board }) => {
+        const targetWords = new Set(words([target]));
+        return board
+            .filter(record => record.id !== target.id)
+            .filter(record => words([record]).some(word => targetWords.has(word)))
+            .map(record => record.id);
+    }
+};
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+    if (req.method !== 'POST' || url.pathname !== '/assist') {
+        send(res, 404, { error: 'POST /assist only' });
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => {
+        raw += chunk;
+    });
+    req.on('end', () => {
+        let body;
+        try {
+            body = JSON.parse(raw);
+        } catch (err) {
+            send(res, 400, { error: 'Body is not JSON' });
+            return;
+        }
+
+        const task = TASKS[body.task];
+        if (!task) {
+            send(res, 400, { error: `Unknown task "${body.task}"` });
+            return;
+        }
+        if (url.searchParams.has('fail')) {
+            send(res, 500, { error: 'Failing on purpose (?fail)' });
+            return;
+        }
+
+        const payload = {
+            cluster: Array.isArray(body.cluster) ? body.cluster : [],
+            board: Array.isArray(body.board) ? body.board : [],
+            target: body.target || { id: null, text: '' }
+        };
+        const delay = Number(url.searchParams.get('delay')) || 0;
+        setTimeout(() => send(res, 200, { result: task(payload) }), delay);
+    });
+});
+
+server.listen(port, () => {
+    console.log(`NoteAI mock assistant listening on http://localhost:${port}/assist`);
+});
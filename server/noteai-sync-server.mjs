@@ -0,0 +1,411 @@
+/**
+ * MODULE: NoteAI sync server
+ * PURPOSE: Reference implementation of the board sync protocol behind RemoteAdapter in
+ * scripts/noteai/storage.js - boards live as JSON files on disk, so they can be shared between
+ * machines and teammates
+ *
+ * USAGE:
+ *   node server/noteai-sync-server.mjs [port] [dataDir]    (defaults 8788, server/data)
+ *   NOTEAI_SYNC_TOKEN=secret node server/noteai-sync-server.mjs   to require a bearer token
+ *   NOTEAI_SYNC_HOST=0.0.0.0 ...   interface to listen on - without a token it is only
+ *                                  127.0.0.1, with one every interface
+ *   then set CONFIG.storage.adapter = 'remote' in scripts/noteai/config.js
+ *
+ * PROTOCOL:
+ *   GET    /boards        -> 200 { boards: [{ id, rev, modified }] }
+ *   GET    /boards/:id    -> 200 { id, rev, board } | 404 { error }
+ *   PUT    /boards/:id    { rev, client, board }
+ *                         -> 200 { rev }            saved, rev is the new revision
+ *                         -> 409 { rev, board }     rev is stale - load, merge and retry
+ *   DELETE /boards/:id    -> 204
+ *   PUT    /attachments/:id   raw file body -> 204
+ *   GET    /attachments/:id   -> 200 the file | 404 { error }
+ *                         raster images come back as their image type, anything else as a
+ *                         download (application/octet-stream) - see ATTACHMENT_IMAGE_TYPES
+ *   GET    /snapshots/:id     -> 200 { snapshots }   saved versions of board :id, [] if none
+ *   PUT    /snapshots/:id     { snapshots } -> 204   replaces them, an empty list deletes them
+ *   GET    /feed          WebSocket change feed, one JSON text message per change:
+ *                         { type: 'saved' | 'deleted', id, rev, client }
+ *
+ * BEHAVIOR:
+ * - Revisions make saves optimistic: a PUT only lands if it was based on the latest
+ *   revision, so two clients can never silently overwrite each other. Merging is the
+ *   client's job (it knows the per-thought stamps and tombstones)
+ * - client is echoed on the feed so a client can ignore its own saves
+ * - Writes go to a temp file and are renamed into place, one board write at a time
+ * - Only ids made of letters, digits, '-' and '_' are accepted
+ * - Attachments are immutable files referenced by thoughts, they aren't announced on the feed
+ * - Snapshot lists are last write wins and aren't announced either - clients read them
+ *   fresh before changing them
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const port = Number(process.argv[2]) || 8788;
+const dataDir = path.resolve(process.argv[3] || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data'));
+const token = process.env.NOTEAI_SYNC_TOKEN || '';
+// Without a token anyone who can reach the server can read and write every board
+const host = process.env.NOTEAI_SYNC_HOST || (token ? '::' : '127.0.0.1');
+const MAX_BODY = 25 * 1024 * 1024; // Fits the 20 MB attachment limit of NoteAI (CONFIG.attachments.maxSize)
+const attachmentDir = path.join(dataDir, 'attachments');
+const snapshotDir = path.join(dataDir, 'snapshots');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// The only types attachments are served as - the client's Content-Type can't be trusted, and
+// HTML or SVG served from this origin would be stored XSS
+const ATTACHMENT_IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp']);
+
+const feed = new Set(); // Open WebSocket connections
+let writing = Promise.resolve(); // Board writes run one at a time so revisions stay in order
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function attachmentType(type) {
+    const base = String(type || '').split(';')[0].trim().toLowerCase();
+    return ATTACHMENT_IMAGE_TYPES.has(base) ? base : 'application/octet-stream';
+}
+
+function boardFile(id) {
+    return path.join(dataDir, id + '.json');
+}
+
+async function readBoard(id) {
+    try {
+        return JSON.parse(await fs.readFile(boardFile(id), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+async function writeBoard(id, entry) {
+    const file = boardFile(id);
+    const temp = file + '.' + process.pid + '.tmp';
+    await fs.writeFile(temp, JSON.stringify(entry));
+    await fs.rename(temp, file);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        req.on('data', chunk => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length > MAX_BODY) {
+                reject(new Error('Body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function authorized(req) {
+    return !token || req.headers.authorization === 'Bearer ' + token;
+}
+
+// === WEBSOCKET FEED ===
+// Just enough RFC 6455 for a server that only pushes text: handshake, unmasked text
+// frames out, and close / ping handling for what clients send in.
+
+function frame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function broadcast(message) {
+    const data = frame(0x1, Buffer.from(JSON.stringify(message)));
+    feed.forEach(socket => socket.write(data));
+}
+
+// Yields complete client frames from the buffered bytes, leaving partial ones
+function* readFrames(state) {
+    while (state.buffer.length >= 2) {
+        const opcode = state.buffer[0] & 0x0f;
+        const masked = (state.buffer[1] & 0x80) !== 0;
+        let length = state.buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (state.buffer.length < 4) return;
+            length = state.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (state.buffer.length < 10) return;
+            length = Number(state.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (state.buffer.length < offset + length) return;
+
+        const payload = Buffer.from(state.buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= state.buffer[maskOffset + (i % 4)];
+            }
+        }
+        state.buffer = state.buffer.subarray(offset + length);
+        yield { opcode, payload };
+    }
+}
+
+function acceptFeed(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || !authorizedFeed(req)) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Accept: ' + accept,
+        '', ''
+    ].join('\r\n'));
+    feed.add(socket);
+
+    const state = { buffer: Buffer.alloc(0) };
+    socket.on('data', chunk => {
+        state.buffer = Buffer.concat([state.buffer, chunk]);
+        for (const { opcode, payload } of readFrames(state)) {
+            if (opcode === 0x8) {
+                socket.end(frame(0x8, Buffer.alloc(0)));
+            } else if (opcode === 0x9) {
+                socket.write(frame(0xa, payload));
+            }
+            // Text from clients isn't part of the protocol, it's ignored
+        }
+    });
+    socket.on('close', () => feed.delete(socket));
+    socket.on('error', () => feed.delete(socket));
+}
+
+// Browsers can't set headers on a WebSocket, so the feed also takes ?token=
+function authorizedFeed(req) {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    return !token || authorized(req) || url.searchParams.get('token') === token;
+}
+
+// === REST ===
+
+async function handle(req, res) {
+    const url = new URL(req.url, `http://localhost:${port}`);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+    if (!authorized(req)) {
+        send(res, 401, { error: 'Missing or wrong bearer token' });
+        return;
+    }
+
+    if (url.pathname === '/boards' && req.method === 'GET') {
+        const files = (await fs.readdir(dataDir)).filter(file => file.endsWith('.json'));
+        const boards = await Promise.all(files.map(async file => {
+            const id = file.slice(0, -'.json'.length);
+            const entry = await readBoard(id);
+            return entry && { id, rev: entry.rev, modified: entry.modified };
+        }));
+        send(res, 200, { boards: boards.filter(Boolean) });
+        return;
+    }
+
+    const attachment = url.pathname.match(/^\/attachments\/([\w-]+)$/);
+    if (attachment) {
+        await handleAttachment(req, res, attachment[1]);
+        return;
+    }
+
+    const snapshots = url.pathname.match(/^\/snapshots\/([\w-]+)$/);
+    if (snapshots) {
+        await handleSnapshots(req, res, snapshots[1]);
+        return;
+    }
+
+    const match = url.pathname.match(/^\/boards\/([\w-]+)$/);
+    if (!match) {
+        send(res, 404, { error: 'Unknown path' });
+        return;
+    }
+    const id = match[1];
+
+    if (req.method === 'GET') {
+        const entry = await readBoard(id);
+        if (entry) {
+            send(res, 200, { id, rev: entry.rev, board: entry.board });
+        } else {
+            send(res, 404, { error: `No board "${id}"` });
+        }
+        return;
+    }
+
+    if (req.method === 'PUT') {
+        let body;
+        try {
+            body = JSON.parse((await readBody(req)).toString('utf8'));
+        } catch (err) {
+            send(res, 400, { error: 'Body is not JSON' });
+            return;
+        }
+        if (!body || typeof body.board !== 'object' || !Array.isArray(body.board.thoughts)) {
+            send(res, 400, { error: 'Body needs a board with a thoughts list' });
+            return;
+        }
+
+        const result = writing.then(async () => {
+            const current = await readBoard(id);
+            const rev = current ? current.rev : 0;
+            if (Number(body.rev) !== rev) {
+                return { status: 409, body: { rev, board: current ? current.board : null } };
+            }
+            const entry = { rev: rev + 1, modified: Date.now(), board: body.board };
+            await writeBoard(id, entry);
+            broadcast({ type: 'saved', id, rev: entry.rev, client: body.client || null });
+            return { status: 200, body: { rev: entry.rev } };
+        });
+        writing = result.catch(() => {});
+        const { status, body: answer } = await result;
+        send(res, status, answer);
+        return;
+    }
+
+    if (req.method === 'DELETE') {
+        const result = writing.then(() => fs.rm(boardFile(id), { force: true }));
+        writing = result.catch(() => {}); // A failed delete mustn't block the writes after it
+        await result;
+        broadcast({ type: 'deleted', id, rev: 0, client: url.searchParams.get('client') });
+        send(res, 204);
+        return;
+    }
+
+    send(res, 405, { error: `${req.method} not supported here` });
+}
+
+async function handleAttachment(req, res, id) {
+    const file = path.join(attachmentDir, id);
+
+    if (req.method === 'PUT') {
+        const data = await readBody(req);
+        await fs.writeFile(file + '.type', attachmentType(req.headers['content-type']));
+        await fs.writeFile(file, data);
+        send(res, 204);
+        return;
+    }
+
+    if (req.method === 'GET') {
+        let data, type;
+        try {
+            [data, type] = await Promise.all([fs.readFile(file), fs.readFile(file + '.type', 'utf8')]);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            send(res, 404, { error: `No attachment "${id}"` });
+            return;
+        }
+        const safeType = attachmentType(type); // Files stored before types were checked too
+        const headers = {
+            'Content-Type': safeType,
+            'Content-Length': data.length,
+            'X-Content-Type-Options': 'nosniff',
+            'Access-Control-Allow-Origin': '*'
+        };
+        if (!safeType.startsWith('image/')) {
+            headers['Content-Disposition'] = 'attachment';
+        }
+        res.writeHead(200, headers);
+        res.end(data);
+        return;
+    }
+
+    send(res, 405, { error: `${req.method} not supported here` });
+}
+
+async function handleSnapshots(req, res, id) {
+    const file = path.join(snapshotDir, id + '.json');
+
+    if (req.method === 'GET') {
+        try {
+            send(res, 200, { snapshots: JSON.parse(await fs.readFile(file, 'utf8')) });
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            send(res, 200, { snapshots: [] });
+        }
+        return;
+    }
+
+    if (req.method === 'PUT') {
+        let body;
+        try {
+            body = JSON.parse((await readBody(req)).toString('utf8'));
+        } catch (err) {
+            send(res, 400, { error: 'Body is not JSON' });
+            return;
+        }
+        if (!body || !Array.isArray(body.snapshots)) {
+            send(res, 400, { error: 'Body needs a snapshots list' });
+            return;
+        }
+        if (body.snapshots.length === 0) {
+            await fs.rm(file, { force: true });
+        } else {
+            const temp = file + '.' + process.pid + '.tmp';
+            await fs.writeFile(temp, JSON.stringify(body.snapshots));
+            await fs.rename(temp, file);
+        }
+        send(res, 204);
+        return;
+    }
+
+    send(res, 405, { error: `${req.method} not supported here` });
+}
+
+const server = http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+        console.error('NoteAI sync:', err);
+        send(res, 500, { error: 'Server error' });
+    });
+});
+
+server.on('upgrade', (req, socket) => {
+    if (new URL(req.url, `http://localhost:${port}`).pathname === '/feed') {
+        acceptFeed(req, socket);
+    } else {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    }
+});
+
+await fs.mkdir(attachmentDir, { recursive: true });
+await fs.mkdir(snapshotDir, { recursive: true });
+server.listen(port, host, () => {
+    console.log(`NoteAI sync server on ${host} port ${port} (boards in ${dataDir})`);
+    if (!token && !['127.0.0.1', '::1', 'localhost'].includes(host)) {
+        console.warn('NoteAI sync: listening beyond this machine without NOTEAI_SYNC_TOKEN - boards are open to anyone who can reach it');
+    }
+});
@@ -0,0 +1,60 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../scripts/noteai/config.js';
+import { startBoard, setSize } from './setup.js';
+
+let board;
+let app;
+
+beforeEach(async () => {
+    board = await startBoard();
+    app = board.app;
+});
+
+afterEach(async () => {
+    await board.close();
+});
+
+function reduceMotion() {
+    board.window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+}
+
+test('with reduced motion a layout jumps straight to the new places, as one undo step', () => {
+    reduceMotion();
+    const a = app.thoughtManager.addThought('a', 40, 0);
+    const b = app.thoughtManager.addThought('b', 120, 200);
+    app.autoLayout.arrange([a, b], boxes => new Map(boxes.map(box => [box.id, { x: 0, y: box.y }])));
+
+    assert.equal(app.autoLayout.animation, null);
+    assert.deepEqual([a.x, b.x], [0, 0]);
+    app.thoughtManager.undo();
+    assert.deepEqual([a.x, b.x], [40, 120]);
+});
+
+test('arranging by connectors pulls thoughts stacked on one spot apart', () => {
+    reduceMotion();
+    const thoughts = ['a', 'b', 'c', 'd'].map(text => app.thoughtManager.addThought(text, 100, 100));
+    thoughts.forEach(thought => setSize(app, thought, { width: 80, height: 30 }));
+    app.connectorLayer.addLink(thoughts[0], thoughts[1]);
+    app.connectorLayer.addLink(thoughts[1], thoughts[2]);
+    app.autoLayout.arrangeByLinks(thoughts);
+
+    thoughts.forEach((a, i) => thoughts.slice(i + 1).forEach(b => {
+        const apart = Math.abs(a.x - b.x) >= 80 || Math.abs(a.y - b.y) >= 30;
+        assert.ok(apart, `${a.text} and ${b.text} don't overlap`);
+    }));
+});
+
+test('arranging by connectors refuses more than maxThoughts', () => {
+    reduceMotion();
+    const { maxThoughts } = CONFIG.layout.force;
+    CONFIG.layout.force.maxThoughts = 2;
+    try {
+        const thoughts = ['a', 'b', 'c'].map((text, i) => app.thoughtManager.addThought(text, i * 10, 0));
+        app.connectorLayer.addLink(thoughts[0], thoughts[1]);
+        app.autoLayout.arrangeByLinks(thoughts);
+        assert.deepEqual(thoughts.map(t => t.x), [0, 10, 20]);
+    } finally {
+        CONFIG.layout.force.maxThoughts = maxThoughts;
+    }
+});
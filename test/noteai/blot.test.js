@@ -0,0 +1,190 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../scripts/noteai/config.js';
+import { startBoard, pressKey } from './setup.js';
+
+let board;
+let app;
+
+beforeEach(async () => {
+    board = await startBoard();
+    app = board.app;
+});
+
+afterEach(async () => {
+    await board.close();
+});
+
+// Frames at a steady 60fps from now on, instead of whenever jsdom gets to them
+function runFrames(count, from = performance.now()) {
+    app.blot.stop();
+    let now = from;
+    for (let i = 0; i < count; i++) {
+        now += 1000 / 60;
+        app.blot.tick(now);
+    }
+    return now;
+}
+
+test('the blot sits left of the current thought, and stays there once it is let go', () => {
+    const thought = app.thoughtManager.addThought('next to me', 300, 200);
+    app.thoughtManager.setCurrentThought(thought);
+
+    const anchor = app.viewport.worldToScreen(300, 200);
+    assert.equal(app.blot.targetThought, thought);
+    assert.deepEqual(app.blot.home, app.viewport.screenToWorld(anchor.x - 60, anchor.y + 20));
+
+    app.blot.settle();
+    const { centerX, centerY } = app.blot.getCurrentCenterOffsets();
+    assert.equal(app.blot.element.style.left, (anchor.x - 60 - centerX) + 'px');
+    assert.equal(app.blot.element.style.top, (anchor.y + 20 - centerY) + 'px');
+
+    app.thoughtManager.setCurrentThought(null);
+    assert.equal(app.blot.targetThought, thought);
+});
+
+test('the blot eases over to a new thought instead of jumping, approaching until it is close', () => {
+    const near = app.thoughtManager.addThought('here', 100, 100);
+    app.thoughtManager.setCurrentThought(near);
+    app.blot.settle();
+    const far = app.thoughtManager.addThought('over there', 700, 500);
+    app.thoughtManager.setCurrentThought(far);
+    const start = { ...app.blot.position };
+    const distanceLeft = () => Math.hypot(app.blot.position.x - app.blot.home.x, app.blot.position.y - app.blot.home.y);
+
+    const now = runFrames(1);
+    assert.ok(distanceLeft() > 0, 'not there after one frame');
+    assert.ok(app.blot.position.x > start.x, 'but on its way');
+    assert.equal(app.blot.element.dataset.mood, 'approaching');
+
+    app.blot.lastTyped = now; // No wandering off meanwhile
+    runFrames(240, now);
+    assert.ok(distanceLeft() < 0.5, 'there within four seconds');
+    assert.equal(app.blot.approaching, false);
+    assert.notEqual(app.blot.element.dataset.mood, 'approaching');
+});
+
+test('left alone the blot wanders near its spot, typing calls it back', () => {
+    const thought = app.thoughtManager.addThought('home', 300, 300);
+    app.thoughtManager.setCurrentThought(thought);
+    app.blot.settle();
+    const { idleDelay, patientDistance } = CONFIG.blot;
+    app.blot.lastTyped = performance.now() - idleDelay;
+
+    let now = runFrames(120);
+    assert.ok(app.blot.wanderOffset);
+    assert.ok(Math.hypot(app.blot.wanderOffset.x, app.blot.wanderOffset.y) <= patientDistance);
+    assert.ok(app.blot.wanderOffset.x <= 0, 'wanders away from the thought, not over it');
+    assert.equal(app.blot.element.dataset.mood, 'wandering');
+
+    app.blot.noteTyping(now);
+    now = runFrames(1, now);
+    assert.equal(app.blot.wanderOffset, null);
+    assert.equal(app.blot.element.dataset.mood, 'attentive');
+});
+
+test('the frames stop once the blot has wandered back and settled, moving or typing starts them again', () => {
+    const thought = app.thoughtManager.addThought('resting', 300, 300);
+    app.thoughtManager.setCurrentThought(thought);
+    app.blot.settle();
+    const { idleDelay, wanderFor } = CONFIG.blot;
+    const now = performance.now();
+    app.blot.lastTyped = now - idleDelay - wanderFor;
+    assert.notEqual(app.blot.frame, null);
+
+    app.blot.tick(now);
+    assert.equal(app.blot.frame, null);
+    assert.equal(app.blot.element.dataset.mood, 'calm');
+
+    app.blot.noteTyping(now + 10);
+    assert.notEqual(app.blot.frame, null);
+    app.blot.stop();
+
+    thought.moveTo(500, 500);
+    app.blot.updatePosition();
+    assert.notEqual(app.blot.frame, null);
+});
+
+test('fast typing excites the blot and makes it hop', () => {
+    const thought = app.thoughtManager.addThought('type', 300, 300);
+    app.thoughtManager.setCurrentThought(thought);
+    app.blot.settle();
+    app.blot.stop();
+
+    const now = performance.now();
+    const keys = CONFIG.blot.fastTyping * CONFIG.blot.typingWindow / 1000;
+    for (let i = 0; i < keys; i++) {
+        app.blot.noteTyping(now + i);
+    }
+    assert.ok(app.blot.velocity.y < 0, 'hops up');
+    assert.equal(app.blot.mood(now + keys), 'excited');
+
+    const before = app.blot.bodyPath.getAttribute('d');
+    app.blot.tick(now + 100);
+    assert.notEqual(app.blot.bodyPath.getAttribute('d'), before, 'the ink body wobbles');
+});
+
+test('the blot holds still while its menu is open', () => {
+    const thought = app.thoughtManager.addThought('menu', 300, 300);
+    app.thoughtManager.setCurrentThought(thought);
+    app.blot.settle();
+    app.blot.position.x -= 50;
+    const held = { ...app.blot.position };
+
+    app.blot.expandMenu();
+    runFrames(30);
+    assert.deepEqual(app.blot.position, held);
+
+    app.blot.collapseMenu();
+    runFrames(30);
+    assert.notDeepEqual(app.blot.position, held);
+});
+
+test('runAction works on the current thought, or does nothing without one', () => {
+    assert.equal(app.blot.runAction('bold'), false);
+
+    const thought = app.thoughtManager.addThought('target', 0, 0);
+    app.thoughtManager.setCurrentThought(thought);
+    assert.equal(app.blot.runAction('bold'), true);
+    assert.equal(thought.runs[0].marks.bold, true);
+});
+
+test('the delete action removes every selected thought, undo brings them back', () => {
+    const a = app.thoughtManager.addThought('a', 0, 0);
+    const b = app.thoughtManager.addThought('b', 100, 0);
+    app.thoughtManager.addThought('c', 200, 0);
+    app.selectionManager.add(a);
+    app.selectionManager.add(b);
+    app.blot.targetThought = a;
+
+    app.blot.runAction('delete');
+    assert.deepEqual(app.thoughts.map(t => t.text), ['c']);
+
+    app.thoughtManager.undo();
+    assert.deepEqual(app.thoughts.map(t => t.text), ['a', 'b', 'c']);
+});
+
+test('pin and lock toggle from the menu and by shortcut', () => {
+    const thought = app.thoughtManager.addThought('pin me', 0, 0);
+    app.thoughtManager.setCurrentThought(thought);
+
+    app.blot.runAction('pin');
+    assert.equal(thought.pinned, true);
+    pressKey(board, 'p', { altKey: true, code: 'KeyP' });
+    assert.equal(thought.pinned, false);
+
+    pressKey(board, 'l', { altKey: true, code: 'KeyL' });
+    assert.equal(thought.locked, true);
+});
+
+test('plugin actions need a modifier in their shortcut and a unique id', () => {
+    assert.throws(() => app.blot.registerAction({ id: 'plain', shortcut: 'X' }), /swallow typing/);
+    assert.throws(() => app.blot.registerAction({ id: 'bold' }), /already registered/);
+
+    let ran = null;
+    app.blot.registerAction({ id: 'shout', label: '!', shortcut: 'Alt+Shift+1', run: ({ target }) => { ran = target; } });
+    const thought = app.thoughtManager.addThought('quiet', 0, 0);
+    app.thoughtManager.setCurrentThought(thought);
+    pressKey(board, '!', { altKey: true, shiftKey: true, code: 'Digit1' });
+    assert.equal(ran, thought);
+});
@@ -0,0 +1,122 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../scripts/noteai/config.js';
+import { Thought } from '../../scripts/noteai/thought.js';
+import { clearAllThoughts } from '../../scripts/noteai/noteai.js';
+import { startBoard, pressKey } from './setup.js';
+
+let board;
+let app;
+
+beforeEach(async () => {
+    board = await startBoard();
+    app = board.app;
+});
+
+afterEach(async () => {
+    await board.close();
+});
+
+test('selecting a thought moves to current_thought, hides the mouse blob and routes keys to the thought', () => {
+    const thought = app.thoughtManager.addThought('hello', 100, 100);
+    app.thoughtManager.updateAppMode();
+    assert.ok(app.mouseBlob);
+
+    app.thoughtManager.setCurrentThought(thought);
+    assert.equal(app.mode.state, 'current_thought');
+    assert.equal(app.currentThought, thought);
+    assert.equal(app.mouseBlob, null);
+    assert.equal(app.mode.keyTarget, 'thought');
+    assert.deepEqual(
+        (({ event, from, to, refused }) => ({ event, from, to, refused }))(app.mode.lastTransition),
+        { event: 'select', from: 'new_thought', to: 'current_thought', refused: false }
+    );
+});
+
+test('keys go to the board while a locked thought is current', () => {
+    const thought = app.thoughtManager.addThought('locked', 100, 100);
+    thought.adjust({ locked: true });
+    app.thoughtManager.setCurrentThought(thought);
+    assert.equal(app.mode.keyTarget, 'board');
+});
+
+test('Escape releases the thought back to new_thought', () => {
+    const thought = app.thoughtManager.addThought('hello', 100, 100);
+    app.thoughtManager.setCurrentThought(thought);
+    pressKey(board, 'Escape', { target: thought.element });
+
+    assert.equal(app.mode.state, 'new_thought');
+    assert.equal(app.currentThought, null);
+    assert.equal(thought.isActive, false);
+    assert.equal(app.mode.lastTransition.reason, 'Escape');
+});
+
+test('the select guard refuses thoughts that are not on the board', () => {
+    const stray = new Thought('stray', 0, 0);
+    assert.equal(app.mode.can('select', stray), false);
+    assert.equal(app.mode.send('select', { thought: stray }), false);
+
+    assert.equal(app.mode.state, 'new_thought');
+    assert.equal(app.currentThought, null);
+    assert.equal(app.mode.lastTransition.refused, true);
+    assert.equal(app.mode.lastTransition.reason, 'not on the board');
+});
+
+test('events not allowed from the current state change nothing', () => {
+    assert.equal(app.mode.send('release'), false);
+    assert.equal(app.mode.lastTransition.reason, 'not from new_thought');
+
+    const a = app.thoughtManager.addThought('a', 0, 0);
+    const b = app.thoughtManager.addThought('b', 200, 0);
+    app.thoughtManager.setCurrentThought(a);
+    assert.equal(app.mode.send('remove', { thought: b }), false);
+    assert.equal(app.currentThought, a);
+});
+
+test('deleting the current thought goes through remove', () => {
+    const thought = app.thoughtManager.addThought('doomed', 0, 0);
+    app.thoughtManager.setCurrentThought(thought);
+    app.thoughtManager.handleDelete();
+
+    assert.equal(app.mode.state, 'new_thought');
+    assert.equal(app.mode.lastTransition.event, 'remove');
+});
+
+test('an empty draft is dropped when the pointer moves away, without a refused remove', () => {
+    app.mouseX = 100;
+    app.mouseY = 100;
+    const draft = app.thoughtManager.startThoughtAt(100, 100);
+    assert.equal(app.currentThought, draft);
+
+    app.mouseX = 100 + CONFIG.typing.mouseStillThreshold * 10;
+    app.thoughtManager.updateAppMode();
+    assert.equal(app.thoughts.length, 0);
+    assert.equal(app.mode.lastTransition.event, 'release');
+    assert.equal(app.mode.lastTransition.refused, false);
+});
+
+test('clearing the board goes back to new_thought', () => {
+    app.thoughtManager.setCurrentThought(app.thoughtManager.addThought('a', 0, 0));
+    clearAllThoughts();
+
+    assert.equal(app.mode.state, 'new_thought');
+    assert.equal(app.mode.lastTransition.event, 'clear');
+    assert.ok(app.mouseBlob);
+});
+
+test('the debug overlay shows the state and the last transition', () => {
+    app.mode.showOverlay(true);
+    const overlay = board.document.querySelector('.mode-debug');
+    assert.ok(overlay);
+
+    const thought = app.thoughtManager.addThought('hello', 0, 0);
+    app.thoughtManager.setCurrentThought(thought);
+    assert.equal(overlay.querySelector('.mode-debug-state').textContent, `current_thought · ${thought.id}`);
+    assert.equal(overlay.querySelector('.mode-debug-last').textContent, 'select: new_thought → current_thought');
+
+    app.mode.send('select', { thought: null });
+    assert.ok(overlay.querySelector('.mode-debug-last').classList.contains('refused'));
+
+    app.mode.showOverlay(false);
+    assert.equal(board.document.querySelector('.mode-debug'), null);
+});
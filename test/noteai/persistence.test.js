@@ -0,0 +1,255 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../scripts/noteai/config.js';
+import { normalizeThoughtRecord } from '../../scripts/noteai/schema.js';
+import { LocalStorageAdapter, StorageConflictError } from '../../scripts/noteai/storage.js';
+import { startBoard, MemoryStorage } from './setup.js';
+
+// The board as the next page load would see it - ids, text, formatting, position, stacking.
+// Loading puts the thoughts in stacking order, so they are compared in that order.
+function boardShape(app) {
+    const { thoughts, links, groups } = app.thoughtManager.getBoardData();
+    return {
+        thoughts: [...thoughts].sort((a, b) => a.z - b.z).map(({ id, text, runs, x, y, style, markdown, z, pinned, locked }) => (
+            { id, text, runs, x, y, style, markdown, z, pinned, locked }
+        )),
+        links: links.map(({ from, to }) => ({ from, to })),
+        groups: groups.map(({ name, members }) => ({ name, members }))
+    };
+}
+
+async function fillBoard(app) {
+    const { thoughtManager, connectorLayer, selectionManager } = app;
+    const plain = thoughtManager.addThought('plain #idea', 10, 20);
+    const styled = thoughtManager.addThought('bold and blue', 300, 40);
+    styled.format('bold');
+    styled.format('color', '#1f3a5f');
+    styled.format('tint', 'Sky');
+    const notes = thoughtManager.addThought('# Notes\n- [ ] task', -120, 260);
+    notes.format('markdown');
+    notes.adjust({ pinned: true, locked: true });
+    thoughtManager.restackThoughts([plain], true);
+    connectorLayer.addLink(plain, styled);
+    selectionManager.createGroup([styled, notes], 'Pair');
+    app.viewport.setState({ x: 40, y: -30, zoom: 1.5 });
+    await thoughtManager.saveThoughts();
+}
+
+test('a board saved to localStorage comes back the same on the next page load', async () => {
+    const first = await startBoard();
+    await fillBoard(first.app);
+    const before = boardShape(first.app);
+    const viewport = first.app.viewport.getState();
+    const saved = first.saved();
+    await first.close();
+
+    const second = await startBoard({ saved });
+    assert.deepEqual(boardShape(second.app), before);
+    assert.deepEqual(second.app.viewport.getState(), viewport);
+    assert.deepEqual(second.app.thoughts.map(t => Number(t.element.style.zIndex)), before.thoughts.map(t => t.z));
+    await second.close();
+});
+
+test('an injected storage adapter gets the board instead of localStorage', async () => {
+    const storage = new MemoryStorage();
+    const first = await startBoard({ storage });
+    await fillBoard(first.app);
+    const before = boardShape(first.app);
+    const boardId = first.app.thoughtManager.boardId;
+    const saved = first.saved();
+    await first.close();
+
+    assert.equal(storage.boards.get(boardId).thoughts.length, 3);
+    assert.equal(saved[CONFIG.typing.storageKey + ':' + boardId], undefined);
+
+    const second = await startBoard({ storage, saved });
+    assert.deepEqual(boardShape(second.app), before);
+    await second.close();
+});
+
+test('the thought being edited is still current after a reload', async () => {
+    const first = await startBoard();
+    const thought = first.app.thoughtManager.addThought('editing', 0, 0);
+    first.app.thoughtManager.setCurrentThought(thought);
+    await first.app.thoughtManager.saveThoughts();
+    const saved = first.saved();
+    await first.close();
+
+    const second = await startBoard({ saved });
+    assert.equal(second.app.currentThought.id, thought.id);
+    assert.equal(second.app.mode.state, 'current_thought');
+    await second.close();
+});
+
+test('version 1 boards (a bare array) are migrated on load', async () => {
+    const legacy = [{ text: 'old one', x: 5, y: 6, isActive: false }, { text: 'old two', x: 50, y: 60 }];
+    const board = await startBoard({ saved: {
+        [CONFIG.notebooks.storageKey]: JSON.stringify({
+            activeId: 'legacy',
+            notebooks: [{ id: 'legacy', name: 'Legacy', created: 1, modified: 1 }]
+        }),
+        [CONFIG.typing.storageKey + ':legacy']: JSON.stringify(legacy)
+    } });
+
+    assert.deepEqual(board.app.thoughts.map(t => [t.text, t.x, t.y, t.z]), [['old one', 5, 6, 0], ['old two', 50, 60, 1]]);
+    await board.close();
+});
+
+test('deletes are saved too', async () => {
+    const first = await startBoard();
+    const keep = first.app.thoughtManager.addThought('keep', 0, 0);
+    const gone = first.app.thoughtManager.addThought('gone', 100, 0);
+    await first.app.thoughtManager.saveThoughts();
+    first.app.thoughtManager.deleteThoughts([gone]);
+    await first.app.thoughtManager.saveThoughts();
+    const saved = first.saved();
+    await first.close();
+
+    const second = await startBoard({ saved });
+    assert.deepEqual(second.app.thoughts.map(t => t.id), [keep.id]);
+    await second.close();
+});
+
+test('a stored board without a thoughts list opens empty and still saves', async () => {
+    const storage = new MemoryStorage();
+    storage.boards.set('broken', { version: CONFIG.typing.schemaVersion, links: 'nope' });
+    const board = await startBoard({ storage, saved: {
+        [CONFIG.notebooks.storageKey]: JSON.stringify({
+            activeId: 'broken',
+            notebooks: [{ id: 'broken', name: 'Broken', created: 1, modified: 1 }]
+        })
+    } });
+
+    assert.equal(board.app.thoughts.length, 0);
+    assert.equal(board.app.thoughtManager.loading, false);
+    board.app.thoughtManager.addThought('fresh start', 0, 0);
+    await board.app.thoughtManager.saveThoughts();
+    assert.deepEqual(storage.boards.get('broken').thoughts.map(t => t.text), ['fresh start']);
+    await board.close();
+});
+
+test('imported files get new ids instead of overwriting stored ones', async () => {
+    const storage = new MemoryStorage();
+    const board = await startBoard({ storage });
+    const original = new Blob(['mine'], { type: 'text/plain' });
+    await storage.saveAttachment('attachment-1', original);
+
+    const file = {
+        format: CONFIG.transfer.fileFormat,
+        board: {
+            version: CONFIG.typing.schemaVersion,
+            thoughts: [{ text: 'notes.txt', x: 0, y: 0, attachment: { id: 'attachment-1', name: 'notes.txt', type: 'text/plain', size: 6 } }]
+        },
+        attachments: { 'attachment-1': 'data:text/plain,theirs' }
+    };
+    assert.equal(await board.app.boardTransfer.importText(JSON.stringify(file), 'merge'), true);
+
+    assert.equal(storage.attachments.get('attachment-1'), original);
+    const { id } = board.app.thoughts[0].attachment;
+    assert.notEqual(id, 'attachment-1');
+    assert.equal(await storage.attachments.get(id).text(), 'theirs');
+    await board.close();
+});
+
+test('a duplicated notebook gets its own ids and none of the original sync data', async () => {
+    const storage = new MemoryStorage();
+    const board = await startBoard({ storage });
+    await fillBoard(board.app);
+    const sourceId = board.app.thoughtManager.boardId;
+    const source = storage.boards.get(sourceId);
+    assert.ok(source.sync);
+
+    const copy = await board.app.notebookManager.duplicate(sourceId);
+    const stored = storage.boards.get(copy.id);
+    assert.equal(stored.sync, undefined);
+    const sourceIds = new Set(source.thoughts.map(t => t.id));
+    assert.ok(stored.thoughts.every(t => !sourceIds.has(t.id)));
+    assert.deepEqual(stored.thoughts.map(t => t.text), source.thoughts.map(t => t.text));
+
+    const copyIds = new Set(stored.thoughts.map(t => t.id));
+    assert.equal(stored.links.length, 1);
+    assert.ok(copyIds.has(stored.links[0].from) && copyIds.has(stored.links[0].to));
+    assert.notEqual(stored.links[0].id, source.links[0].id);
+    assert.ok(stored.groups[0].members.every(id => copyIds.has(id)));
+    assert.deepEqual(boardShape(board.app).thoughts.map(t => t.text), ['bold and blue', '# Notes\n- [ ] task', 'plain #idea']);
+    await board.close();
+});
+
+test('imported files that are not raster images are stored as plain downloads', async () => {
+    const storage = new MemoryStorage();
+    const board = await startBoard({ storage });
+    const file = {
+        format: CONFIG.transfer.fileFormat,
+        board: {
+            version: CONFIG.typing.schemaVersion,
+            thoughts: [
+                { text: 'page.html', x: 0, y: 0, attachment: { id: 'page', name: 'page.html', type: 'text/html', size: 40 } },
+                { text: 'dot.png', x: 0, y: 100, attachment: { id: 'dot', name: 'dot.png', type: 'image/png', size: 3 } }
+            ]
+        },
+        attachments: {
+            page: 'data:text/html,' + encodeURIComponent('<script>alert(localStorage)</script>'),
+            dot: 'data:image/png;base64,AAAA'
+        }
+    };
+    assert.equal(await board.app.boardTransfer.importText(JSON.stringify(file), 'merge'), true);
+
+    const [page, dot] = board.app.thoughts.map(t => storage.attachments.get(t.attachment.id));
+    assert.equal(page.type, 'application/octet-stream');
+    assert.equal(dot.type, 'image/png');
+    await board.close();
+});
+
+test('a save that another tab overtook is merged again instead of overwriting it', async () => {
+    const storage = new MemoryStorage();
+    const board = await startBoard({ storage });
+    const { thoughtManager } = board.app;
+    const boardId = thoughtManager.boardId;
+    const mine = thoughtManager.addThought('mine', 0, 0);
+    await thoughtManager.saveThoughts();
+
+    // The other tab saves between this tab's load and save
+    const otherTab = new MemoryStorage(storage.boards);
+    const load = storage.load.bind(storage);
+    storage.load = async (id) => {
+        const loaded = await load(id);
+        storage.load = load;
+        const theirs = await otherTab.load(id);
+        theirs.thoughts.push(normalizeThoughtRecord({ id: 'theirs', text: 'theirs', x: 200, y: 0 }));
+        theirs.sync.stamps.theirs = Date.now();
+        await otherTab.save(id, theirs);
+        return loaded;
+    };
+    mine.updateText('mine, edited');
+    await thoughtManager.saveThoughts();
+
+    assert.deepEqual(storage.boards.get(boardId).thoughts.map(t => t.text).sort(), ['mine, edited', 'theirs']);
+    assert.deepEqual(board.app.thoughts.map(t => t.text).sort(), ['mine, edited', 'theirs']);
+    await board.close();
+});
+
+test('the localStorage adapter refuses a save when another tab saved since the load', async () => {
+    const board = await startBoard();
+    const first = new LocalStorageAdapter('conflict-test');
+    const second = new LocalStorageAdapter('conflict-test');
+    await first.load('b');
+    await first.save('b', { version: CONFIG.typing.schemaVersion, thoughts: [] });
+    await second.load('b');
+    await first.load('b');
+    await first.save('b', { version: CONFIG.typing.schemaVersion, thoughts: [] });
+
+    await assert.rejects(second.save('b', { version: CONFIG.typing.schemaVersion, thoughts: [] }), StorageConflictError);
+    await second.load('b');
+    await second.save('b', { version: CONFIG.typing.schemaVersion, thoughts: [] });
+    assert.equal(JSON.parse(board.window.localStorage.getItem('conflict-test:b')).rev, 3);
+    await board.close();
+});
+
+test('Markdown export links attachments with spaces and parentheses in their names', async () => {
+    const board = await startBoard();
+    const markdown = board.app.boardTransfer.toMarkdown('Files', [normalizeThoughtRecord({
+        text: 'a (1).png', x: 0, y: 0, attachment: { id: 'a1', name: 'a (1).png', type: 'image/png', size: 1 }
+    })]);
+    assert.equal(markdown, '# Files\n\n![a (1).png](a%20%281%29.png)\n');
+    await board.close();
+});
@@ -0,0 +1,144 @@
+/**
+ * Test setup: NoteAI on a fresh jsdom copy of html/noteai.html for every test.
+ *
+ * The modules reach for browser globals (document, localStorage, requestAnimationFrame...)
+ * as they run, so each board points those at its own jsdom window before starting.
+ */
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { CONFIG } from '../../scripts/noteai/config.js';
+import { resetState } from '../../scripts/noteai/state.js';
+import { LocalStorageAdapter, StorageConflictError } from '../../scripts/noteai/storage.js';
+import { startNoteAI, stopNoteAI } from '../../scripts/noteai/noteai.js';
+
+const html = readFileSync(new URL('../../html/noteai.html', import.meta.url), 'utf8');
+
+// What the modules use without a window. prefix - BroadcastChannel and indexedDB are
+// undefined in jsdom, so boards stay in (jsdom's) localStorage
+const BROWSER_GLOBALS = [
+    'window', 'document', 'localStorage', 'navigator', 'Node', 'NodeFilter', 'Event', 'CustomEvent',
+    'KeyboardEvent', 'MouseEvent', 'FileReader', 'Option', 'getComputedStyle', 'requestAnimationFrame',
+    'cancelAnimationFrame', 'prompt', 'alert', 'confirm', 'BroadcastChannel', 'indexedDB'
+];
+
+/**
+ * Storage adapter keeping boards in memory (see STORAGE ADAPTERS for the interface).
+ * Records are copied in and out, like a real store would. Saves are refused with
+ * StorageConflictError like the real adapters do; pass another one's boards to have
+ * a second tab on the same store.
+ */
+export class MemoryStorage {
+    constructor(boards = new Map()) {
+        this.boards = boards;
+        this.revs = new Map(); // boardId -> revision of our last load or save
+        this.attachments = new Map();
+        this.snapshots = new Map();
+    }
+
+    async load(boardId) {
+        const board = this.boards.get(boardId);
+        this.revs.set(boardId, board ? board.rev || 0 : 0);
+        return board ? structuredClone(board) : null;
+    }
+
+    async save(boardId, board) {
+        const stored = this.boards.get(boardId);
+        const rev = stored ? stored.rev || 0 : 0;
+        if (rev !== (this.revs.get(boardId) || 0)) {
+            throw new StorageConflictError(boardId);
+        }
+        this.boards.set(boardId, structuredClone({ ...board, rev: rev + 1 }));
+        this.revs.set(boardId, rev + 1);
+    }
+
+    async remove(boardId) {
+        this.boards.delete(boardId);
+        this.revs.delete(boardId);
+    }
+
+    async list() {
+        return [...this.boards.keys()];
+    }
+
+    watch() {
+        return () => {};
+    }
+
+    async saveAttachment(id, blob) {
+        this.attachments.set(id, blob);
+    }
+
+    async loadAttachment(id) {
+        return this.attachments.get(id) || null;
+    }
+
+    async loadSnapshots(boardId) {
+        return structuredClone(this.snapshots.get(boardId) || []);
+    }
+
+    async saveSnapshots(boardId, snapshots) {
+        if (snapshots.length === 0) {
+            this.snapshots.delete(boardId);
+        } else {
+            this.snapshots.set(boardId, structuredClone(snapshots));
+        }
+    }
+}
+
+/**
+ * Start NoteAI on a new page. storage defaults to the localStorage adapter; saved is
+ * { key: value } to put in localStorage first (the notebook index, a stored board...).
+ * Resolves once the active notebook is on the canvas.
+ */
+export async function startBoard({ storage = null, saved = {} } = {}) {
+    const dom = new JSDOM(html, { url: 'http://localhost/html/noteai.html', pretendToBeVisual: true });
+    const { window } = dom;
+    Object.entries(saved).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    BROWSER_GLOBALS.forEach(name => {
+        const value = window[name];
+        Object.defineProperty(globalThis, name, {
+            value: typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(window) : value,
+            configurable: true,
+            writable: true
+        });
+    });
+
+    resetState();
+    const app = startNoteAI({ storage: storage || new LocalStorageAdapter(CONFIG.typing.storageKey) });
+    await app.thoughtManager.ready;
+    return {
+        app,
+        window,
+        document: window.document,
+        // Everything in localStorage, to start the next page from
+        saved() {
+            const entries = {};
+            for (let i = 0; i < window.localStorage.length; i++) {
+                const key = window.localStorage.key(i);
+                entries[key] = window.localStorage.getItem(key);
+            }
+            return entries;
+        },
+        // Queued saves finish first, they would otherwise land on the next test's page
+        async close() {
+            await app.boardSync.enqueue(() => {});
+            stopNoteAI();
+            window.close();
+        }
+    };
+}
+
+// A key press the way ThoughtManager and KeyboardNavigator listen for it
+export function pressKey(board, key, options = {}) {
+    const event = new board.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    (options.target || board.document).dispatchEvent(event);
+    return event;
+}
+
+// A thought's laid-out size in world units, as offsetWidth/Height report it - measured
+// again by the spatial index so lookups see it
+export function setSize(app, thought, { width, height }) {
+    Object.defineProperty(thought.element, 'offsetWidth', { configurable: true, get: () => width });
+    Object.defineProperty(thought.element, 'offsetHeight', { configurable: true, get: () => height });
+    app.spatialIndex.refresh(thought);
+}
@@ -0,0 +1,112 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBoard, setSize } from './setup.js';
+
+let board;
+let app;
+
+beforeEach(async () => {
+    board = await startBoard();
+    app = board.app;
+});
+
+afterEach(async () => {
+    await board.close();
+});
+
+const rect = (left, top, right, bottom) => ({ left, top, right, bottom });
+
+test('query finds thoughts whose box touches the rectangle, in stacking order', () => {
+    const a = app.thoughtManager.addThought('a', 0, 0);
+    app.thoughtManager.addThought('b', 1000, 1000);
+    app.thoughtManager.addThought('c', 40, 40);
+    setSize(app, a, { width: 100, height: 30 });
+    app.thoughtManager.restackThoughts([a], true);
+
+    const texts = (left, top, right, bottom) => app.spatialIndex.query(rect(left, top, right, bottom)).map(t => t.text);
+    assert.deepEqual(texts(30, 20, 200, 200), ['c', 'a']);
+    assert.deepEqual(texts(90, 20, 200, 200), ['a'], 'touches the right end of a');
+    assert.deepEqual(texts(101, 31, 120, 35), []);
+    assert.deepEqual(texts(900, 900, 1000, 1000), ['b']);
+});
+
+test('moveTo and text changes keep the index up to date', () => {
+    const thought = app.thoughtManager.addThought('moving', 0, 0);
+    thought.moveTo(5000, -3000);
+    assert.deepEqual(app.spatialIndex.query(rect(-10, -10, 10, 10)), []);
+    assert.deepEqual(app.spatialIndex.query(rect(4990, -3010, 5010, -2990)), [thought]);
+
+    Object.defineProperty(thought.element, 'offsetWidth', { configurable: true, get: () => 600 });
+    thought.updateText('a much longer thought now');
+    assert.equal(app.spatialIndex.boxOf(thought).width, 600);
+    assert.deepEqual(app.spatialIndex.query(rect(5550, -3000, 5560, -2990)), [thought]);
+});
+
+test('removed and cleared thoughts leave the index', () => {
+    const a = app.thoughtManager.addThought('a', 0, 0);
+    app.thoughtManager.addThought('b', 10, 0);
+    app.thoughtManager.deleteThought(a);
+    assert.deepEqual(app.spatialIndex.query(rect(-5, -5, 20, 5)).map(t => t.text), ['b']);
+
+    app.thoughtManager.undo();
+    assert.equal(app.spatialIndex.query(rect(-5, -5, 20, 5)).length, 2);
+
+    app.thoughtManager.closeBoard(false);
+    assert.equal(app.spatialIndex.entries.size, 0);
+});
+
+test('near only finds thoughts whose corner is inside the radius', () => {
+    const thought = app.thoughtManager.addThought('near', 100, 100);
+    setSize(app, thought, { width: 300, height: 100 });
+    assert.deepEqual(app.spatialIndex.near(100, 140, 50), [thought]);
+    assert.deepEqual(app.spatialIndex.near(250, 140, 50), [], 'inside the box but far from the corner');
+});
+
+test('huge rectangles still find everything', () => {
+    const far = app.thoughtManager.addThought('far', 1e6, 1e6);
+    const home = app.thoughtManager.addThought('home', 0, 0);
+    assert.deepEqual(app.spatialIndex.query(rect(-1e7, -1e7, 1e7, 1e7)), [far, home]);
+});
+
+test('the marquee selects what the index finds inside it', () => {
+    const inside = app.thoughtManager.addThought('inside', 50, 50);
+    const outside = app.thoughtManager.addThought('outside', 400, 400);
+    setSize(app, outside, { width: 50, height: 20 });
+    app.viewport.setState({ x: 0, y: 0, zoom: 2 });
+
+    app.selectionManager.startMarquee({ clientX: 0, clientY: 0, shiftKey: false });
+    assert.equal(app.selectionManager.endMarquee({ clientX: 300, clientY: 300 }), true);
+    assert.ok(app.selectionManager.isSelected(inside));
+    assert.ok(!app.selectionManager.isSelected(outside), 'only 150 world units are covered at zoom 2');
+});
+
+test('thoughts far off screen are culled and come back when the viewport gets near', () => {
+    const home = app.thoughtManager.addThought('home', 100, 100);
+    const far = app.thoughtManager.addThought('far', 8000, 8000);
+    app.spatialIndex.cull();
+    assert.ok(far.element.classList.contains('culled'));
+    assert.ok(!home.element.classList.contains('culled'));
+
+    app.viewport.setState({ x: 7800, y: 7800, zoom: 1 });
+    assert.ok(!far.element.classList.contains('culled'));
+    assert.ok(home.element.classList.contains('culled'));
+});
+
+test('a thought moved into view shows, and a size change while culled is measured then', () => {
+    const far = app.thoughtManager.addThought('far', 8000, 8000);
+    app.spatialIndex.cull();
+    Object.defineProperty(far.element, 'offsetWidth', { configurable: true, get: () => 240 });
+    far.updateText('longer while off screen');
+    assert.equal(app.spatialIndex.boxOf(far).width, 0, 'culled thoughts are not laid out');
+
+    far.moveTo(200, 200);
+    assert.ok(!far.element.classList.contains('culled'));
+    assert.equal(app.spatialIndex.boxOf(far).width, 240);
+});
+
+test('the current thought is never culled', () => {
+    const thought = app.thoughtManager.addThought('editing', 100, 100);
+    app.thoughtManager.setCurrentThought(thought);
+    app.viewport.setState({ x: 9000, y: 9000, zoom: 1 });
+    assert.ok(!thought.element.classList.contains('culled'));
+});
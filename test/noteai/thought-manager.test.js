@@ -0,0 +1,200 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../../scripts/noteai/config.js';
+import { startBoard, pressKey, setSize } from './setup.js';
+
+let board;
+let app;
+
+beforeEach(async () => {
+    board = await startBoard();
+    app = board.app;
+});
+
+afterEach(async () => {
+    await board.close();
+});
+
+test('typing on empty canvas starts a thought at the cursor', () => {
+    app.mouseX = 240;
+    app.mouseY = 180;
+    pressKey(board, 'h');
+
+    assert.equal(app.thoughts.length, 1);
+    const [thought] = app.thoughts;
+    assert.equal(thought.text, 'h');
+    assert.deepEqual({ x: thought.x, y: thought.y }, app.viewport.screenToWorld(240, 180));
+    assert.equal(app.currentThought, thought);
+    assert.equal(app.mode.state, 'current_thought');
+    assert.ok(thought.element.isConnected);
+});
+
+test('thoughts start in world coordinates when the board is panned and zoomed', () => {
+    app.viewport.setState({ x: 100, y: -50, zoom: 2 });
+    app.mouseX = 300;
+    app.mouseY = 200;
+    pressKey(board, 'x');
+
+    const [thought] = app.thoughts;
+    assert.deepEqual({ x: thought.x, y: thought.y }, app.viewport.screenToWorld(300, 200));
+});
+
+test('the keyboard cursor wins over the mouse while it shows', () => {
+    app.mouseX = 10;
+    app.mouseY = 10;
+    app.keyboardNav.placeCursorAt(400, 300);
+    pressKey(board, 'k');
+
+    const [thought] = app.thoughts;
+    assert.deepEqual({ x: thought.x, y: thought.y }, app.viewport.screenToWorld(400, 300));
+});
+
+test('space and named keys do not start thoughts', () => {
+    pressKey(board, ' ');
+    pressKey(board, 'Shift');
+    pressKey(board, 'a', { ctrlKey: true });
+    assert.equal(app.thoughts.length, 0);
+});
+
+test('typing near a thought continues it instead of starting another', () => {
+    const existing = app.thoughtManager.addThought('hello', 100, 100);
+    app.mouseX = 105;
+    app.mouseY = 110;
+    pressKey(board, '!');
+
+    assert.equal(app.thoughts.length, 1);
+    assert.equal(existing.text, 'hello!');
+    assert.equal(app.currentThought, existing);
+});
+
+test('findNearbyThought only finds thoughts inside the threshold', () => {
+    const threshold = CONFIG.typing.mouseStillThreshold;
+    const thought = app.thoughtManager.addThought('near', 100, 100);
+
+    assert.equal(app.thoughtManager.findNearbyThought(100, 100), thought);
+    assert.equal(app.thoughtManager.findNearbyThought(100 + threshold - 1, 100), thought);
+    assert.equal(app.thoughtManager.findNearbyThought(100 + threshold, 100), undefined);
+    // Measured as a distance, not per axis
+    const diagonal = (threshold - 1) / Math.SQRT2 + 1;
+    assert.equal(app.thoughtManager.findNearbyThought(100 + diagonal, 100 + diagonal), undefined);
+});
+
+test('the findNearbyThought threshold is screen pixels, so it shrinks in world units when zoomed in', () => {
+    const threshold = CONFIG.typing.mouseStillThreshold;
+    const thought = app.thoughtManager.addThought('near', 100, 100);
+    app.viewport.setState({ x: 0, y: 0, zoom: 2 });
+
+    assert.equal(app.thoughtManager.findNearbyThought(100 + threshold / 2 - 1, 100), thought);
+    assert.equal(app.thoughtManager.findNearbyThought(100 + threshold / 2 + 1, 100), undefined);
+});
+
+test('findNearbyThought skips files and locked thoughts', () => {
+    const locked = app.thoughtManager.addThought('locked', 100, 100);
+    locked.adjust({ locked: true });
+    assert.equal(app.thoughtManager.findNearbyThought(100, 100), undefined);
+
+    const open = app.thoughtManager.addThought('open', 105, 100);
+    assert.equal(app.thoughtManager.findNearbyThought(100, 100), open);
+});
+
+test('updateAppMode stays in new_thought without a current thought', () => {
+    app.thoughtManager.updateAppMode();
+    assert.equal(app.mode.state, 'new_thought');
+    assert.ok(app.mouseBlob, 'the mouse blob shows where typing goes');
+});
+
+test('updateAppMode keeps the current thought while the pointer stays close to it', () => {
+    const thought = app.thoughtManager.addThought('hello', 100, 100);
+    app.thoughtManager.setCurrentThought(thought);
+    setSize(app, thought, { width: 80, height: 30 });
+
+    app.mouseX = 180 + CONFIG.typing.mouseStillThreshold - 1;
+    app.mouseY = 115;
+    app.thoughtManager.updateAppMode();
+
+    assert.equal(app.mode.state, 'current_thought');
+    assert.equal(app.currentThought, thought);
+    assert.equal(app.mouseBlob, null);
+});
+
+test('updateAppMode lets go of the current thought once the pointer moves away', () => {
+    const thought = app.thoughtManager.addThought('hello', 100, 100);
+    app.thoughtManager.setCurrentThought(thought);
+    setSize(app, thought, { width: 80, height: 30 });
+
+    app.mouseX = 180 + CONFIG.typing.mouseStillThreshold + 1;
+    app.mouseY = 115;
+    app.thoughtManager.updateAppMode();
+
+    assert.equal(app.mode.state, 'new_thought');
+    assert.equal(app.currentThought, null);
+    assert.equal(thought.isActive, false);
+    assert.ok(app.mouseBlob);
+});
+
+test('updateAppMode leaves the mode alone while the pointer is over the blot', () => {
+    const thought = app.thoughtManager.addThought('hello', 100, 100);
+    app.thoughtManager.setCurrentThought(thought);
+    setSize(app, thought, { width: 80, height: 30 });
+    app.blot.stop();
+    app.blot.position = app.viewport.screenToWorld(530, 530);
+    app.blot.element.getBoundingClientRect = () => assert.fail('the blot box comes from its position, not layout');
+
+    app.mouseX = 500;
+    app.mouseY = 510;
+    app.thoughtManager.updateAppMode();
+
+    assert.equal(app.mode.state, 'current_thought');
+    assert.equal(app.currentThought, thought);
+});
+
+test('handleDelete removes the current thought, undo brings it back', () => {
+    const keep = app.thoughtManager.addThought('keep', 0, 0);
+    const doomed = app.thoughtManager.addThought('doomed', 200, 0);
+    app.thoughtManager.setCurrentThought(doomed);
+
+    app.thoughtManager.handleDelete();
+    assert.deepEqual(app.thoughts, [keep]);
+    assert.equal(doomed.element.isConnected, false);
+
+    app.thoughtManager.undo();
+    assert.deepEqual(app.thoughts.map(t => t.text), ['keep', 'doomed']);
+});
+
+test('handleDelete removes the whole selection as one undo step', () => {
+    const a = app.thoughtManager.addThought('a', 0, 0);
+    const b = app.thoughtManager.addThought('b', 200, 0);
+    const c = app.thoughtManager.addThought('c', 400, 0);
+    app.selectionManager.add(a);
+    app.selectionManager.add(c);
+
+    app.thoughtManager.handleDelete();
+    assert.deepEqual(app.thoughts, [b]);
+
+    app.thoughtManager.undo();
+    assert.deepEqual(app.thoughts.map(t => t.text), ['a', 'b', 'c']);
+});
+
+test('deleting a thought takes its links along, undo restores both', () => {
+    const a = app.thoughtManager.addThought('a', 0, 0);
+    const b = app.thoughtManager.addThought('b', 200, 0);
+    app.connectorLayer.addLink(a, b);
+    assert.equal(app.connectorLayer.links.length, 1);
+
+    app.thoughtManager.deleteThought(b);
+    assert.equal(app.connectorLayer.links.length, 0);
+
+    app.thoughtManager.undo();
+    assert.equal(app.connectorLayer.links.length, 1);
+});
+
+test('Backspace deletes the focused thought but not text being edited', () => {
+    const thought = app.thoughtManager.addThought('focused', 0, 0);
+    app.thoughtManager.setCurrentThought(thought);
+    pressKey(board, 'Backspace', { target: thought.element });
+    assert.equal(app.thoughts.length, 1, 'contentEditable handles Backspace while editing');
+
+    pressKey(board, 'Escape');
+    pressKey(board, 'Backspace', { target: thought.element });
+    assert.equal(app.thoughts.length, 0);
+});
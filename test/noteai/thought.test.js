@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Thought } from '../../scripts/noteai/thought.js';
+import { startBoard } from './setup.js';
+
+let board;
+let app;
+
+beforeEach(async () => {
+    board = await startBoard();
+    app = board.app;
+});
+
+afterEach(async () => {
+    await board.close();
+});
+
+test('snapshot and restore carry everything the board saves', () => {
+    const original = app.thoughtManager.addThought('Plan #trip', 40, 60);
+    original.format('italic');
+    original.format('fontSize', 2.2);
+    original.format('tint', 'Rose');
+    original.adjust({ pinned: true });
+
+    const copy = new Thought('', 0, 0, original.id);
+    copy.restore(original.snapshot());
+
+    assert.deepEqual(copy.snapshot(), original.snapshot());
+    assert.deepEqual(copy.tags, ['trip']);
+    assert.ok(copy.element.classList.contains('pinned'));
+    assert.ok(copy.element.classList.contains('tinted'));
+});
+
+test('formatting without a text selection applies to the whole thought, one undo step each', () => {
+    const thought = app.thoughtManager.addThought('whole thing', 0, 0);
+    thought.format('bold');
+    assert.deepEqual(thought.runs, [{ text: 'whole thing', marks: { bold: true } }]);
+    assert.equal(thought.element.querySelector('strong, b').textContent, 'whole thing');
+
+    app.thoughtManager.undo();
+    assert.deepEqual(thought.runs, [{ text: 'whole thing', marks: {} }]);
+});
+
+test('new thoughts stack in front of the ones already there', () => {
+    const back = app.thoughtManager.addThought('back', 0, 0);
+    const front = app.thoughtManager.addThought('front', 0, 0);
+    assert.ok(front.z > back.z);
+    assert.equal(front.element.style.zIndex, String(front.z));
+
+    app.thoughtManager.restackThoughts([front], false);
+    assert.ok(front.z < back.z);
+});
+
+test('locked thoughts take no typing or formatting, and stop being edited when locked', () => {
+    const thought = app.thoughtManager.addThought('fixed', 0, 0);
+    app.thoughtManager.setCurrentThought(thought);
+    assert.equal(String(thought.element.contentEditable), 'true');
+
+    thought.adjust({ locked: true });
+    assert.equal(thought.editable, false);
+    assert.equal(String(thought.element.contentEditable), 'false');
+
+    thought.format('bold');
+    assert.deepEqual(thought.runs, [{ text: 'fixed', marks: {} }]);
+
+    // Undoing the lock picks the editing up again
+    app.thoughtManager.undo();
+    assert.equal(thought.locked, false);
+    assert.equal(String(thought.element.contentEditable), 'true');
+});
+
+test('moveTo keeps the element where the thought is', () => {
+    const thought = app.thoughtManager.addThought('moving', 0, 0);
+    thought.moveTo(120, -45);
+    assert.equal(thought.element.style.left, '120px');
+    assert.equal(thought.element.style.top, '-45px');
+});